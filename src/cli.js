@@ -7,34 +7,176 @@ import readme from "./commands/readme.js";
 import login from "./commands/login.js";
 import logout from "./commands/logout.js";
 import chat from "./commands/chat.js";
+import rollback from "./commands/rollback.js";
+import history from "./commands/history.js";
+import domain from "./commands/domain.js";
+import previews from "./commands/previews.js";
+import versions from "./commands/versions.js";
+import watch from "./commands/watch.js";
+import preview from "./commands/preview.js";
+import cache from "./commands/cache.js";
+import detect from "./commands/detect.js";
+import { useProjectRoot } from "./utils/projectConfig.js";
 
 const program = new Command();
 
 program
   .name("deployease")
   .description("CLI tool to auto-deploy static sites to GitHub Pages")
-  .version("1.0.0");
+  .version("1.0.0")
+  // Program options only before the subcommand, so `deploy --version 2.3` reaches deploy
+  .enablePositionalOptions();
+
+// Commands that read .deployease.json run from the directory that holds it,
+// so they also work from a subdirectory (e.g. an app in a monorepo)
+const PROJECT_COMMANDS = ["deploy", "redeploy", "rollback", "history", "domain", "previews", "versions", "watch", "preview", "cache"];
+program.hook("preAction", (_, command) => {
+  if (PROJECT_COMMANDS.includes(command.name())) {
+    useProjectRoot();
+  }
+});
 
 program
   .command("init")
   .description("Initialize a new DeployEase configuration")
+  .option("--repo <name>", "Repository name (skips the prompt)")
+  .option("--forge <name>", "Where the repository lives: github, gitlab or gitea")
+  .option("--forge-url <url>", "Base URL of a self-hosted GitLab or Gitea")
+  .option("-y, --yes", "Never prompt; answer from flags, config or defaults")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
   .action(init);
 
 program
   .command("deploy")
   .description("Deploy project to GitHub Pages")
+  .option("-y, --yes", "Never prompt; answer from flags, config or defaults")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
+  .option("--check", "Run the security check before deploying")
+  .option("--no-check", "Skip the security check")
+  .option("--ignore-issues", "Deploy even if the security check finds issues")
+  .option("--ignore-base-path", "Deploy even if asset URLs in index.html don't match the base path")
+  .option("--auto-fix", "Apply auto-fixable build fixes without asking")
+  .option("--no-auto-fix", "Never apply build fixes automatically")
+  .option("--orphan", "Replace the Pages branch history with a single force-pushed commit")
+  .option("--dry-run", "Build and show what would change on the Pages branch without pushing")
+  .option("--delete-stale", "Delete objects that no longer exist locally (S3 target)")
+  .option("--preview", "Publish the current branch to previews/<branch>/ instead of the site root")
+  .option("--version <version>", "Publish to /<version>/, keeping earlier versions (versioned docs)")
+  .option("--alias <names>", "Comma-separated aliases for --version, e.g. latest")
+  .option("--no-cache", "Rebuild even if the build cache has output for these sources")
+  .option("--app <name>", "Deploy one app of a monorepo (name or directory)")
+  .option("--all", "Deploy every app of a monorepo")
+  .option("--env <name>", "Deploy to a named environment from .deployease.json")
+  .option("--confirm <name>", "Confirm deploying to a protected environment (with --yes/--ci)")
+  .option("--verify", "After deploying, wait for the Pages build and check the live site")
+  .option("--no-verify", "Skip the live check even if \"verify.enabled\" is set")
+  .option("--verify-base <url>", "Check the live site at this scheme/host/port instead (e.g. a local server)")
   .action(deploy);
 
 program
   .command("redeploy")
   .description("Redeploy using existing config")
+  .option("-y, --yes", "Never prompt; answer from flags, config or defaults")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
+  .option("--orphan", "Replace the Pages branch history with a single force-pushed commit")
+  .option("--dry-run", "Build and show what would change on the Pages branch without pushing")
+  .option("--delete-stale", "Delete objects that no longer exist locally (S3 target)")
+  .option("--force", "Redeploy even if nothing changed since the last deploy")
+  .option("--env <name>", "Redeploy to a named environment from .deployease.json")
+  .option("--confirm <name>", "Confirm redeploying to a protected environment (with --yes/--ci)")
+  .option("--verify", "After deploying, wait for the Pages build and check the live site")
+  .option("--no-verify", "Skip the live check even if \"verify.enabled\" is set")
+  .option("--verify-base <url>", "Check the live site at this scheme/host/port instead (e.g. a local server)")
   .action(redeploy);
 
+program
+  .command("watch")
+  .description("Rebuild on source changes and redeploy, rate-limited")
+  .option("--debounce <ms>", "Wait this long after the last change before rebuilding", "500")
+  .option("--interval <seconds>", "Deploy at most once per this many seconds", "60")
+  .option("--env <name>", "Deploy to a named environment from .deployease.json")
+  .option("--confirm <name>", "Confirm deploying to a protected environment")
+  .action(watch);
+
+program
+  .command("preview")
+  .description("Serve the deploy directory locally the way GitHub Pages would")
+  .option("-p, --port <port>", "Port to listen on", "4000")
+  .option("--host <host>", "Host to listen on", "localhost")
+  .option("--commit <sha>", "Serve a past deployment from this Pages-branch commit")
+  .option("--env <name>", "Use a named environment from .deployease.json")
+  .option("--app <name>", "App to preview (monorepos)")
+  .action(preview);
+
+program
+  .command("cache")
+  .description("List or clean cached build outputs")
+  .argument("[action]", "list or clean", "list")
+  .option("--project", "Only this project's cached builds")
+  .action(cache);
+
+program
+  .command("rollback")
+  .description("Restore a previous deployment from the Pages branch")
+  .option("--to <commit>", "Deployment commit to restore (defaults to the previous one)")
+  .option("--list", "List recent deployments without restoring")
+  .option("-n, --limit <count>", "Number of recent deployments to look at", "10")
+  .option("-y, --yes", "Never prompt; restore the previous deployment")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
+  .action(rollback);
+
+program
+  .command("history")
+  .description("Show the local deployment ledger")
+  .option("-n, --limit <count>", "Number of entries to show", "20")
+  .option("--command <name>", "Only show entries for deploy or redeploy")
+  .option("--result <result>", "Only show success, unchanged or failed entries")
+  .option("--branch <branch>", "Only show entries for a source or target branch")
+  .option("--since <date>", "Only show entries since a date (e.g. 2025-11-01)")
+  .option("--env <name>", "Only show entries for an environment")
+  .option("--json", "Print entries as JSON")
+  .action(history);
+
+program
+  .command("domain [domain]")
+  .description("Show, set or remove the custom domain of the GitHub Pages site")
+  .option("--remove", "Remove the custom domain")
+  .option("--check", "Only check DNS (exits with code 4 if it isn't pointing at GitHub Pages)")
+  .option("--no-https", "Don't enforce HTTPS on the custom domain")
+  .option("-y, --yes", "Never prompt")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
+  .action(domain);
+
+program
+  .command("previews [action]")
+  .description("List or prune branch preview deployments (action: list or prune)")
+  .option("--ttl <days>", "Prune previews older than this many days (default 30)")
+  .option("--dry-run", "Show what prune would remove without removing it")
+  .option("--app <name>", "App of a monorepo whose previews to manage")
+  .option("-y, --yes", "Never prompt")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
+  .action(previews);
+
+program
+  .command("versions [action] [version]")
+  .description("List or delete versioned deployments (action: list or delete)")
+  .option("--app <name>", "App of a monorepo whose versions to manage")
+  .option("-y, --yes", "Never prompt")
+  .option("--ci", "Alias for --yes, for use in CI pipelines")
+  .action(versions);
+
 program
   .command("check")
   .description("Analyze code for errors, bugs, and security issues")
   .action(check);
 
+program
+  .command("detect")
+  .description("Show the detected framework, build settings and router, and why")
+  .argument("[dir]", "Project directory", ".")
+  .option("--json", "Print the detection result as JSON")
+  .action(detect);
+
 program
   .command("readme")
   .description("Generate README.md file with AI assistance")
@@ -42,7 +184,9 @@ program
 
 program
   .command("login")
-  .description("Login to GitHub and save authentication")
+  .description("Login to GitHub (or GitLab/Gitea) and save authentication")
+  .option("--forge <name>", "Forge to log in to: github, gitlab or gitea")
+  .option("--forge-url <url>", "Base URL of a self-hosted GitLab or Gitea")
   .action(login);
 
 program
@@ -56,4 +200,12 @@ program
   .alias("ask")
   .action(chat);
 
-program.parse(process.argv);
+// A reader that stops early (| head) isn't a failure: the command still finishes
+process.stdout.on("error", (err) => {
+  if (err.code !== "EPIPE") throw err;
+});
+
+// Commands create readline interfaces on stdin at import time and only
+// close their own. Release stdin once the command has finished, so the
+// process exits when its remaining output and work are done.
+program.parseAsync(process.argv).then(() => process.stdin.destroy());
@@ -0,0 +1,48 @@
+import chalk from "chalk";
+import path from "path";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { formatBytes } from "../utils/fileManifest.js";
+import { CACHE_DIR, cleanBuildCache, isProjectEntry, listCacheEntries } from "../services/buildCache.js";
+
+/**
+ * Cache Command
+ * Lists or removes the build outputs cached by 'deployease deploy'.
+ *
+ *   deployease cache list                 show cached builds
+ *   deployease cache clean                remove every cached build
+ *   deployease cache clean --project      remove this project's cached builds only
+ */
+export default async function cache(action = "list", options = {}) {
+  console.log(chalk.cyanBright("\n💾 Build Cache\n"));
+
+  if (!["list", "clean"].includes(action)) {
+    console.log(chalk.red(`❌ Unknown action '${action}'. Use 'list' or 'clean'.\n`));
+    setExitCode(EXIT_CODES.CONFIG);
+    return;
+  }
+
+  const root = process.cwd();
+  const entries = listCacheEntries().filter((entry) => !options.project || isProjectEntry(entry, root));
+
+  if (action === "list") {
+    if (entries.length === 0) {
+      console.log(chalk.gray(`   No cached builds in ${CACHE_DIR}\n`));
+      return;
+    }
+    entries.forEach((entry) => {
+      const used = new Date(entry.usedAt || entry.createdAt).toLocaleString();
+      console.log(
+        `   ${chalk.yellow(entry.fingerprint.substring(0, 12))}  ${chalk.cyan(path.join(entry.project, entry.deployDir))}`
+      );
+      console.log(
+        chalk.gray(`      ${entry.buildCmd} · ${entry.files} file(s), ${formatBytes(entry.bytes || 0)} · last used ${used}`)
+      );
+    });
+    const total = entries.reduce((sum, entry) => sum + (entry.bytes || 0), 0);
+    console.log(chalk.gray(`\n   ${entries.length} cached build(s), ${formatBytes(total)} in ${CACHE_DIR}\n`));
+    return;
+  }
+
+  const removed = cleanBuildCache({ project: options.project ? root : null });
+  console.log(chalk.green(`✅ Removed ${removed.entries} cached build(s) (${formatBytes(removed.bytes)})\n`));
+}
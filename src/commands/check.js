@@ -3,6 +3,7 @@ import path from "path";
 import ora from "ora";
 import chalk from "chalk";
 import readline from "readline";
+import { getPackageManager } from "../services/packageManager.js";
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -38,6 +39,7 @@ function findFiles(dir, extensions, fileList = []) {
  * Analyze code for errors, bugs, and security issues
  */
 export function analyzeCode(cwd) {
+  const packageManager = getPackageManager(cwd);
   const issues = [];
   const warnings = [];
   const suggestions = [];
@@ -62,7 +64,7 @@ export function analyzeCode(cwd) {
             type: "dependency",
             severity: "medium",
             message: `Package "${pkg}" detected - consider updating to latest version`,
-            solution: `Run: npm update ${pkg} or consider alternatives`,
+            solution: `Run: ${packageManager.add(`${pkg}@latest`)} or consider alternatives`,
           });
         }
       });
@@ -234,7 +236,7 @@ export function analyzeCode(cwd) {
   suggestions.push({
     type: "deployment",
     message: "Test your build locally before deploying",
-    solution: "Run 'npm run build' and test the build folder locally",
+    solution: `Run '${packageManager.run("build")}' and test the build folder locally`,
   });
 
   suggestions.push({
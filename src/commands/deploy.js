@@ -1,18 +1,40 @@
 import fs from "fs";
-import fsExtra from "fs-extra";
 import path from "path";
-import os from "os";
 import ora from "ora";
 import chalk from "chalk";
-import simpleGit from "simple-git";
 import readline from "readline";
-import inquirer from "inquirer";
 import { execSync } from "child_process";
 import { exec } from "child_process";
 import { promisify } from "util";
 import { analyzeCode } from "./check.js";
-import { getGitHubToken } from "../utils/auth.js";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { confirm, isNonInteractive } from "../utils/prompt.js";
+import { getConfigPath, getInvocationDir, loadProjectConfig } from "../utils/projectConfig.js";
 import AutoFixEngine from "../services/autoFixEngine.js";
+import { countChanges, formatChangeSummary } from "../services/gitPublisher.js";
+import { DeploymentRecorder } from "../services/deployLedger.js";
+import { printDeployDiff } from "../services/deployDiff.js";
+import { createTarget, printSiteUrl, resolveOrphan } from "../targets/index.js";
+import { redactUrl } from "../targets/gitRemoteTarget.js";
+import { getDirectoryStats } from "../utils/fileManifest.js";
+import { getPagesCompatFiles } from "../services/pagesCompat.js";
+import {
+  createPreviewMeta,
+  getCurrentBranch,
+  getHeadSha,
+  PREVIEW_META_FILE,
+  slugifyBranch,
+} from "../services/previews.js";
+import { isReservedVersionName, isValidVersionName } from "../services/versions.js";
+import { selectApps } from "../services/monorepo.js";
+import { getVerifyOptions, verifyDeployment } from "../services/liveVerify.js";
+import { buildDeployManifest, getDestinationKey, saveDeployManifest } from "../services/deployManifest.js";
+import { getBuildFingerprint, restoreBuildCache, saveBuildCache } from "../services/buildCache.js";
+import { ensureDependencies } from "../services/packageManager.js";
+import { applyNextConfigEdits, getNextConfigEdits } from "../services/nextExport.js";
+import { detectProject } from "../detectors/index.js";
+import { checkEnvironmentGuards, getCheckPolicy, resolveEnvironment } from "../services/environments.js";
+import { appendBuildArgs, checkAssetBase, getBaseBuildOptions, getBasePath } from "../services/basePath.js";
 
 const execAsync = promisify(exec);
 
@@ -22,123 +44,55 @@ const rl = readline.createInterface({
 });
 
 /**
- * Detect project type and return build configuration
+ * Check --version/--alias against the target, returning an error message or null
  */
-function detectProjectType() {
-  const cwd = process.cwd();
-  const packageJsonPath = path.join(cwd, "package.json");
-  const indexHtmlPath = path.join(cwd, "index.html");
-
-  // Check if package.json exists
-  if (fs.existsSync(packageJsonPath)) {
-    try {
-      const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
-      const deps = {
-        ...(packageJson.dependencies || {}),
-        ...(packageJson.devDependencies || {}),
-      };
-
-      // React (Create React App)
-      if (deps["react-scripts"]) {
-        return {
-          type: "react",
-          buildCmd: "npm run build",
-          deployDir: "build",
-          description: "React (Create React App) project",
-        };
-      }
-
-      // Next.js
-      if (deps["next"]) {
-        // Check if export script exists
-        const hasExportScript = packageJson.scripts && packageJson.scripts.export;
-        const buildCmd = hasExportScript 
-          ? "npm run build && npm run export"
-          : "npm run build";
-        
-        return {
-          type: "nextjs",
-          buildCmd,
-          deployDir: "out",
-          description: "Next.js project",
-        };
-      }
-
-      // Vite
-      if (deps["vite"]) {
-        return {
-          type: "vite",
-          buildCmd: "npm run build",
-          deployDir: "dist",
-          description: "Vite project",
-        };
-      }
-
-      // Vue
-      if (deps["vue"] || deps["@vue/cli-service"]) {
-        return {
-          type: "vue",
-          buildCmd: "npm run build",
-          deployDir: "dist",
-          description: "Vue project",
-        };
-      }
-
-      // Angular
-      if (deps["@angular/core"]) {
-        return {
-          type: "angular",
-          buildCmd: "npm run build",
-          deployDir: "dist",
-          description: "Angular project",
-        };
-      }
-
-      // Generic Node.js with build script
-      if (packageJson.scripts && packageJson.scripts.build) {
-        // Check for common output directories
-        const possibleDirs = ["dist", "build", "out", "public"];
-        const deployDir = possibleDirs.find((dir) =>
-          fs.existsSync(path.join(cwd, dir))
-        ) || "dist";
-
-        return {
-          type: "node",
-          buildCmd: "npm run build",
-          deployDir,
-          description: "Node.js project with build script",
-        };
-      }
-
-      // If package.json exists but no build script, fall through to static check
-    } catch (err) {
-      // If package.json parsing fails, continue to static check
-    }
+function getVersionError(target, name, aliases, preview) {
+  if (!target.supportsVersions) {
+    return `Versioned deployments aren't supported for the ${target.label} target.`;
   }
-
-  // Simple Static HTML (index.html exists and no package.json)
-  if (!fs.existsSync(packageJsonPath) && fs.existsSync(indexHtmlPath)) {
-    return {
-      type: "static",
-      buildCmd: null,
-      deployDir: ".",
-      description: "Static HTML project",
-    };
+  if (preview) {
+    return "--version can't be combined with --preview.";
+  }
+  const invalid = [name, ...aliases].find((entry) => !isValidVersionName(entry));
+  if (invalid) {
+    return `'${invalid}' isn't a valid version or alias (letters, digits, '.', '_' and '-').`;
+  }
+  const reserved = [name, ...aliases].find(isReservedVersionName);
+  if (reserved) {
+    return `'${reserved}' is a file at the site root, so it can't be a version or alias.`;
+  }
+  if (aliases.includes(name)) {
+    return `Version '${name}' can't also be one of its aliases.`;
+  }
+  if ([name, ...aliases].includes(target.previewsDir)) {
+    return `'${target.previewsDir}' is reserved for preview deployments.`;
   }
+  return null;
+}
 
-  // Default to static
-  return {
-    type: "static",
-    buildCmd: null,
-    deployDir: ".",
-    description: "Static project",
-  };
+/**
+ * Print the issues and suggested fixes found by the auto-fix engine
+ */
+export function printFixAnalysis(analysis) {
+  console.log(chalk.cyan("📋 Detected Issues:\n"));
+  analysis.issues.forEach((issue, idx) => {
+    console.log(chalk.red(`   ${idx + 1}. ${issue.message}`));
+  });
+
+  if (analysis.suggestedFixes.length > 0) {
+    console.log(chalk.cyan("\n💡 Suggested Fixes:\n"));
+    analysis.suggestedFixes.forEach((fix, idx) => {
+      const autoFixBadge = fix.autoFixable ? chalk.green(" [Auto-fixable]") : chalk.gray(" [Manual]");
+      console.log(chalk.yellow(`   ${idx + 1}. ${fix.description}${autoFixBadge}`));
+      console.log(chalk.gray(`      Action: ${fix.action}`));
+    });
+  }
 }
 
 /**
  * Store build error for chat assistant
  */
-function storeBuildError(errorOutput) {
+export function storeBuildError(errorOutput) {
   if (errorOutput && errorOutput.length > 0) {
     try {
       const errorLogPath = path.join(process.cwd(), ".deployease-build-error.log");
@@ -151,27 +105,30 @@ function storeBuildError(errorOutput) {
 
 /**
  * Build project with AI auto-fix engine
+ * @returns {boolean} Whether the build succeeded
  */
-async function buildWithAutoFix(spinner, projectInfo, config) {
+async function buildWithAutoFix(spinner, projectInfo, config, options = {}, cwd = process.cwd()) {
   const maxRetries = 2;
   let attempt = 0;
   let buildSuccess = false;
 
   while (attempt <= maxRetries && !buildSuccess) {
+    // Base path flags go after the (possibly auto-fixed) build command
+    const buildCmd = appendBuildArgs(projectInfo.buildCmd, projectInfo.buildArgs);
     if (attempt > 0) {
       spinner.start(`🔄 Retrying build (attempt ${attempt + 1}/${maxRetries + 1})...`);
       await new Promise((resolve) => setTimeout(resolve, 1000)); // Brief pause
     } else {
-      spinner.start(`🔨 Building project: ${chalk.cyan(projectInfo.buildCmd)}...`);
+      spinner.start(`🔨 Building project: ${chalk.cyan(buildCmd)}...`);
     }
 
     try {
       // Capture both stdout and stderr for error analysis
       try {
-        const { stdout, stderr } = await execAsync(projectInfo.buildCmd, {
-          cwd: process.cwd(),
+        const { stdout, stderr } = await execAsync(buildCmd, {
+          cwd,
           shell: true,
-          env: { ...process.env, NODE_ENV: "production" },
+          env: { ...process.env, NODE_ENV: "production", ...projectInfo.buildEnv },
           maxBuffer: 10 * 1024 * 1024, // 10MB buffer
         });
 
@@ -215,40 +172,31 @@ async function buildWithAutoFix(spinner, projectInfo, config) {
         console.log(chalk.yellow("\n🤖 AI Auto-Fix Engine analyzing error...\n"));
 
         // Initialize auto-fix engine
-        const autoFix = new AutoFixEngine(process.cwd(), projectInfo);
+        const autoFix = new AutoFixEngine(cwd, projectInfo);
         const analysis = autoFix.analyzeError(buildErr, errorOutput);
 
         if (analysis.issues.length > 0) {
-          console.log(chalk.cyan("📋 Detected Issues:\n"));
-          analysis.issues.forEach((issue, idx) => {
-            console.log(chalk.red(`   ${idx + 1}. ${issue.message}`));
-          });
+          printFixAnalysis(analysis);
 
           if (analysis.suggestedFixes.length > 0) {
-            console.log(chalk.cyan("\n💡 Suggested Fixes:\n"));
-            analysis.suggestedFixes.forEach((fix, idx) => {
-              const autoFixBadge = fix.autoFixable ? chalk.green(" [Auto-fixable]") : chalk.gray(" [Manual]");
-              console.log(chalk.yellow(`   ${idx + 1}. ${fix.description}${autoFixBadge}`));
-              console.log(chalk.gray(`      Action: ${fix.action}`));
-            });
-
             // Check if any fixes can be applied automatically
             const autoFixableFixes = analysis.suggestedFixes.filter((f) => f.autoFixable);
             
             if (autoFixableFixes.length > 0) {
               console.log();
-              const shouldAutoFix = await inquirer.prompt([
+              const shouldAutoFix = await confirm(
+                chalk.cyan(
+                  `Would you like me to automatically apply ${autoFixableFixes.length} fix(es) and retry?`
+                ),
                 {
-                  type: "confirm",
-                  name: "apply",
-                  message: chalk.cyan(
-                    `Would you like me to automatically apply ${autoFixableFixes.length} fix(es) and retry?`
-                  ),
-                  default: true,
-                },
-              ]);
-
-              if (shouldAutoFix.apply) {
+                  flag: options.autoFix,
+                  configValue: config.ci?.autoFix,
+                  defaultValue: true,
+                  nonInteractive: isNonInteractive(options),
+                }
+              );
+
+              if (shouldAutoFix) {
                 console.log();
                 spinner.start("🔧 Applying fixes...");
 
@@ -277,61 +225,135 @@ async function buildWithAutoFix(spinner, projectInfo, config) {
                 }
               } else {
                 console.log(chalk.yellow("\n💡 Fix the build errors manually and try again.\n"));
-                rl.close();
-                return;
+                return false;
               }
             } else {
               console.log(chalk.yellow("\n💡 These fixes require manual intervention. Please fix the errors and try again.\n"));
-              rl.close();
-              return;
+              return false;
             }
           } else {
             console.log(chalk.yellow("\n💡 Unable to suggest automatic fixes. Please check the error output above.\n"));
-            rl.close();
-            return;
+            return false;
           }
         } else {
           console.log(chalk.yellow("\n💡 Unable to detect specific issues. Please check the error output above.\n"));
-          rl.close();
-          return;
+          return false;
         }
       } else {
         // Second attempt also failed
         spinner.fail("❌ Build failed after applying fixes!");
         console.log(chalk.yellow("\n💡 The automatic fixes did not resolve the issue."));
         console.log(chalk.yellow("   Please review the error output and fix manually.\n"));
-        rl.close();
-        return;
+        return false;
       }
     }
   }
 
   if (!buildSuccess) {
     spinner.fail("❌ Build failed after multiple attempts");
-    rl.close();
+    return false;
+  }
+
+  return true;
+}
+
+export default async function deploy(options = {}) {
+  // Named environments: --env or "defaultEnvironment"
+  const loadedConfig = loadProjectConfig();
+  const { config: projectConfig, environment, error: envError } = loadedConfig
+    ? resolveEnvironment(loadedConfig, options.env)
+    : { config: null, environment: null, error: null };
+  if (envError) {
+    console.error(chalk.redBright(`\n❌ ${envError}\n`));
+    setExitCode(EXIT_CODES.CONFIG);
+    return;
+  }
+
+  // Monorepos: --app, --all or the app the command was started in
+  const { apps, error } = projectConfig
+    ? selectApps(projectConfig, process.cwd(), options, getInvocationDir())
+    : { apps: null, error: null };
+  if (error) {
+    console.error(chalk.redBright(`\n❌ ${error}\n`));
+    setExitCode(EXIT_CODES.CONFIG);
     return;
   }
+
+  // Protected environments: clean tree and confirmation, once for all apps
+  if (environment) {
+    console.log(chalk.cyan(`\n🌐 Environment: ${chalk.bold(environment.name)}`));
+    const guard = options.dryRun ? { ok: true } : await checkEnvironmentGuards(environment, options);
+    if (!guard.ok) {
+      console.error(chalk.redBright(`\n❌ ${guard.message}\n`));
+      setExitCode(guard.exitCode);
+      return;
+    }
+  }
+
+  // Each app is deployed and recorded on its own; the first failure decides the exit code
+  let exitCode = EXIT_CODES.SUCCESS;
+  const results = [];
+  for (const app of apps || [null]) {
+    process.exitCode = EXIT_CODES.SUCCESS;
+    const record = new DeploymentRecorder("deploy");
+    if (environment) {
+      record.set({ environment: environment.name });
+    }
+    if (app) {
+      record.set({ app: app.name });
+    }
+    await runDeploy(options, record, { config: projectConfig, environment, app });
+    // Dry runs don't deploy anything, so they aren't recorded
+    if (!options.dryRun) {
+      await record.finish(process.exitCode);
+    }
+    results.push({ app, code: process.exitCode || EXIT_CODES.SUCCESS });
+    exitCode = exitCode || process.exitCode || EXIT_CODES.SUCCESS;
+  }
+
+  if (results.length > 1) {
+    console.log(chalk.cyanBright("📦 Apps:\n"));
+    results.forEach(({ app, code }) => {
+      console.log(code ? chalk.red(`   ❌ ${app.name} (exit code ${code})`) : chalk.green(`   ✅ ${app.name}`));
+    });
+    console.log();
+  }
+  setExitCode(exitCode);
 }
 
-export default async function deploy() {
-  console.log(chalk.cyanBright("\n🚀 Starting deployment...\n"));
+/**
+ * Deploy the project, or one app of a monorepo ({ name, dir, buildCmd, config }).
+ * `config` is the project config with the environment applied (null if missing).
+ */
+async function runDeploy(options, record, { config: projectConfig, environment = null, app = null }) {
+  const cwd = app ? app.dir : process.cwd();
+  console.log(chalk.cyanBright(`\n🚀 Starting deployment${app ? ` of ${chalk.yellow(app.name)}` : ""}...\n`));
   const spinner = ora("Detecting project type...").start();
+  const nonInteractive = isNonInteractive(options);
 
   try {
+    // Prompt answers for --yes/--ci come from flags or the config's `ci` block
+    const ciAnswers = (app ? app.config : projectConfig)?.ci || {};
+    // An environment can require the security check or skip it
+    const checkPolicy = getCheckPolicy(app ? app.config : projectConfig);
+
     // Step 0: Quick security check (optional - can be skipped)
+    record.phase("check");
     spinner.stop();
-    const runCheck = await inquirer.prompt([
-      {
-        type: "confirm",
-        name: "check",
-        message: "Run security check before deploying?",
-        default: true,
-      },
-    ]);
-
-    if (runCheck.check) {
+    let runCheck = checkPolicy === "required";
+    if (runCheck && options.check === false) {
+      console.log(chalk.yellow(`⚠️  --no-check ignored: the ${environment.name} environment requires the security check.`));
+    } else if (checkPolicy === "optional") {
+      runCheck = await confirm("Run security check before deploying?", {
+        flag: options.check,
+        configValue: ciAnswers.check,
+        defaultValue: true,
+        nonInteractive,
+      });
+    }
+
+    if (runCheck) {
       spinner.start("🔍 Running pre-deployment checks...");
-      const cwd = process.cwd();
       const analysis = analyzeCode(cwd);
 
       if (analysis.issues.length > 0) {
@@ -346,17 +368,19 @@ export default async function deploy() {
         }
         console.log();
 
-        const continueDeploy = await inquirer.prompt([
-          {
-            type: "confirm",
-            name: "continue",
-            message: "Continue with deployment anyway?",
-            default: false,
-          },
-        ]);
-
-        if (!continueDeploy.continue) {
+        // Required checks can't be overridden
+        const continueDeploy =
+          checkPolicy !== "required" &&
+          (await confirm("Continue with deployment anyway?", {
+            flag: options.ignoreIssues,
+            configValue: ciAnswers.ignoreIssues,
+            defaultValue: false,
+            nonInteractive,
+          }));
+
+        if (!continueDeploy) {
           console.log(chalk.yellow("\n💡 Run 'deployease check' for detailed analysis\n"));
+          setExitCode(EXIT_CODES.CHECK);
           rl.close();
           return;
         }
@@ -369,8 +393,13 @@ export default async function deploy() {
     spinner.start("Detecting project type...");
 
     // Step 1: Detect project type
+    record.phase("detect");
     spinner.start("🔍 Detecting project type...");
-    const projectInfo = detectProjectType();
+    const projectInfo = detectProject(cwd);
+    if (app?.buildCmd) {
+      projectInfo.buildCmd = app.buildCmd;
+      projectInfo.warnings = [];
+    }
     spinner.succeed(
       `✅ Detected: ${chalk.cyan(projectInfo.description)} ${chalk.gray(`(${projectInfo.type})`)}`
     );
@@ -378,27 +407,40 @@ export default async function deploy() {
     console.log(
       chalk.gray(`   📦 Build command: ${projectInfo.buildCmd || "None"}`)
     );
+    if (projectInfo.packageManager) {
+      const { name, source } = projectInfo.packageManager;
+      console.log(chalk.gray(`   🧶 Package manager: ${name}${source === "default" ? "" : ` (${source})`}`));
+    }
     console.log(
       chalk.gray(`   📁 Deploy directory: ${chalk.cyan(projectInfo.deployDir)}`)
     );
+    projectInfo.warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
     console.log();
 
     // Step 2: Load config
     spinner.start("📋 Loading configuration...");
-    const configPath = path.resolve(".deployease.json");
-    if (!fs.existsSync(configPath)) {
+    const configPath = getConfigPath();
+    const config = app ? app.config : projectConfig;
+    if (!config) {
       spinner.fail("❌ No .deployease.json found!");
       console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
       rl.close();
       return;
     }
 
-    const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-    const { repo, owner, branch = "gh-pages", deployDir: configDeployDir = ".", description, repoUrl } = config;
+    const { deployDir: configDeployDir = ".", description } = config;
+    const target = createTarget(config);
+    record.set({ target: target.toLedger() });
+    const destination = getDestinationKey(target);
 
-    // Use detected deployDir if different from config
+    // Use detected deployDir if different from config. An app's or
+    // environment's "deployDir" is taken as configured: it lives in their
+    // own block of .deployease.json.
     let deployDir = projectInfo.deployDir;
-    if (configDeployDir !== projectInfo.deployDir) {
+    if (app || environment) {
+      deployDir = (app ? app.config.deployDir : environment.deployDir) || projectInfo.deployDir;
+    } else if (configDeployDir !== projectInfo.deployDir) {
       console.log(
         chalk.yellow(
           `⚠️  Deploy directory updated: ${configDeployDir} → ${deployDir}`
@@ -410,44 +452,186 @@ export default async function deploy() {
       console.log(chalk.gray("   📝 Configuration updated.\n"));
     }
 
-    // For React apps, ensure homepage is set in package.json
-    if (projectInfo.type === "react") {
-      const packageJsonPath = path.join(process.cwd(), "package.json");
-      if (fs.existsSync(packageJsonPath)) {
-        const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
-        const expectedHomepage = `https://${owner}.github.io/${repo}`;
-        
-        if (!packageJson.homepage || packageJson.homepage !== expectedHomepage) {
-          spinner.stop();
-          console.log(chalk.yellow("\n⚠️  React apps need 'homepage' field for GitHub Pages"));
-          console.log(chalk.gray(`   Setting homepage to: ${expectedHomepage}`));
-          
-          packageJson.homepage = expectedHomepage;
-          fs.writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
-          console.log(chalk.green("   ✓ Updated package.json\n"));
-          spinner.start();
-        }
-      }
+    spinner.succeed("✅ Configuration loaded");
+
+    const targetError = target.validate();
+    if (targetError) {
+      spinner.fail(`❌ ${targetError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
     }
 
-    spinner.succeed("✅ Configuration loaded");
+    // --preview publishes into previews/<branch-slug>/ instead of the site root
+    let preview = null;
+    if (options.preview) {
+      if (!target.supportsPreviews) {
+        spinner.fail(`❌ Preview deployments aren't supported for the ${target.label} target.`);
+        setExitCode(EXIT_CODES.CONFIG);
+        rl.close();
+        return;
+      }
+      const branch = await getCurrentBranch();
+      const slug = slugifyBranch(branch);
+      if (!slug) {
+        spinner.fail("❌ Couldn't work out the current branch for the preview.");
+        console.log(chalk.yellow("💡 Check out a branch (HEAD is detached) and try again.\n"));
+        setExitCode(EXIT_CODES.CONFIG);
+        rl.close();
+        return;
+      }
+      preview = { branch, slug };
+      record.set({ preview: slug });
+      console.log(chalk.gray(`   👀 Preview of ${chalk.cyan(branch)} → ${target.getPreviewPath(slug)}/`));
+    }
 
-    if (!repo || !owner) {
-      spinner.fail("❌ Missing repo or owner in .deployease.json");
+    // --version publishes into /<version>/ (and /<alias>/), keeping earlier versions
+    let version = null;
+    if (options.version) {
+      const aliases = (options.alias || "").split(",").map((alias) => alias.trim()).filter(Boolean);
+      const versionError = getVersionError(target, options.version, aliases, preview);
+      if (versionError) {
+        spinner.fail(`❌ ${versionError}`);
+        setExitCode(EXIT_CODES.CONFIG);
+        rl.close();
+        return;
+      }
+      version = { name: options.version, aliases };
+      record.set({ version: version.name, aliases });
+      const aliasNote = aliases.length > 0 ? ` (aliases: ${aliases.join(", ")})` : "";
+      console.log(chalk.gray(`   📚 Version ${chalk.cyan(version.name)} → /${version.name}/${aliasNote}`));
+    } else if (options.alias) {
+      spinner.fail("❌ --alias needs --version.");
+      setExitCode(EXIT_CODES.CONFIG);
       rl.close();
       return;
     }
 
-    // Step 3: Build project if needed
+    // Pass the base path (/<repo>/ for project Pages sites) to the build
+    let basePath = getBasePath(target, config);
+    if (preview) {
+      basePath += `${target.getPreviewPath(preview.slug)}/`;
+    } else if (version) {
+      basePath += `${version.name}/`;
+    }
+
+    // Next.js only writes out/ as a static export: stop on what can't be
+    // exported, and add what next.config is missing
+    if (projectInfo.type === "nextjs" && projectInfo.details && !app?.buildCmd) {
+      const nextExport = projectInfo.details;
+      if (nextExport.blockers.length > 0) {
+        // The blockers are listed with the detection warnings above
+        const count = nextExport.blockers.length;
+        console.log(chalk.red(`\n❌ Next.js ${nextExport.version.raw} can't be exported as a static site: ${count} blocker(s) above.`));
+        console.log(chalk.gray("   GitHub Pages only serves static files. Fix them, or deploy to a host with a Node.js server.\n"));
+        setExitCode(EXIT_CODES.BUILD);
+        rl.close();
+        return;
+      }
+
+      const edits = getNextConfigEdits(nextExport, basePath);
+      if (edits.length > 0) {
+        const configName = nextExport.config?.name || "next.config.mjs";
+        console.log(chalk.yellow(`\n⚠️  ${configName} needs these settings for a static export:`));
+        edits.forEach((edit) => console.log(chalk.yellow(`   • ${edit.description}`)));
+        // A dry run changes nothing, and a clean-tree environment deploys what's committed
+        const canEdit = !options.dryRun && !environment?.requireCleanTree;
+        const addSettings =
+          canEdit &&
+          (await confirm(`Add them to ${configName}?`, {
+            flag: options.autoFix,
+            configValue: config.ci?.autoFix,
+            defaultValue: true,
+            nonInteractive,
+          }));
+        const written = addSettings ? applyNextConfigEdits(cwd, nextExport, edits) : null;
+        if (!written) {
+          if (addSettings) {
+            console.log(chalk.red(`❌ Couldn't find the config object in ${configName}.`));
+          } else if (environment?.requireCleanTree && !options.dryRun) {
+            console.log(chalk.yellow(`   Environment '${environment.name}' requires a clean git tree: add them yourself and commit.`));
+          }
+          console.log(chalk.gray(`   Add to the object ${configName} exports:`));
+          edits.forEach((edit) => console.log(chalk.gray(`     ${edit.line}`)));
+          if (options.dryRun) {
+            console.log(chalk.gray(`\n🔎 Dry run: ${configName} is left unchanged, so there's nothing to build or compare.\n`));
+            rl.close();
+            return;
+          }
+          console.log();
+          setExitCode(EXIT_CODES.BUILD);
+          rl.close();
+          return;
+        }
+        console.log(chalk.green(`   ✓ Updated ${written}`));
+      }
+    }
+
     if (projectInfo.buildCmd) {
-      await buildWithAutoFix(spinner, projectInfo, config);
+      const baseOptions = getBaseBuildOptions(projectInfo, basePath, cwd);
+      projectInfo.buildArgs = baseOptions.args;
+      // The environment's build variables, then the base path ones
+      projectInfo.buildEnv = { ...(config.buildEnv || {}), ...baseOptions.env };
+      console.log(
+        chalk.gray(
+          `   🧭 Base path: ${chalk.cyan(basePath)}${baseOptions.mechanism ? ` (${baseOptions.mechanism})` : ""}`
+        )
+      );
+      baseOptions.warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+    }
+    console.log();
+
+    // Step 3: Build project if needed, unless the build cache has its output
+    record.phase("build");
+    if (projectInfo.buildCmd) {
+      const outputDir = path.resolve(cwd, deployDir);
+      const cacheInputs = {
+        cwd,
+        deployDir: outputDir,
+        buildCmd: appendBuildArgs(projectInfo.buildCmd, projectInfo.buildArgs),
+        env: { NODE_ENV: "production", ...projectInfo.buildEnv },
+      };
+      // "cache": false turns caching off; --no-cache only skips the lookup
+      const useCache = config.cache !== false;
+      const fingerprint = useCache && options.cache !== false ? await getBuildFingerprint(cacheInputs) : null;
+      const cached = fingerprint ? restoreBuildCache(fingerprint, outputDir) : null;
+
+      if (cached) {
+        record.set({ buildCache: "hit" });
+        spinner.succeed(
+          `⚡ Build cache hit: restored ${chalk.cyan(deployDir)} from ${new Date(cached.createdAt).toLocaleString()} (${fingerprint.substring(0, 12)})`
+        );
+        console.log(chalk.gray("   Nothing that feeds the build changed. Use --no-cache to rebuild anyway.\n"));
+      } else {
+        // Fresh clones and CI checkouts: install from the lockfile first
+        if (projectInfo.packageManager && !(await ensureDependencies(projectInfo.packageManager, cwd, spinner))) {
+          setExitCode(EXIT_CODES.BUILD);
+          rl.close();
+          return;
+        }
+        const built = await buildWithAutoFix(spinner, projectInfo, config, options, cwd);
+        if (!built) {
+          setExitCode(EXIT_CODES.BUILD);
+          rl.close();
+          return;
+        }
+        if (useCache) {
+          // Fingerprint again: auto-fixes may have changed the inputs
+          const key = await getBuildFingerprint(cacheInputs);
+          if (key && fs.existsSync(outputDir) && saveBuildCache(key, cacheInputs)) {
+            record.set({ buildCache: "miss" });
+            console.log(chalk.gray(`   💾 Build cached (${key.substring(0, 12)})\n`));
+          }
+        }
+      }
     } else {
       console.log(chalk.gray("⏭️  No build step required for static projects.\n"));
     }
 
     // Step 4: Verify deploy directory
+    record.phase("verify");
     spinner.start("📂 Verifying deploy directory...");
-    const fullPath = path.resolve(process.cwd(), deployDir);
+    const fullPath = path.resolve(cwd, deployDir);
     const normalizedPath = path.normalize(fullPath);
 
     if (!fs.existsSync(normalizedPath)) {
@@ -457,6 +641,7 @@ export default async function deploy() {
           `💡 Make sure your build process outputs to: ${chalk.cyan(deployDir)}`
         )
       );
+      setExitCode(EXIT_CODES.DEPLOY_DIR);
       rl.close();
       return;
     }
@@ -464,6 +649,7 @@ export default async function deploy() {
     const stats = fs.statSync(normalizedPath);
     if (!stats.isDirectory()) {
       spinner.fail(`❌ '${deployDir}' is not a directory.`);
+      setExitCode(EXIT_CODES.DEPLOY_DIR);
       rl.close();
       return;
     }
@@ -487,182 +673,180 @@ export default async function deploy() {
         // Ignore
       }
       
+      setExitCode(EXIT_CODES.MISSING_INDEX);
       rl.close();
       return;
     }
 
     spinner.succeed(`✅ Deploy directory ready: ${chalk.cyan(normalizedPath)}`);
     console.log(chalk.gray(`   ✓ index.html found`));
+
+    // Asset URLs in index.html must live under the base path, or the page loads blank
+    const assetCheck = checkAssetBase(normalizedPath, basePath);
+    if (assetCheck.mismatched.length > 0) {
+      console.log(
+        chalk.yellow(`\n⚠️  ${assetCheck.mismatched.length} asset URL(s) in index.html don't match the base path ${basePath}:`)
+      );
+      assetCheck.mismatched.slice(0, 5).forEach(({ url, reason }) => {
+        console.log(chalk.red(`   • ${url} (${reason})`));
+      });
+      if (assetCheck.mismatched.length > 5) {
+        console.log(chalk.gray(`   ... and ${assetCheck.mismatched.length - 5} more`));
+      }
+      console.log(chalk.gray('   Set "basePath" in .deployease.json if the site is served from another path.\n'));
+
+      const deployAnyway = await confirm("Deploy anyway?", {
+        flag: options.ignoreBasePath,
+        configValue: ciAnswers.ignoreBasePath,
+        defaultValue: false,
+        nonInteractive,
+      });
+      if (!deployAnyway) {
+        setExitCode(EXIT_CODES.BUILD);
+        rl.close();
+        return;
+      }
+    } else if (assetCheck.checked > 0) {
+      console.log(chalk.gray(`   ✓ ${assetCheck.checked} asset URL(s) match the base path ${basePath}`));
+    }
+    record.set(getDirectoryStats(normalizedPath));
+
+    // Pages compatibility: SPA fallback and .nojekyll. Pages only serves
+    // the root 404.html, so previews, versions and apps in a subpath get
+    // .nojekyll alone.
+    const inSubdir = Boolean(preview || version || target.subpath);
+    const compatConfig = inSubdir ? { ...config, pages: { ...config.pages, spaFallback: false } } : config;
+    const compat = target.pagesCompat
+      ? getPagesCompatFiles(normalizedPath, compatConfig, cwd)
+      : { files: {}, notes: [] };
+    compat.notes.forEach((note) => console.log(chalk.gray(`   🧩 Adding ${note}`)));
     console.log();
 
-    // Step 5: Get GitHub token for authentication
+    // Previews carry their branch and deploy time, for 'deployease previews prune'
+    let publishFiles = { extraFiles: compat.files };
+    if (preview) {
+      publishFiles = {
+        extraFiles: { [PREVIEW_META_FILE]: createPreviewMeta({ ...preview, sha: await getHeadSha() }) },
+        rootFiles: compat.files,
+        preview: preview.slug,
+      };
+    } else if (version) {
+      publishFiles = { extraFiles: {}, rootFiles: compat.files, version };
+    } else if (target.subpath) {
+      publishFiles = { extraFiles: {}, rootFiles: compat.files };
+    }
+
+    // Step 5: Authenticate with the deploy target
+    record.phase("auth");
     spinner.start("🔐 Authenticating...");
-    let token = await getGitHubToken();
-    if (!token) {
+    if (!(await target.authenticate(!nonInteractive))) {
       spinner.fail("❌ Authentication required.");
-      console.log(chalk.yellow("💡 Run 'deployease login' to authenticate.\n"));
+      console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+      setExitCode(EXIT_CODES.AUTH);
       rl.close();
       return;
     }
     spinner.succeed("✅ Authentication ready");
     console.log();
 
-    // Step 6: Deploy to GitHub Pages
-    spinner.start(
-      `🚀 Deploying ${chalk.cyan(repo)} to ${chalk.cyan(branch)} branch...`
-    );
+    // Dry run: compare with what is live and stop before pushing
+    if (options.dryRun) {
+      spinner.start(`🔎 Comparing with live ${chalk.cyan(target.describe())}...`);
+      const changes = await target.diff(normalizedPath, publishFiles);
+      spinner.stop();
+      printDeployDiff(changes, target.describe());
+      rl.close();
+      return;
+    }
+
+    // Step 6: Deploy to the target
+    record.phase("publish");
+    let what = "";
+    if (preview) {
+      what = ` preview ${chalk.cyan(preview.slug)}`;
+    } else if (version) {
+      what = ` version ${chalk.cyan(version.name)}`;
+    }
+    spinner.start(`🚀 Deploying${what} to ${chalk.cyan(target.label)} (${chalk.cyan(target.describe())})...`);
     console.log(chalk.gray(`   📂 Source: ${normalizedPath}`));
-    console.log(chalk.gray(`   📦 Repository: ${owner}/${repo}`));
     console.log();
 
-    // Prepare repo URL with token for authentication
-    const repoUrlWithToken = `https://${token}@github.com/${owner}/${repo}.git`;
-
-    // Use git from the project root, not the deploy directory
-    // We'll create a temporary git repo in a temp directory to avoid conflicts
-    const tempDir = path.join(os.tmpdir(), `deployease-${Date.now()}`);
-    
-    spinner.text = `📦 Preparing deployment files...`;
-    
-    // Create temp directory and copy files
-    // IMPORTANT: Copy contents of normalizedPath to tempDir (not the directory itself)
-    await fsExtra.ensureDir(tempDir);
-    
-    // Read all files in the deploy directory
-    const files = fs.readdirSync(normalizedPath);
-    
-    // Copy each file/directory individually to avoid copying the parent directory
-    for (const file of files) {
-      const srcPath = path.join(normalizedPath, file);
-      const destPath = path.join(tempDir, file);
-      const fileStats = fs.statSync(srcPath);
-      
-      // Skip .git directories and node_modules
-      if (file === '.git' || file === 'node_modules') {
-        continue;
-      }
-      
-      if (fileStats.isDirectory()) {
-        await fsExtra.copy(srcPath, destPath, {
-          filter: (src) => {
-            // Don't copy .git directories or node_modules
-            return !src.includes('.git') && !src.includes('node_modules');
-          }
-        });
-      } else {
-        await fsExtra.copy(srcPath, destPath);
-      }
+    // Where the published build is served, relative to the site URL
+    let sitePath = {};
+    if (preview) {
+      sitePath = { subpath: target.getPreviewPath(preview.slug), label: "Preview" };
+    } else if (version) {
+      sitePath = { subpath: version.name, label: `Version ${version.name}` };
     }
-    
-    // Verify index.html was copied
-    const tempIndexHtml = path.join(tempDir, "index.html");
-    if (!fs.existsSync(tempIndexHtml)) {
-      spinner.fail("❌ Failed to copy index.html to deployment directory.");
-      console.log(chalk.red(`   Expected: ${tempIndexHtml}`));
-      try {
-        const tempFiles = fs.readdirSync(tempDir);
-        console.log(chalk.gray(`   Files in temp dir: ${tempFiles.join(", ")}`));
-      } catch (e) {
-        // Ignore
-      }
-      rl.close();
-      return;
+
+    const orphan = resolveOrphan(target, config, options, { inSubdir });
+
+    const result = await target.publish({
+      sourceDir: normalizedPath,
+      message: description || "🚀 Auto-deployed using DeployEase",
+      orphan,
+      deleteStale: options.deleteStale,
+      ...publishFiles,
+      spinner,
+    });
+
+    // What the site root now serves, for redeploy's change detection
+    if (!preview && !version) {
+      const manifest = buildDeployManifest(normalizedPath, { ...compat.files, ...(target.getExtraFiles?.() || {}) });
+      await saveDeployManifest(destination, { manifest, commit: result.commit, command: "deploy" });
     }
-    
-    spinner.text = `📦 Files ready (${files.length} items)`;
-    
-    // Initialize git in temp directory
-    const git = simpleGit(tempDir);
-    await git.init();
-    
-    // Configure git user
-    try {
-      await git.addConfig('user.name', owner, false, 'local');
-      await git.addConfig('user.email', `${owner}@users.noreply.github.com`, false, 'local');
-    } catch (e) {
-      // Ignore config errors
-    }
-
-    // Add remote
-    await git.addRemote('origin', repoUrlWithToken);
-
-    // Add all files and commit
-    spinner.text = `📝 Committing files...`;
-    
-    // List files in temp directory for debugging
-    const tempFiles = fs.readdirSync(tempDir);
-    console.log(chalk.gray(`   Files to deploy: ${tempFiles.slice(0, 10).join(", ")}${tempFiles.length > 10 ? ` (+${tempFiles.length - 10} more)` : ""}`));
-    
-    // Force add all files (including ignored ones for deployment)
-    await git.raw(['add', '-A', '-f', '.']);
-    
-    // Check what files are being committed
-    const statusBefore = await git.status();
-    
-    // Count all tracked and untracked files
-    const totalFiles = statusBefore.files.length + 
-                       statusBefore.not_added.length + 
-                       statusBefore.created.length +
-                       statusBefore.deleted.length +
-                       statusBefore.modified.length;
-    
-    if (totalFiles === 0) {
-      spinner.warn("⚠️  No files detected by git!");
-      console.log(chalk.yellow("   This might indicate a problem with file copying."));
-      console.log(chalk.gray(`   Files in temp dir: ${tempFiles.length}`));
-      
-      // Try listing with ls-files
-      try {
-        const lsFiles = await git.raw(['ls-files']);
-        console.log(chalk.gray(`   Git tracked files: ${lsFiles ? "some" : "none"}`));
-      } catch (e) {
-        // Ignore
+
+    // Targets may only know their final location after publishing
+    record.set({
+      target: target.toLedger(),
+      commit: result.commit,
+      changes: result.changes ? countChanges(result.changes) : null,
+    });
+
+    const verifyOptions = getVerifyOptions(config, options);
+    if (result.upToDate) {
+      record.set({ result: "unchanged" });
+      spinner.succeed(`✅ ${chalk.cyan(target.describe())} is already up to date — nothing to deploy.`);
+      printSiteUrl(target, { note: false, ...sitePath });
+    } else {
+      if (result.changes) {
+        console.log(chalk.gray(`   ✓ Changes: ${formatChangeSummary(result.changes)}`));
       }
-      
-      // Still try to commit if files exist
-      if (tempFiles.length > 0) {
-        console.log(chalk.yellow("   Attempting to commit anyway..."));
-      } else {
-        rl.close();
-        return;
+      if (result.commit) {
+        console.log(chalk.gray(`   ✓ Commit created: ${result.commit.substring(0, 7)}`));
+        console.log(chalk.gray(`   ✓ Message: ${result.message}`));
       }
-    } else {
-      console.log(chalk.gray(`   Staged ${totalFiles} files for commit...`));
-    }
-    
-    await git.commit(description || "🚀 Auto-deployed using DeployEase");
-    
-    // Verify commit was created
-    const log = await git.log(['-1']);
-    if (log.total === 0) {
-      spinner.fail("❌ Failed to create commit!");
-      rl.close();
-      return;
-    }
-    
-    console.log(chalk.gray(`   ✓ Commit created: ${log.latest.hash.substring(0, 7)}`));
-    console.log(chalk.gray(`   ✓ Message: ${log.latest.message}`));
+      (result.details || []).forEach((detail) => console.log(chalk.gray(`   ✓ ${detail}`)));
+      (result.notes || []).forEach((note) => console.log(chalk.yellow(`   ⚠️  ${note}`)));
 
-    // Push to gh-pages branch (create if doesn't exist)
-    spinner.text = `🚀 Pushing to ${chalk.cyan(branch)} branch...`;
-    try {
-      await git.push('origin', `HEAD:${branch}`, ['--force']);
-    } catch (pushErr) {
-      // Retry with force
-      throw pushErr;
+      spinner.succeed(`✅ Successfully deployed ${chalk.yellow(target.describe())} to ${target.label}!`);
+      printSiteUrl(target, { ...sitePath, note: !verifyOptions.enabled });
     }
 
-    // Cleanup temp directory
-    spinner.text = `🧹 Cleaning up...`;
-    await fsExtra.remove(tempDir).catch(() => {});
-
-    spinner.succeed(`✅ Successfully deployed ${chalk.yellow(repo)} to GitHub Pages!`);
-    console.log(chalk.greenBright(`\n🌍 Visit: https://${owner}.github.io/${repo}/`));
-    console.log(chalk.gray(`   Note: It may take a few minutes for GitHub Pages to update.\n`));
+    // Step 7 (--verify): wait for the Pages build and check the live site
+    if (verifyOptions.enabled) {
+      record.phase("live");
+      const verification = await verifyDeployment({
+        target,
+        config,
+        commit: result.commit,
+        deployDir: normalizedPath,
+        subpath: sitePath.subpath,
+        verifyOptions,
+        spinner,
+      });
+      record.set({ verified: verification.ok });
+      console.log();
+      if (!verification.ok) {
+        setExitCode(EXIT_CODES.VERIFY);
+      }
+    }
     rl.close();
   } catch (err) {
     spinner.fail("❌ Deployment failed.");
-    console.error(chalk.redBright(err.stack || err.message));
+    console.error(chalk.redBright(redactUrl(err.stack || err.message)));
+    record.set({ error: err.message });
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
     rl.close();
   }
 }
@@ -0,0 +1,65 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { detectProject } from "../detectors/index.js";
+import { BASE_PATH_MECHANISMS } from "../services/basePath.js";
+
+/**
+ * Detect Command
+ * Shows what deploy detects for a project (framework, build command,
+ * output directory, router, base path mechanism) and why.
+ *
+ *   deployease detect            the current directory
+ *   deployease detect apps/web   another directory
+ *   deployease detect --json     machine-readable
+ */
+export default async function detect(dir = ".", options = {}) {
+  const cwd = path.resolve(dir);
+  if (!fs.existsSync(cwd) || !fs.statSync(cwd).isDirectory()) {
+    console.log(chalk.red(`❌ Directory '${dir}' not found.\n`));
+    setExitCode(EXIT_CODES.CONFIG);
+    return;
+  }
+
+  const detected = detectProject(cwd);
+  if (options.json) {
+    const { packageManager, ...result } = detected;
+    const manager = packageManager && { name: packageManager.name, source: packageManager.source, root: packageManager.root };
+    console.log(JSON.stringify({ ...result, packageManager: manager }, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyanBright("\n🔍 Project Detection\n"));
+  console.log(
+    `✅ ${chalk.cyan(detected.description)} ${chalk.gray(`(${detected.type}, confidence ${detected.confidence}%)`)}`
+  );
+  console.log(chalk.gray(`   📦 Build command: ${detected.buildCmd || "None"}`));
+  if (detected.packageManager) {
+    const { name, source } = detected.packageManager;
+    console.log(chalk.gray(`   🧶 Package manager: ${name}${source === "default" ? "" : ` (${source})`}`));
+  }
+  console.log(chalk.gray(`   📁 Output directory: ${detected.deployDir}`));
+  const mechanism = BASE_PATH_MECHANISMS[detected.basePathMechanism];
+  console.log(chalk.gray(`   🧭 Base path: ${mechanism || "not passed to the build"}`));
+  if (detected.router) {
+    const fallback = detected.router.historyMode ? ", needs the 404.html fallback" : "";
+    console.log(chalk.gray(`   🔀 Router: ${detected.router.router} (${detected.router.reason}${fallback})`));
+  } else {
+    console.log(chalk.gray("   🔀 Router: none detected"));
+  }
+
+  console.log(chalk.cyan("\n💡 Why:"));
+  detected.reasons.forEach((reason) => console.log(chalk.gray(`   • ${reason}`)));
+  detected.warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+
+  const others = detected.candidates.slice(1);
+  if (others.length > 0) {
+    console.log(chalk.cyan("\n🔎 Also matched:"));
+    others.forEach((candidate) => {
+      const name = candidate.framework || candidate.description;
+      console.log(chalk.gray(`   • ${name} (${candidate.type}, ${candidate.confidence}%): ${candidate.reasons[0]}`));
+    });
+  }
+  console.log();
+}
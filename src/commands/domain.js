@@ -0,0 +1,197 @@
+import chalk from "chalk";
+import ora from "ora";
+import readline from "readline";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { isNonInteractive } from "../utils/prompt.js";
+import { loadProjectConfig, saveProjectConfig } from "../utils/projectConfig.js";
+import { createTarget } from "../targets/index.js";
+import {
+  checkDomainDns,
+  getPagesSite,
+  normalizeDomain,
+  setPagesDomain,
+  setPagesHttpsEnforced,
+} from "../services/customDomain.js";
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+});
+
+/**
+ * Print the DNS check for a domain. Returns true if it points at GitHub Pages.
+ */
+async function reportDns(spinner, domain, owner) {
+  spinner.start(`🔎 Checking DNS for ${chalk.cyan(domain)}...`);
+  let result;
+  try {
+    result = await checkDomainDns(domain, owner);
+  } catch (err) {
+    spinner.warn(`⚠️  DNS lookup failed: ${err.message}`);
+    return false;
+  }
+
+  if (result.ok) {
+    spinner.succeed(`✅ DNS for ${domain} points at GitHub Pages`);
+  } else {
+    spinner.warn(`⚠️  DNS for ${domain} doesn't point at GitHub Pages yet`);
+  }
+
+  if (result.cname) console.log(chalk.gray(`   CNAME: ${result.cname}`));
+  if (result.a.length) console.log(chalk.gray(`   A: ${result.a.join(", ")}`));
+  if (result.aaaa.length) console.log(chalk.gray(`   AAAA: ${result.aaaa.join(", ")}`));
+  result.problems.forEach((problem) => console.log(chalk.yellow(`   • ${problem}`)));
+  result.warnings.forEach((warning) => console.log(chalk.gray(`   • ${warning}`)));
+
+  if (!result.ok) {
+    console.log(chalk.gray("\n   Add these records at your DNS provider:"));
+    result.expected.forEach((record) => console.log(chalk.gray(`     ${record}`)));
+    console.log(chalk.gray("   DNS changes can take up to 24 hours to propagate."));
+  }
+  console.log();
+  return result.ok;
+}
+
+/**
+ * Point the Pages site at the domain (or clear it) and enforce HTTPS.
+ * Failures are reported as warnings: the CNAME file in the next deploy
+ * configures the domain anyway.
+ */
+async function configurePages(spinner, target, domain, enforceHttps) {
+  const { token, owner, repo } = target;
+
+  spinner.start("🔧 Updating GitHub Pages settings...");
+  const site = await getPagesSite(token, owner, repo);
+  if (!site) {
+    spinner.warn("⚠️  GitHub Pages isn't enabled for this repository yet.");
+    console.log(chalk.gray("   Run 'deployease deploy' — the CNAME file it publishes sets the domain."));
+    console.log(chalk.gray("   Then run 'deployease domain' again to enforce HTTPS.\n"));
+    return;
+  }
+
+  if ((site.cname || null) !== domain) {
+    await setPagesDomain(token, owner, repo, domain);
+  }
+  spinner.succeed(domain ? `✅ Pages custom domain set to ${domain}` : "✅ Pages custom domain removed");
+
+  if (!domain || !enforceHttps || site.https_enforced) {
+    return;
+  }
+
+  spinner.start("🔒 Enforcing HTTPS...");
+  try {
+    await setPagesHttpsEnforced(token, owner, repo, true);
+    spinner.succeed("✅ HTTPS enforced");
+  } catch (err) {
+    spinner.warn("⚠️  Couldn't enforce HTTPS yet.");
+    console.log(chalk.gray(`   ${err.message}`));
+    console.log(chalk.gray("   GitHub issues the certificate once DNS is correct; re-run 'deployease domain' later."));
+  }
+}
+
+/**
+ * Domain Command
+ * Shows, sets or removes the custom domain of a GitHub Pages site.
+ *
+ *   deployease domain                 show the domain, its DNS and Pages status
+ *   deployease domain www.example.com set the domain
+ *   deployease domain --remove        go back to <owner>.github.io/<repo>
+ */
+export default async function domain(domainArg, options = {}) {
+  console.log(chalk.cyanBright("\n🌐 Custom Domain\n"));
+  const spinner = ora("Loading configuration...").start();
+  const nonInteractive = isNonInteractive(options);
+
+  try {
+    const config = loadProjectConfig();
+    if (!config) {
+      spinner.fail("❌ No .deployease.json found!");
+      console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+
+    const target = createTarget(config);
+    if (target.type !== "github-pages") {
+      spinner.fail(`❌ Custom domains are managed for GitHub Pages only (target: ${target.label}).`);
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+    spinner.succeed("✅ Configuration loaded");
+
+    // Work out the domain to apply
+    let next = config.domain || null;
+    if (options.remove) {
+      next = null;
+    } else if (domainArg) {
+      next = normalizeDomain(domainArg);
+      if (!next) {
+        spinner.fail(`❌ '${domainArg}' isn't a valid domain name.`);
+        setExitCode(EXIT_CODES.CONFIG);
+        rl.close();
+        return;
+      }
+    }
+
+    if (!next && !options.remove) {
+      console.log(chalk.yellow("No custom domain configured."));
+      console.log(chalk.gray(`   Live URL: ${target.getSiteUrl()}`));
+      console.log(chalk.gray("   Set one with: deployease domain www.example.com\n"));
+      rl.close();
+      return;
+    }
+
+    // --check only looks at DNS: a domain given with it isn't saved
+    const changed = !options.check && next !== (config.domain || null);
+    if (changed) {
+      if (next) {
+        config.domain = next;
+      } else {
+        delete config.domain;
+      }
+      saveProjectConfig(config);
+      console.log(
+        chalk.green(next ? `   ✓ Saved domain ${next} to .deployease.json` : "   ✓ Removed domain from .deployease.json")
+      );
+    }
+
+    // DNS check (local resolver)
+    let dnsOk = true;
+    if (next) {
+      console.log();
+      dnsOk = await reportDns(spinner, next, config.owner);
+    }
+
+    if (!options.check) {
+      spinner.start("🔐 Authenticating...");
+      if (!(await target.authenticate(!nonInteractive))) {
+        spinner.fail("❌ Authentication required.");
+        console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+        setExitCode(EXIT_CODES.AUTH);
+        rl.close();
+        return;
+      }
+      spinner.succeed("✅ Authentication ready");
+      await configurePages(spinner, target, next, options.https !== false);
+    }
+
+    const liveTarget = createTarget(config);
+    console.log(chalk.greenBright(`\n🌍 Live URL: ${liveTarget.getSiteUrl()}`));
+    if (changed) {
+      console.log(chalk.gray("   Run 'deployease deploy' to publish the updated CNAME file."));
+    }
+    console.log();
+
+    if (options.check && !dnsOk) {
+      setExitCode(EXIT_CODES.CHECK);
+    }
+    rl.close();
+  } catch (err) {
+    spinner.fail("❌ Domain update failed.");
+    console.error(chalk.redBright(err.message));
+    setExitCode(err.exitCode || (err.status === 401 || err.status === 403 ? EXIT_CODES.AUTH : EXIT_CODES.ERROR));
+    rl.close();
+  }
+}
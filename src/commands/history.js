@@ -0,0 +1,117 @@
+import chalk from "chalk";
+import { readLedger } from "../services/deployLedger.js";
+import { formatBytes } from "../utils/fileManifest.js";
+
+/**
+ * Filter ledger entries by the command-line options
+ */
+function filterEntries(entries, options) {
+  let filtered = entries;
+
+  if (options.command) {
+    filtered = filtered.filter((e) => e.command === options.command);
+  }
+  if (options.result) {
+    filtered = filtered.filter((e) => e.result === options.result);
+  }
+  if (options.branch) {
+    filtered = filtered.filter(
+      (e) => e.source?.branch === options.branch || e.target?.branch === options.branch
+    );
+  }
+  if (options.env) {
+    filtered = filtered.filter((e) => e.environment === options.env);
+  }
+  if (options.since) {
+    const since = new Date(options.since);
+    if (!isNaN(since)) {
+      filtered = filtered.filter((e) => new Date(e.startedAt) >= since);
+    }
+  }
+
+  const limit = parseInt(options.limit, 10);
+  // Newest first
+  filtered = filtered.slice().reverse();
+  return limit > 0 ? filtered.slice(0, limit) : filtered;
+}
+
+/**
+ * Colorize a ledger result
+ */
+function formatResult(entry) {
+  if (entry.result === "success") return chalk.green("✅ success");
+  if (entry.result === "unchanged") return chalk.gray("⏭️  unchanged");
+  return chalk.red(`❌ failed${entry.errorCategory ? ` (${entry.errorCategory})` : ""}`);
+}
+
+/**
+ * Print one ledger entry
+ */
+function printEntry(entry) {
+  const when = new Date(entry.startedAt).toLocaleString();
+  const seconds = entry.durationMs != null ? `${(entry.durationMs / 1000).toFixed(1)}s` : "-";
+
+  const app = entry.app ? chalk.magenta(`  [${entry.app}]`) : "";
+  const environment = entry.environment ? chalk.blue(`  (${entry.environment})`) : "";
+  console.log(
+    `${chalk.yellow(entry.id)}  ${chalk.cyan(entry.command)}${environment}${app}  ${formatResult(entry)}  ${chalk.gray(when)}`
+  );
+
+  const sha = entry.source?.sha ? entry.source.sha.substring(0, 7) : "none";
+  const dirty = entry.source?.dirty ? chalk.yellow(" (dirty)") : "";
+  console.log(chalk.gray(`   Source: ${entry.source?.branch || "-"}@${sha}${dirty}  by ${entry.deployer || "unknown"}`));
+
+  if (entry.target) {
+    const location = entry.target.repo || entry.target.url;
+    const branch = entry.target.branch ? ` → ${entry.target.branch}` : "";
+    const subpath = entry.target.subpath ? ` (/${entry.target.subpath}/)` : "";
+    const commit = entry.commit ? ` (${entry.commit.substring(0, 7)})` : "";
+    let where = "";
+    if (entry.preview) {
+      where = chalk.cyan(`  preview: ${entry.preview}`);
+    } else if (entry.version) {
+      const aliases = entry.aliases?.length ? ` (${entry.aliases.join(", ")})` : "";
+      where = chalk.cyan(`  version: ${entry.version}${aliases}`);
+    }
+    console.log(chalk.gray(`   Target: ${location}${branch}${subpath}${commit}`) + where);
+  }
+  if (entry.verified != null) {
+    console.log(entry.verified ? chalk.gray("   Live check: ✓ passed") : chalk.red("   Live check: ✗ failed"));
+  }
+  if (entry.files != null) {
+    console.log(chalk.gray(`   Files: ${entry.files} (${formatBytes(entry.bytes || 0)})`));
+  }
+
+  const phases = Object.entries(entry.phases || {})
+    .map(([name, ms]) => `${name} ${(ms / 1000).toFixed(1)}s`)
+    .join(", ");
+  console.log(chalk.gray(`   Duration: ${seconds}${phases ? `  [${phases}]` : ""}`));
+
+  if (entry.error) {
+    console.log(chalk.red(`   Error: ${entry.error}`));
+  }
+  console.log();
+}
+
+/**
+ * History Command
+ * Lists entries from the project's deployment ledger (.deployease/history.jsonl)
+ */
+export default async function history(options = {}) {
+  const entries = filterEntries(readLedger(), options);
+
+  if (options.json) {
+    console.log(JSON.stringify(entries, null, 2));
+    return;
+  }
+
+  console.log(chalk.cyanBright("\n📜 Deployment History\n"));
+
+  if (entries.length === 0) {
+    console.log(chalk.yellow("No deployments recorded yet."));
+    console.log(chalk.gray("   Entries are added by 'deployease deploy' and 'deployease redeploy'.\n"));
+    return;
+  }
+
+  entries.forEach(printEntry);
+}
@@ -1,12 +1,18 @@
-import fs from "fs";
 import path from "path";
 import chalk from "chalk";
 import ora from "ora";
 import readline from "readline";
 import inquirer from "inquirer";
 import simpleGit from "simple-git";
-import { createGitHubRepo, initLocalRepo } from "../services/githubService.js";
-import { getGitHubToken } from "../utils/auth.js";
+import { createForge } from "../forges/index.js";
+import { pushSource } from "../services/gitPublisher.js";
+import { getForgeToken } from "../utils/auth.js";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { isNonInteractive } from "../utils/prompt.js";
+import { loadProjectConfig, saveProjectConfig } from "../utils/projectConfig.js";
+import { addToGitignore } from "../utils/gitignore.js";
+import { LEDGER_DIR } from "../services/deployLedger.js";
+import { detectProject } from "../detectors/index.js";
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -16,76 +22,158 @@ const rl = readline.createInterface({
 const ask = (question) =>
   new Promise((resolve) => rl.question(chalk.cyan(question), resolve));
 
-export default async function init() {
+/**
+ * Pick the forge: --forge, then the existing config, then the origin
+ * remote (github.com), then a prompt. Self-hosted forges also need a base URL.
+ */
+async function chooseForge(options, projectConfig, remoteUrl, nonInteractive) {
+  let name = options.forge || projectConfig.forge;
+  let forgeUrl = options.forgeUrl || (options.forge ? undefined : projectConfig.forgeUrl);
+
+  if (!name && remoteUrl && remoteUrl.includes("github.com")) {
+    name = "github";
+  }
+
+  if (!name && !nonInteractive) {
+    const answer = await inquirer.prompt([
+      {
+        type: "list",
+        name: "forge",
+        message: "Where should the repository live?",
+        choices: [
+          { name: "GitHub (GitHub Pages)", value: "github" },
+          { name: "GitLab (GitLab Pages via .gitlab-ci.yml)", value: "gitlab" },
+          { name: "Gitea (pages branch)", value: "gitea" },
+        ],
+        default: "github",
+      },
+    ]);
+    name = answer.forge;
+  }
+  name = name || "github";
+
+  if (name !== "github" && !forgeUrl && !nonInteractive) {
+    const defaults = createForge({ forge: name });
+    const answer = await inquirer.prompt([
+      {
+        type: "input",
+        name: "url",
+        message: `${defaults.label} base URL:`,
+        default: defaults.baseUrl,
+      },
+    ]);
+    forgeUrl = answer.url;
+  }
+
+  return createForge({ forge: name, forgeUrl });
+}
+
+/**
+ * Owner and repo name from a remote URL on the forge's host
+ */
+function parseRemote(remoteUrl, forge) {
+  const host = forge.host.replace(/[.]/g, "\\.");
+  const match = remoteUrl.match(new RegExp(`${host}[:/](.+)/([^/]+?)(?:\\.git)?$`));
+  return match ? { owner: match[1], repoName: match[2] } : null;
+}
+
+export default async function init(options = {}) {
   console.log(chalk.cyanBright("\n🚀 DeployEase Initialization Started...\n"));
   const spinner = ora("Checking repository...").start();
+  const nonInteractive = isNonInteractive(options);
 
   try {
     const git = simpleGit();
     const isRepo = await git.checkIsRepo();
+    const projectConfig = loadProjectConfig() || {};
 
-    let repoUrl, repoName, owner, token;
+    let repoUrl, repoName, owner, token, originUrl;
 
     if (isRepo) {
       const remotes = await git.getRemotes(true);
-      if (remotes.length > 0 && remotes[0].refs.fetch.includes("github.com")) {
-        repoUrl = remotes[0].refs.fetch.trim();
-        const match = repoUrl.match(/github\.com[:/](.+?)\/(.+?)(?:\.git)?$/);
-        if (match) {
-          owner = match[1];
-          repoName = match[2];
-        }
+      if (remotes.length > 0) {
+        originUrl = remotes[0].refs.fetch.trim();
       }
     }
 
-    spinner.succeed("✅ Git repository checked.");
+    spinner.stop();
+    const forge = await chooseForge(options, projectConfig, originUrl, nonInteractive);
 
-    // Get GitHub token (from stored auth, env, or prompt)
+    if (originUrl) {
+      const detected = parseRemote(originUrl, forge);
+      if (detected) {
+        repoUrl = originUrl;
+        ({ owner, repoName } = detected);
+      }
+    }
+
+    // An explicit --repo wins over the detected remote
+    if (options.repo) {
+      repoName = options.repo;
+    } else if (!repoName && nonInteractive) {
+      repoName = projectConfig.repo;
+    }
+
+    spinner.succeed(`✅ Git repository checked (${forge.label}: ${forge.host}).`);
+
+    // Get the forge token (from stored auth, env, or prompt)
     spinner.start("🔐 Authenticating...");
-    token = await getGitHubToken();
+    token = await getForgeToken(forge, !nonInteractive);
     if (!token) {
       spinner.fail("❌ Authentication required.");
-      console.log(chalk.yellow("💡 Run 'deployease login' to authenticate.\n"));
+      console.log(chalk.yellow(`💡 Run 'deployease login${forge.name === "github" ? "" : ` --forge ${forge.name} --forge-url ${forge.baseUrl}`}' to authenticate.\n`));
+      setExitCode(EXIT_CODES.AUTH);
       rl.close();
       return;
     }
-    spinner.succeed("✅ Authenticated");
 
     // Get repository info
     // First, get authenticated user to know the owner
-    const { Octokit } = await import("@octokit/rest");
-    const tempOctokit = new Octokit({ auth: token });
-    const authenticatedUser = await tempOctokit.rest.users.getAuthenticated();
-    const authenticatedOwner = authenticatedUser.data.login;
-    
-    if (!repoName) {
-      repoName = await ask("📦 Enter your GitHub repository name: ");
+    const verification = await forge.verifyToken(token);
+    if (!verification.valid) {
+      spinner.fail(`❌ ${forge.label} rejected the token.`);
+      setExitCode(EXIT_CODES.AUTH);
+      rl.close();
+      return;
+    }
+    const authenticatedOwner = verification.username;
+    spinner.succeed("✅ Authenticated");
+
+    if (!repoName && nonInteractive) {
+      spinner.fail("❌ Repository name required in non-interactive mode.");
+      console.log(chalk.yellow("💡 Pass --repo <name> or add \"repo\" to .deployease.json.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+
+    if (!repoName || options.repo) {
+      repoName = repoName || (await ask(`📦 Enter your ${forge.label} repository name: `));
       // Sanitize repo name (remove invalid characters for GitHub)
       repoName = repoName.trim().replace(/[^a-zA-Z0-9._-]/g, '-');
       if (!repoName) {
         spinner.fail("❌ Invalid repository name.");
+        setExitCode(EXIT_CODES.CONFIG);
         rl.close();
         return;
       }
       // Use authenticated user as owner (don't prompt for username)
       owner = authenticatedOwner;
-      repoUrl = `https://github.com/${owner}/${repoName}.git`;
     } else {
       // If repo was detected, use authenticated owner for consistency
       owner = authenticatedOwner;
     }
 
-    // Detect deploy directory
-    const possibleDirs = ["dist", "build", "public", "."];
-    const deployDir =
-      possibleDirs.find((dir) => fs.existsSync(dir) && fs.statSync(dir).isDirectory()) || ".";
+    // Where the build output lands, as deploy will detect it
+    const { deployDir } = detectProject(process.cwd(), { router: false });
 
-    spinner.start("🔧 Creating GitHub repository...");
+    spinner.start(`🔧 Creating ${forge.label} repository...`);
 
-    // Create repository on GitHub (remove emojis from description for API compatibility)
-    const repoInfo = await createGitHubRepo(repoName, token, "Deployed using DeployEase");
+    // Create repository on the forge (remove emojis from description for API compatibility)
+    const repoInfo = await forge.createRepo(repoName, token, "Deployed using DeployEase");
     if (!repoInfo) {
-      spinner.fail("❌ Failed to create or access GitHub repository.");
+      spinner.fail(`❌ Failed to create or access ${forge.label} repository.`);
+      setExitCode(EXIT_CODES.ERROR);
       rl.close();
       return;
     }
@@ -94,77 +182,58 @@ export default async function init() {
     repoUrl = repoInfo.cloneUrl;
     // Update owner from authenticated user
     owner = repoInfo.owner;
-    spinner.succeed("✅ GitHub repository ready!");
+    spinner.succeed(`✅ ${forge.label} repository ready!`);
 
-    spinner.start("📤 Uploading code to GitHub...");
+    spinner.start(`📤 Uploading code to ${forge.label}...`);
 
     // Initialize git and push all code
     try {
-      if (!isRepo) {
-        await git.init();
-      }
-
-      // Add all files
-      await git.add(".");
-
-      // Check if there are changes to commit
-      const status = await git.status();
-      if (status.files.length > 0) {
-        await git.commit("Initial commit from DeployEase 🚀");
-      }
-
-      // Setup remote
-      const remotes = await git.getRemotes(true);
-      if (!remotes.find((r) => r.name === "origin")) {
-        await git.addRemote("origin", repoUrl);
-      } else {
-        await git.removeRemote("origin");
-        await git.addRemote("origin", repoUrl);
-      }
-
-      // Get current branch or create main
-      const branches = await git.branchLocal();
-      const currentBranch = branches.current || "main";
-      
-      if (!branches.all.includes("main") && currentBranch !== "main") {
-        await git.checkoutLocalBranch("main");
-      }
-
-      // Push to GitHub
-      await git.push("origin", "main", ["--set-upstream"]).catch(async () => {
-        // If main doesn't exist remotely, force push
-        await git.push("origin", "main", ["--set-upstream", "--force"]);
-      });
-
-      spinner.succeed("✅ Code uploaded to GitHub successfully!");
+      await pushSource(git, repoUrl, { isRepo });
+      spinner.succeed(`✅ Code uploaded to ${forge.label} successfully!`);
     } catch (gitErr) {
       spinner.warn("⚠️  Git push had issues, but continuing...");
       console.log(chalk.yellow(gitErr.message));
+      setExitCode(EXIT_CODES.PUSH);
     }
 
     spinner.start("📝 Creating DeployEase configuration...");
 
     // Store clean URL without token
-    const cleanRepoUrl = repoUrl.replace(/https:\/\/[^@]+@/, 'https://');
+    const cleanRepoUrl = repoUrl.replace(/(https?:\/\/)[^@/]+@/, "$1");
 
+    // Re-running init updates these settings and keeps the rest
+    // (environments, apps, domain, ...)
     const deployeaseConfig = {
+      ...projectConfig,
       repo: repoName,
       owner,
-      branch: "gh-pages",
+      branch: forge.pagesBranch,
       deployDir,
       description: "Deployed using DeployEase",
       repoUrl: cleanRepoUrl,
     };
+    if (forge.name !== "github") {
+      deployeaseConfig.forge = forge.name;
+      deployeaseConfig.forgeUrl = forge.baseUrl;
+    } else {
+      delete deployeaseConfig.forge;
+      delete deployeaseConfig.forgeUrl;
+    }
 
-    fs.writeFileSync(".deployease.json", JSON.stringify(deployeaseConfig, null, 2));
+    saveProjectConfig(deployeaseConfig);
+    // Deploy history, manifests and build logs are local state, not source
+    const ignored = addToGitignore([`${LEDGER_DIR}/`, ".deployease-build-error.log"], { comment: "DeployEase" });
 
     spinner.succeed("✅ Configuration file created!");
+    if (ignored.length > 0) {
+      console.log(chalk.gray(`   ✓ Added ${ignored.join(", ")} to .gitignore`));
+    }
     console.log(chalk.greenBright(`\n📁 Repo: ${repoName}`));
     console.log(chalk.greenBright(`👤 Owner: ${owner}`));
     console.log(chalk.greenBright(`📦 Folder to deploy: ${deployDir}`));
-    console.log(chalk.greenBright(`🔗 Repository: ${repoUrl}`));
-    console.log(chalk.yellowBright(`\n✅ Your code is now on GitHub!`));
-    console.log(chalk.yellowBright(`📤 Next: Run 'deployease deploy' to publish to GitHub Pages 🚀\n`));
+    console.log(chalk.greenBright(`🔗 Repository: ${cleanRepoUrl}`));
+    console.log(chalk.yellowBright(`\n✅ Your code is now on ${forge.label}!`));
+    console.log(chalk.yellowBright(`📤 Next: Run 'deployease deploy' to publish to ${forge.label} Pages 🚀\n`));
 
     rl.close();
   } catch (err) {
@@ -173,6 +242,7 @@ export default async function init() {
     if (err.stack) {
       console.error(chalk.gray(err.stack));
     }
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
     rl.close();
   }
 }
@@ -5,7 +5,8 @@ import ora from "ora";
 import chalk from "chalk";
 import readline from "readline";
 import inquirer from "inquirer";
-import { Octokit } from "@octokit/rest";
+import { createForge } from "../forges/index.js";
+import { loadProjectConfig } from "../utils/projectConfig.js";
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -15,6 +16,32 @@ const rl = readline.createInterface({
 const AUTH_DIR = path.join(os.homedir(), ".deployease");
 const AUTH_FILE = path.join(AUTH_DIR, "auth.json");
 
+/**
+ * Read the raw auth file ({} when missing or unreadable)
+ */
+function readAuthFile() {
+  try {
+    if (fs.existsSync(AUTH_FILE)) {
+      return JSON.parse(fs.readFileSync(AUTH_FILE, "utf-8"));
+    }
+  } catch (err) {
+    // Ignore errors
+  }
+  return {};
+}
+
+/**
+ * Write the auth file with minimal permissions (user read/write only)
+ */
+function writeAuthFile(authData) {
+  if (!fs.existsSync(AUTH_DIR)) {
+    fs.mkdirSync(AUTH_DIR, { recursive: true });
+  }
+  fs.writeFileSync(AUTH_FILE, JSON.stringify(authData, null, 2), {
+    mode: 0o600, // Read/write for owner only
+  });
+}
+
 /**
  * Get stored authentication
  */
@@ -41,21 +68,45 @@ export function getStoredAuth() {
  */
 function storeAuth(token, expiresAt = null) {
   try {
-    if (!fs.existsSync(AUTH_DIR)) {
-      fs.mkdirSync(AUTH_DIR, { recursive: true });
-    }
-    
-    const authData = {
+    // Keep tokens stored for other forges
+    const { forges } = readAuthFile();
+    writeAuthFile({
       token,
       expiresAt,
       createdAt: new Date().toISOString(),
-    };
-    
-    // Store with minimal permissions (user read/write only)
-    fs.writeFileSync(AUTH_FILE, JSON.stringify(authData, null, 2), {
-      mode: 0o600, // Read/write for owner only
+      ...(forges ? { forges } : {}),
     });
-    
+    return true;
+  } catch (err) {
+    return false;
+  }
+}
+
+/**
+ * Get the stored token for a forge. GitHub uses the top-level token,
+ * other forges are keyed by host under `forges`.
+ */
+export function getStoredForgeAuth(forge) {
+  if (forge.name === "github") {
+    return getStoredAuth();
+  }
+  return readAuthFile().forges?.[forge.host]?.token || null;
+}
+
+/**
+ * Store a token for a forge
+ */
+function storeForgeAuth(forge, token) {
+  if (forge.name === "github") {
+    return storeAuth(token);
+  }
+  try {
+    const authData = readAuthFile();
+    authData.forges = {
+      ...authData.forges,
+      [forge.host]: { forge: forge.name, token, createdAt: new Date().toISOString() },
+    };
+    writeAuthFile(authData);
     return true;
   } catch (err) {
     return false;
@@ -77,38 +128,28 @@ export function clearStoredAuth() {
 }
 
 /**
- * Verify token with GitHub
+ * Verify token with the forge (GitHub by default)
  */
-async function verifyToken(token) {
-  try {
-    const octokit = new Octokit({ auth: token });
-    const user = await octokit.rest.users.getAuthenticated();
-    return {
-      valid: true,
-      username: user.data.login,
-      name: user.data.name || user.data.login,
-    };
-  } catch (err) {
-    return { valid: false };
-  }
+async function verifyToken(token, forge = createForge()) {
+  return forge.verifyToken(token);
 }
 
 /**
  * Login using Personal Access Token (fallback method)
  */
-async function loginWithToken() {
+async function loginWithToken(forge = createForge()) {
   const spinner = ora("Authenticating...").start();
   
   spinner.stop();
   console.log(chalk.yellow("\n⚠️  Using Personal Access Token method"));
-  console.log(chalk.gray("   Create a token at: https://github.com/settings/tokens"));
-  console.log(chalk.gray("   Required permissions: repo, workflow\n"));
+  console.log(chalk.gray(`   Create a token at: ${forge.tokenUrl}`));
+  console.log(chalk.gray(`   Required permissions: ${forge.tokenScopes}\n`));
   
   const tokenPrompt = await inquirer.prompt([
     {
       type: "password",
       name: "token",
-      message: "🔑 Enter your GitHub Personal Access Token:",
+      message: `🔑 Enter your ${forge.label} Personal Access Token:`,
       mask: "*",
     },
   ]);
@@ -121,7 +162,7 @@ async function loginWithToken() {
   }
   
   spinner.start("Verifying token...");
-  const verification = await verifyToken(token);
+  const verification = await verifyToken(token, forge);
   
   if (!verification.valid) {
     spinner.fail("❌ Invalid token. Please check your token and try again.");
@@ -132,7 +173,7 @@ async function loginWithToken() {
   spinner.succeed(`✅ Authenticated as ${chalk.cyan(verification.username)}`);
   
   // Store token
-  if (storeAuth(token)) {
+  if (storeForgeAuth(forge, token)) {
     console.log(chalk.green("✅ Authentication saved. You won't need to login again."));
   } else {
     console.log(chalk.yellow("⚠️  Could not save authentication."));
@@ -193,14 +234,24 @@ async function loginWithOAuth() {
   }
 }
 
-export default async function login() {
+export default async function login(options = {}) {
   console.log(chalk.cyanBright("\n🔐 DeployEase Login\n"));
+
+  // --forge/--url win over the project's forge; GitHub otherwise
+  const projectConfig = loadProjectConfig() || {};
+  const forge = createForge({
+    forge: options.forge || projectConfig.forge,
+    forgeUrl: options.forgeUrl || (options.forge ? undefined : projectConfig.forgeUrl),
+  });
+  if (forge.name !== "github") {
+    console.log(chalk.gray(`   ${forge.label}: ${forge.baseUrl}\n`));
+  }
   
   // Check if already logged in
-  const existingToken = getStoredAuth();
+  const existingToken = getStoredForgeAuth(forge);
   if (existingToken) {
     const spinner = ora("Checking existing authentication...").start();
-    const verification = await verifyToken(existingToken);
+    const verification = await verifyToken(existingToken, forge);
     
     if (verification.valid) {
       spinner.succeed(`✅ Already logged in as ${chalk.cyan(verification.username)}`);
@@ -209,9 +260,23 @@ export default async function login() {
       return;
     } else {
       spinner.warn("⚠️  Stored token is invalid. Please login again.");
-      clearStoredAuth();
+      if (forge.name === "github") {
+        clearStoredAuth();
+      }
     }
   }
+
+  // Only GitHub has the guided token setup
+  if (forge.name !== "github") {
+    const forgeToken = await loginWithToken(forge);
+    console.log(
+      forgeToken
+        ? chalk.greenBright(`\n✅ Logged in to ${forge.label} (${forge.host}).\n`)
+        : chalk.red("\n❌ Login failed. Please try again.\n")
+    );
+    rl.close();
+    return;
+  }
   
   // Ask for login method
   const loginMethod = await inquirer.prompt([
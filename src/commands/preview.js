@@ -0,0 +1,244 @@
+import fs from "fs";
+import path from "path";
+import chalk from "chalk";
+import fsExtra from "fs-extra";
+import ora from "ora";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { loadProjectConfig } from "../utils/projectConfig.js";
+import { getSingleAppConfig } from "../services/monorepo.js";
+import { resolveEnvironment } from "../services/environments.js";
+import { cloneBranch, createTempDir, remoteBranchExists } from "../services/gitPublisher.js";
+import { findUnderscorePath, getPagesCompatFiles } from "../services/pagesCompat.js";
+import { checkAssetBase, getBasePath } from "../services/basePath.js";
+import { createPagesServer } from "../services/pagesServer.js";
+import { createTarget } from "../targets/index.js";
+import { detectProject } from "../detectors/index.js";
+
+// Pages-branch commits fetched before deepening the clone to find --commit
+const HISTORY_DEPTH = 50;
+const MAX_LISTED = 5;
+
+/**
+ * Base path of the Pages branch root: the site's base path without the
+ * app's subpath, since a commit holds the whole branch
+ */
+function getBranchBasePath(target, config) {
+  const basePath = getBasePath(target, config);
+  const suffix = target.subpath ? `/${target.subpath.replace(/^\/+|\/+$/g, "")}/` : null;
+  return suffix && basePath.endsWith(suffix) ? basePath.slice(0, -suffix.length + 1) : basePath;
+}
+
+/**
+ * Check out `ref` of the target's Pages branch into `siteDir`
+ * @returns {Object} { hash, date, subject }
+ */
+async function checkoutPagesCommit(target, ref, tempDir, siteDir) {
+  const remoteUrl = target.getRemoteUrl();
+  if (!(await remoteBranchExists(remoteUrl, target.branch))) {
+    throw Object.assign(new Error(`Branch '${target.branch}' not found (${target.describe()}).`), {
+      exitCode: EXIT_CODES.CONFIG,
+    });
+  }
+
+  const git = await cloneBranch(remoteUrl, target.branch, tempDir, HISTORY_DEPTH);
+  const resolve = () => git.raw(["rev-parse", "--verify", "--quiet", `${ref}^{commit}`]).then((sha) => sha.trim());
+  let hash = await resolve().catch(() => "");
+  if (!hash) {
+    // Older than the shallow clone: fetch the whole branch
+    await git.raw(["fetch", "--unshallow", "origin", target.branch]).catch(() => {});
+    hash = await resolve().catch(() => "");
+  }
+  if (!hash) {
+    throw Object.assign(new Error(`Commit '${ref}' not found on ${target.branch}.`), {
+      exitCode: EXIT_CODES.CONFIG,
+    });
+  }
+
+  // Check out next to the clone, so .git is never served
+  fs.mkdirSync(siteDir, { recursive: true });
+  await git.raw(["--work-tree", siteDir, "checkout", hash, "--", "."]);
+  const [date, ...subject] = (await git.raw(["log", "-1", "--format=%aI%x09%s", hash])).trim().split("\t");
+  return { hash, date, subject: subject.join("\t") };
+}
+
+/**
+ * Log a request, with a hint when a 404 looks like a base path bug
+ */
+function logRequest({ method, url, status, location, reason }, root, basePath) {
+  const color = status >= 400 ? chalk.yellow : status >= 300 ? chalk.cyan : chalk.gray;
+  const detail = location ? ` → ${location}` : reason ? ` (${reason})` : "";
+  console.log(color(`   ${method} ${url} ${status}${detail}`));
+
+  if (status === 404 && reason?.startsWith("outside")) {
+    let requested = url.replace(/[?#].*$/, "");
+    try {
+      requested = decodeURIComponent(requested);
+    } catch (e) {
+      // Keep the raw path
+    }
+    if (requested !== "/" && fs.existsSync(path.join(root, requested))) {
+      console.log(
+        chalk.yellow(`   💡 The site has ${basePath}${requested.slice(1)}: the build doesn't use the base path ${basePath}`)
+      );
+    }
+  }
+}
+
+/**
+ * Preview Command
+ * Serves the deploy directory (or a past Pages-branch commit) the way
+ * GitHub Pages would, under the same base path as the live site.
+ */
+export default async function preview(options = {}) {
+  console.log(chalk.cyanBright("\n🔭 Previewing the site as GitHub Pages serves it...\n"));
+  const spinner = ora("Loading configuration...").start();
+  const tempDir = createTempDir("deployease-preview");
+
+  try {
+    const loadedConfig = loadProjectConfig();
+    if (!loadedConfig) {
+      spinner.fail("❌ No .deployease.json found!");
+      console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    const { config: projectConfig, environment, error: envError } = resolveEnvironment(loadedConfig, options.env);
+    if (envError) {
+      spinner.fail(`❌ ${envError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    const { config, app, error: appError } = getSingleAppConfig(projectConfig, options);
+    if (appError) {
+      spinner.fail(`❌ ${appError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const port = parseInt(options.port, 10);
+    if (!(port >= 0 && port < 65536)) {
+      spinner.fail(`❌ Invalid port '${options.port}'.`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const target = createTarget(config);
+    const targetError = target.validate();
+    if (targetError) {
+      spinner.fail(`❌ ${targetError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    spinner.succeed(
+      `✅ Configuration loaded${environment ? ` (${environment.name})` : ""}${app ? ` for app ${app.name}` : ""}`
+    );
+
+    let root;
+    let basePath;
+    let extraFiles = {};
+    if (options.commit) {
+      // A past deployment, straight from the Pages branch
+      if (!target.supportsHistory) {
+        spinner.fail(`❌ The ${target.label} target has no Pages branch to preview a commit from.`);
+        setExitCode(EXIT_CODES.CONFIG);
+        return;
+      }
+      spinner.start("🔐 Authenticating...");
+      if (!(await target.authenticate(true))) {
+        spinner.fail("❌ Authentication required.");
+        console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+        setExitCode(EXIT_CODES.AUTH);
+        return;
+      }
+      spinner.text = `📥 Fetching ${chalk.cyan(options.commit)} from ${chalk.cyan(target.branch)}...`;
+      root = path.join(tempDir, "site");
+      const commit = await checkoutPagesCommit(target, options.commit, path.join(tempDir, "repo"), root);
+      basePath = getBranchBasePath(target, config);
+      spinner.succeed(
+        `✅ Deployment ${chalk.yellow(commit.hash.substring(0, 7))} (${new Date(commit.date).toLocaleString()}): ${commit.subject}`
+      );
+    } else {
+      // The current build, with the files deploy would add
+      const cwd = app ? app.dir : process.cwd();
+      const deployDir = config.deployDir || detectProject(cwd, { router: false }).deployDir;
+      root = path.resolve(cwd, deployDir);
+      if (!fs.existsSync(root)) {
+        console.log(chalk.red(`❌ Directory '${deployDir}' not found.`));
+        console.log(chalk.yellow("💡 Build the project first, e.g. with 'deployease deploy --dry-run'.\n"));
+        setExitCode(EXIT_CODES.DEPLOY_DIR);
+        return;
+      }
+      basePath = getBasePath(target, config);
+
+      const compat = target.pagesCompat ? getPagesCompatFiles(root, config, cwd) : { files: {}, notes: [] };
+      extraFiles = { ...compat.files, ...(target.getExtraFiles?.() || {}) };
+      compat.notes.forEach((note) => console.log(chalk.gray(`   🧩 Adding ${note}`)));
+
+      if (!fs.existsSync(path.join(root, "index.html"))) {
+        console.log(chalk.yellow(`   ⚠️  No index.html in ${deployDir}: ${basePath} will be a 404.`));
+      }
+      const assetCheck = checkAssetBase(root, basePath);
+      if (assetCheck.mismatched.length > 0) {
+        console.log(
+          chalk.yellow(`   ⚠️  ${assetCheck.mismatched.length} asset URL(s) in index.html won't load under ${basePath}:`)
+        );
+        assetCheck.mismatched
+          .slice(0, MAX_LISTED)
+          .forEach(({ url, reason }) => console.log(chalk.yellow(`      • ${url} (${reason})`)));
+        console.log(chalk.gray("      Run 'deployease deploy --dry-run' to rebuild with the right base path."));
+      }
+    }
+
+    // Without .nojekyll, Jekyll drops underscore and dot paths
+    if (target.pagesCompat && !fs.existsSync(path.join(root, ".nojekyll")) && !Object.hasOwn(extraFiles, ".nojekyll")) {
+      const underscorePath = findUnderscorePath(root);
+      if (underscorePath) {
+        console.log(chalk.yellow(`   ⚠️  No .nojekyll: Jekyll hides ${underscorePath} and other "_" paths.`));
+      }
+    }
+
+    const server = createPagesServer({
+      root,
+      basePath,
+      extraFiles,
+      onRequest: (request) => logRequest(request, root, basePath),
+    });
+    await new Promise((resolve, reject) => {
+      server.once("error", reject);
+      server.listen(port, options.host, resolve);
+    });
+
+    const url = `http://${options.host}:${server.address().port}${basePath}`;
+    console.log();
+    console.log(chalk.green(`🌐 Serving ${chalk.cyan(root)} at ${chalk.cyan.underline(url)}`));
+    console.log(chalk.gray(`   Check it against the live site with --verify-base http://${options.host}:${server.address().port}`));
+    console.log(chalk.gray("   Press Ctrl+C to stop.\n"));
+
+    // Command modules put a TTY stdin in raw mode for their prompts, where
+    // Ctrl+C never reaches the process as SIGINT
+    if (process.stdin.isTTY) {
+      process.stdin.setRawMode(false);
+    }
+    await new Promise((resolve) => {
+      const stop = () => {
+        process.off("SIGINT", stop);
+        process.off("SIGTERM", stop);
+        server.closeAllConnections();
+        server.close(resolve);
+      };
+      process.on("SIGINT", stop);
+      process.on("SIGTERM", stop);
+    });
+    console.log(chalk.gray("\n🛑 Preview server stopped.\n"));
+  } catch (err) {
+    if (err.code === "EADDRINUSE") {
+      spinner.fail(`❌ Port ${options.port} is already in use. Pick another with --port.`);
+    } else {
+      spinner.fail(`❌ ${err.exitCode ? err.message : "Preview failed."}`);
+      if (!err.exitCode) console.error(chalk.redBright(err.stack || err.message));
+    }
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
+  } finally {
+    await fsExtra.remove(tempDir).catch(() => {});
+  }
+}
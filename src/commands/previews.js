@@ -0,0 +1,172 @@
+import chalk from "chalk";
+import fsExtra from "fs-extra";
+import ora from "ora";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { confirm, isNonInteractive } from "../utils/prompt.js";
+import { loadProjectConfig } from "../utils/projectConfig.js";
+import { getSingleAppConfig } from "../services/monorepo.js";
+import {
+  cloneBranch,
+  configureAuthor,
+  createTempDir,
+  getStagedChanges,
+  pushBranch,
+  remoteBranchExists,
+} from "../services/gitPublisher.js";
+import { findStalePreviews, getPreviewTtlDays, getSourceBranches, readPreviews } from "../services/previews.js";
+import { createTarget } from "../targets/index.js";
+
+/**
+ * Human-readable age, e.g. "3d" or "5h"
+ */
+function formatAge(date) {
+  if (!date) return "unknown";
+  const hours = Math.floor((Date.now() - new Date(date).getTime()) / (60 * 60 * 1000));
+  return hours >= 24 ? `${Math.floor(hours / 24)}d` : `${hours}h`;
+}
+
+/**
+ * Print one preview, with the reason it would be pruned if any
+ */
+function printPreview(target, preview, reason) {
+  const sha = preview.sha ? preview.sha.substring(0, 7) : "-";
+  const status = reason ? chalk.yellow(`  (${reason})`) : "";
+  console.log(`   ${chalk.yellow(preview.slug)}  ${chalk.gray(`${preview.branch || "unknown branch"}@${sha}`)}${status}`);
+  const when = preview.deployedAt ? new Date(preview.deployedAt).toLocaleString() : "unknown";
+  console.log(chalk.gray(`      Deployed: ${when} (${formatAge(preview.deployedAt)} ago)`));
+  const url = target.getPreviewUrl(preview.slug);
+  if (url) {
+    console.log(chalk.gray(`      URL: ${url}`));
+  }
+}
+
+/**
+ * Previews Command
+ * Lists or prunes the branch previews published with 'deployease deploy --preview'.
+ *
+ *   deployease previews list            show previews and which ones are stale
+ *   deployease previews prune [--ttl N] remove previews of deleted branches or older than N days
+ */
+export default async function previews(action = "list", options = {}) {
+  console.log(chalk.cyanBright("\n👀 Preview Deployments\n"));
+  const spinner = ora("Loading configuration...").start();
+  const nonInteractive = isNonInteractive(options);
+  const tempDir = createTempDir("deployease-previews");
+
+  try {
+    if (!["list", "prune"].includes(action)) {
+      spinner.fail(`❌ Unknown action '${action}'. Use 'list' or 'prune'.`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const projectConfig = loadProjectConfig();
+    if (!projectConfig) {
+      spinner.fail("❌ No .deployease.json found!");
+      console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    const { config, app, error: appError } = getSingleAppConfig(projectConfig, options);
+    if (appError) {
+      spinner.fail(`❌ ${appError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const target = createTarget(config);
+    const targetError = target.validate();
+    if (targetError) {
+      spinner.fail(`❌ ${targetError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    if (!target.supportsPreviews) {
+      spinner.fail(`❌ Preview deployments aren't supported for the ${target.label} target.`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    const { branch, previewsDir } = target;
+    spinner.succeed(`✅ Configuration loaded${app ? ` (app: ${app.name})` : ""}`);
+
+    spinner.start("🔐 Authenticating...");
+    if (!(await target.authenticate(!nonInteractive))) {
+      spinner.fail("❌ Authentication required.");
+      console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+      setExitCode(EXIT_CODES.AUTH);
+      return;
+    }
+    spinner.succeed("✅ Authentication ready");
+
+    const remoteUrl = target.getRemoteUrl();
+    spinner.start(`📥 Fetching previews from ${chalk.cyan(branch)}...`);
+    if (!(await remoteBranchExists(remoteUrl, branch))) {
+      spinner.succeed(`✅ No previews yet (${target.describe()} doesn't exist).`);
+      console.log();
+      return;
+    }
+
+    const git = await cloneBranch(remoteUrl, branch, tempDir);
+    const found = readPreviews(tempDir, target.getTreePath(previewsDir));
+    const ttlDays = getPreviewTtlDays(config, options.ttl);
+    const branches = await getSourceBranches();
+    const stale = findStalePreviews(found, { ttlDays, branches });
+    const staleReasons = new Map(stale.map((preview) => [preview.slug, preview.reason]));
+    spinner.succeed(`✅ Found ${found.length} preview(s) in ${target.getTreePath(previewsDir)}/`);
+    console.log();
+
+    if (!branches) {
+      console.log(chalk.gray("   Not in a git repository: only the TTL is checked.\n"));
+    }
+
+    if (action === "list") {
+      found.forEach((preview) => printPreview(target, preview, staleReasons.get(preview.slug)));
+      if (found.length > 0) console.log();
+      if (stale.length > 0) {
+        console.log(chalk.yellow(`💡 ${stale.length} stale preview(s). Run 'deployease previews prune' to remove them.\n`));
+      }
+      return;
+    }
+
+    if (stale.length === 0) {
+      console.log(chalk.green(`✅ Nothing to prune (TTL: ${ttlDays} day(s)).\n`));
+      return;
+    }
+
+    console.log(chalk.cyan(`🧹 Previews to remove:\n`));
+    stale.forEach((preview) => printPreview(target, preview, preview.reason));
+    console.log();
+
+    if (options.dryRun) {
+      console.log(chalk.gray("   Dry run: nothing was removed.\n"));
+      return;
+    }
+
+    const proceed = await confirm(`Remove ${stale.length} preview(s) from ${branch}?`, {
+      defaultValue: true,
+      nonInteractive,
+    });
+    if (!proceed) {
+      console.log(chalk.yellow("❌ Prune cancelled.\n"));
+      return;
+    }
+
+    spinner.start(`🧹 Removing ${stale.length} preview(s)...`);
+    await configureAuthor(git, target.getAuthor());
+    await git.raw(["rm", "-r", "-q", "--", ...stale.map((preview) => preview.path)]);
+    const changes = await getStagedChanges(git);
+    await git.commit(`🧹 Prune previews: ${stale.map((preview) => preview.slug).join(", ")}`);
+    const log = await git.log(["-1"]);
+
+    spinner.text = `🚀 Pushing to ${chalk.cyan(branch)} branch...`;
+    await pushBranch(git, branch);
+    spinner.succeed(`✅ Removed ${stale.length} preview(s) (${changes.deleted.length} file(s))`);
+    console.log(chalk.gray(`   ✓ Commit created: ${log.latest.hash.substring(0, 7)}\n`));
+  } catch (err) {
+    spinner.fail("❌ Preview command failed.");
+    console.error(chalk.redBright(err.message));
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
+  } finally {
+    await fsExtra.remove(tempDir).catch(() => {});
+  }
+}
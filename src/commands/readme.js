@@ -4,6 +4,8 @@ import ora from "ora";
 import chalk from "chalk";
 import readline from "readline";
 import inquirer from "inquirer";
+import { detectProject } from "../detectors/index.js";
+import { getPackageManager } from "../services/packageManager.js";
 
 const rl = readline.createInterface({
   input: process.stdin,
@@ -14,16 +16,18 @@ const rl = readline.createInterface({
  * Detect project information for README generation
  */
 function detectProjectInfo(cwd) {
+  const detected = detectProject(cwd, { router: false });
   const info = {
     name: "Project",
     description: "",
-    type: "static",
-    framework: null,
+    type: detected.type,
+    framework: detected.framework,
     hasPackageJson: false,
     scripts: {},
     dependencies: {},
     author: "",
     version: "1.0.0",
+    packageManager: detected.packageManager || getPackageManager(cwd),
   };
 
   // Check package.json
@@ -41,24 +45,6 @@ function detectProjectInfo(cwd) {
       };
       info.author = packageJson.author || "";
       info.version = packageJson.version || "1.0.0";
-
-      // Detect framework
-      if (info.dependencies["react-scripts"]) {
-        info.type = "react";
-        info.framework = "React (Create React App)";
-      } else if (info.dependencies["next"]) {
-        info.type = "nextjs";
-        info.framework = "Next.js";
-      } else if (info.dependencies["vite"]) {
-        info.type = "vite";
-        info.framework = "Vite";
-      } else if (info.dependencies["vue"]) {
-        info.type = "vue";
-        info.framework = "Vue.js";
-      } else if (info.dependencies["@angular/core"]) {
-        info.type = "angular";
-        info.framework = "Angular";
-      }
     } catch (err) {
       // Ignore parse errors
     }
@@ -146,10 +132,11 @@ Make it professional, well-formatted, and include proper markdown syntax.`;
  * Generate README from template
  */
 function generateTemplateReadme(projectInfo) {
-  const buildCommand = projectInfo.scripts.build || "npm run build";
-  const installCommand = projectInfo.hasPackageJson ? "npm install" : "# No dependencies required";
+  const pm = projectInfo.packageManager;
+  const buildCommand = projectInfo.scripts.build || pm.run("build");
+  const installCommand = projectInfo.hasPackageJson ? pm.install : "# No dependencies required";
   const startCommand = projectInfo.scripts.start
-    ? `\`\`\`bash\nnpm start\n\`\`\``
+    ? `\`\`\`bash\n${pm.run("start")}\n\`\`\``
     : "# Static project - open index.html in browser";
 
   let features = [];
@@ -178,7 +165,7 @@ ${features.map((f) => `- ${f}`).join("\n")}
 ### Prerequisites
 
 - Node.js (v14 or higher)
-- npm or yarn
+- ${pm.name}
 
 ### Installation
 
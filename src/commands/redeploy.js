@@ -1,46 +1,125 @@
 import chalk from "chalk";
 import fs from "fs";
-import fsExtra from "fs-extra";
 import path from "path";
-import os from "os";
 import ora from "ora";
-import simpleGit from "simple-git";
 import readline from "readline";
-import inquirer from "inquirer";
-import { getGitHubToken } from "../utils/auth.js";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { isNonInteractive } from "../utils/prompt.js";
+import { loadProjectConfig } from "../utils/projectConfig.js";
+import { countChanges, formatChangeSummary, getRemoteBranchHead } from "../services/gitPublisher.js";
+import { DeploymentRecorder } from "../services/deployLedger.js";
+import { printDeployDiff, printFileChanges } from "../services/deployDiff.js";
+import {
+  buildDeployManifest,
+  getCommitsSince,
+  getDestinationKey,
+  loadDeployManifest,
+  saveDeployManifest,
+} from "../services/deployManifest.js";
+import { createTarget, printSiteUrl, resolveOrphan } from "../targets/index.js";
+import { redactUrl } from "../targets/gitRemoteTarget.js";
+import { diffManifests, getDirectoryStats } from "../utils/fileManifest.js";
+import { getPagesCompatFiles } from "../services/pagesCompat.js";
+import { checkAssetBase, getBasePath } from "../services/basePath.js";
+import { checkEnvironmentGuards, resolveEnvironment } from "../services/environments.js";
+import { getVerifyOptions, verifyDeployment } from "../services/liveVerify.js";
 
 const rl = readline.createInterface({
   input: process.stdin,
   output: process.stdout,
 });
 
-export default async function redeploy() {
+/**
+ * Print the source commits made since the last deploy
+ */
+function printSourceCommits(commits, lastSha) {
+  if (!commits) return;
+  const last = lastSha ? lastSha.substring(0, 7) : "unknown";
+  if (!commits.known) {
+    console.log(chalk.gray(`   Source: the last deployed commit (${last}) isn't in the current history.\n`));
+  } else if (commits.total === 0) {
+    console.log(chalk.gray(`   Source: no new commits since ${last}.\n`));
+  } else {
+    console.log(chalk.gray(`   Source: ${commits.total} new commit(s) since ${last}:`));
+    commits.commits.forEach(({ hash, message }) => console.log(chalk.gray(`   • ${hash.substring(0, 7)} ${message}`)));
+    if (commits.total > commits.commits.length) {
+      console.log(chalk.gray(`   ... and ${commits.total - commits.commits.length} more`));
+    }
+    console.log();
+  }
+}
+
+/**
+ * @returns {Object|null} the history entry of the redeploy (null for dry runs)
+ */
+export default async function redeploy(options = {}) {
+  const record = new DeploymentRecorder("redeploy");
+  await runRedeploy(options, record);
+  // Dry runs don't deploy anything, so they aren't recorded
+  if (options.dryRun) {
+    return null;
+  }
+  return record.finish(process.exitCode);
+}
+
+async function runRedeploy(options, record) {
   console.log(chalk.cyanBright("\n🔁 Redeploying existing site...\n"));
   const spinner = ora("Loading configuration...").start();
+  const nonInteractive = isNonInteractive(options);
 
   try {
     // Load configuration
-    const configPath = path.resolve(".deployease.json");
+    record.phase("config");
+    const projectConfig = loadProjectConfig();
 
-    if (!fs.existsSync(configPath)) {
+    if (!projectConfig) {
       spinner.fail("❌ No .deployease.json found!");
       console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
       rl.close();
       return;
     }
 
-    const config = JSON.parse(fs.readFileSync(configPath, "utf-8"));
-    const { repo, owner, branch = "gh-pages", deployDir = ".", description, repoUrl } = config;
+    // Named environments: --env or "defaultEnvironment"
+    const { config, environment, error: envError } = resolveEnvironment(projectConfig, options.env);
+    if (envError) {
+      spinner.fail(`❌ ${envError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+    if (environment) {
+      record.set({ environment: environment.name });
+    }
 
-    if (!repo || !owner) {
-      spinner.fail("❌ Missing repo or owner in .deployease.json");
+    const { deployDir = ".", description } = config;
+    const target = createTarget(config);
+    record.set({ target: target.toLedger() });
+    const destination = getDestinationKey(target);
+
+    const targetError = target.validate();
+    if (targetError) {
+      spinner.fail(`❌ ${targetError}`);
+      setExitCode(EXIT_CODES.CONFIG);
       rl.close();
       return;
     }
 
-    spinner.succeed("✅ Configuration loaded");
+    spinner.succeed(`✅ Configuration loaded${environment ? ` (environment: ${chalk.bold(environment.name)})` : ""}`);
+
+    // Protected environments: clean tree and confirmation
+    if (environment && !options.dryRun) {
+      const guard = await checkEnvironmentGuards(environment, options);
+      if (!guard.ok) {
+        spinner.fail(`❌ ${guard.message}`);
+        setExitCode(guard.exitCode);
+        rl.close();
+        return;
+      }
+    }
 
     // Verify deploy directory exists
+    record.phase("verify");
     spinner.start("📂 Verifying deploy directory...");
     const fullPath = path.resolve(process.cwd(), deployDir);
     const normalizedPath = path.normalize(fullPath);
@@ -53,6 +132,7 @@ export default async function redeploy() {
         )
       );
       console.log(chalk.yellow("   You may need to run 'deployease deploy' first to build the project."));
+      setExitCode(EXIT_CODES.DEPLOY_DIR);
       rl.close();
       return;
     }
@@ -60,6 +140,7 @@ export default async function redeploy() {
     const stats = fs.statSync(normalizedPath);
     if (!stats.isDirectory()) {
       spinner.fail(`❌ '${deployDir}' is not a directory.`);
+      setExitCode(EXIT_CODES.DEPLOY_DIR);
       rl.close();
       return;
     }
@@ -68,161 +149,165 @@ export default async function redeploy() {
     const indexHtmlPath = path.join(normalizedPath, "index.html");
     if (!fs.existsSync(indexHtmlPath)) {
       spinner.fail(`❌ index.html not found in '${deployDir}' directory.`);
+      setExitCode(EXIT_CODES.MISSING_INDEX);
       rl.close();
       return;
     }
 
     spinner.succeed(`✅ Deploy directory ready: ${chalk.cyan(normalizedPath)}`);
+    record.set(getDirectoryStats(normalizedPath));
+
+    // The existing build may have been made for another base path
+    const basePath = getBasePath(target, config);
+    const assetCheck = checkAssetBase(normalizedPath, basePath);
+    if (assetCheck.mismatched.length > 0) {
+      console.log(
+        chalk.yellow(`   ⚠️  ${assetCheck.mismatched.length} asset URL(s) in index.html don't match the base path ${basePath}`)
+      );
+      console.log(chalk.gray("      Run 'deployease deploy' to rebuild with the right base path."));
+    }
+
+    // Pages compatibility: SPA fallback and .nojekyll
+    const compat = target.pagesCompat ? getPagesCompatFiles(normalizedPath, config) : { files: {}, notes: [] };
+    compat.notes.forEach((note) => console.log(chalk.gray(`   🧩 Adding ${note}`)));
     console.log();
 
-    // Get GitHub token for authentication
+    // Authenticate with the deploy target
+    record.phase("auth");
     spinner.start("🔐 Authenticating...");
-    let token = await getGitHubToken();
-    if (!token) {
+    if (!(await target.authenticate(!nonInteractive))) {
       spinner.fail("❌ Authentication required.");
-      console.log(chalk.yellow("💡 Run 'deployease login' to authenticate.\n"));
+      console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+      setExitCode(EXIT_CODES.AUTH);
       rl.close();
       return;
     }
     spinner.succeed("✅ Authentication ready");
     console.log();
 
-    // Deploy to GitHub Pages
-    spinner.start(
-      `🚀 Redeploying ${chalk.cyan(repo)} to ${chalk.cyan(branch)} branch...`
-    );
-    console.log(chalk.gray(`   📂 Source: ${normalizedPath}`));
-    console.log(chalk.gray(`   📦 Repository: ${owner}/${repo}`));
-    console.log();
-
-    // Prepare repo URL with token for authentication
-    const repoUrlWithToken = `https://${token}@github.com/${owner}/${repo}.git`;
-
-    // Create temporary git repo for deployment
-    const tempDir = path.join(os.tmpdir(), `deployease-redeploy-${Date.now()}`);
-
-    spinner.text = `📦 Preparing deployment files...`;
-
-    // Create temp directory and copy files
-    await fsExtra.ensureDir(tempDir);
-
-    // Read all files in the deploy directory
-    const files = fs.readdirSync(normalizedPath);
-
-    // Copy each file/directory individually
-    for (const file of files) {
-      const srcPath = path.join(normalizedPath, file);
-      const destPath = path.join(tempDir, file);
-      const fileStats = fs.statSync(srcPath);
-
-      // Skip .git directories and node_modules
-      if (file === ".git" || file === "node_modules") {
-        continue;
+    // Change detection: compare with the manifest of the last successful deploy
+    record.phase("changes");
+    const manifest = buildDeployManifest(normalizedPath, { ...compat.files, ...(target.getExtraFiles?.() || {}) });
+    const lastDeploy = loadDeployManifest(destination);
+    // The manifest is only what's live if the branch is still at its commit:
+    // a rollback, or a deploy from another machine or CI, moves it
+    const liveCommit =
+      lastDeploy && target.supportsHistory
+        ? await getRemoteBranchHead(target.getRemoteUrl(), target.branch).catch(() => undefined)
+        : lastDeploy?.commit;
+    if (!lastDeploy) {
+      console.log(chalk.gray("   No previous deploy recorded for this target: deploying everything.\n"));
+    } else if (liveCommit !== lastDeploy.commit) {
+      const reason =
+        liveCommit === undefined
+          ? `Couldn't read the live ${target.branch} branch`
+          : `${target.branch} changed since the last deploy from here (a rollback, or a deploy from elsewhere)`;
+      console.log(chalk.yellow(`   ⚠️  ${reason}: deploying everything.\n`));
+    } else {
+      const changes = diffManifests(manifest, lastDeploy.manifest);
+      const changed = changes.added.length + changes.changed.length + changes.removed.length;
+      const commits = await getCommitsSince(lastDeploy.sourceSha);
+      const since = new Date(lastDeploy.deployedAt).toLocaleString();
+
+      if (changed === 0 && !options.force) {
+        record.set({ result: "unchanged" });
+        spinner.succeed(`✅ Nothing changed since the last deploy (${since}) — nothing to redeploy.`);
+        if (commits?.total > 0) {
+          console.log(chalk.gray(`   ${commits.total} new commit(s), but the deploy directory is identical.`));
+          console.log(chalk.gray("   Run 'deployease deploy' to rebuild it first."));
+        }
+        console.log(chalk.gray("   Use --force to redeploy anyway.\n"));
+        rl.close();
+        return;
       }
 
-      if (fileStats.isDirectory()) {
-        await fsExtra.copy(srcPath, destPath, {
-          filter: (src) => {
-            return !src.includes(".git") && !src.includes("node_modules");
-          },
-        });
-      } else {
-        await fsExtra.copy(srcPath, destPath);
-      }
+      console.log(chalk.cyan(`📝 Changes since the last deploy (${since}):\n`));
+      printSourceCommits(commits, lastDeploy.sourceSha);
+      printFileChanges(changes);
+      console.log();
     }
 
-    // Verify index.html was copied
-    const tempIndexHtml = path.join(tempDir, "index.html");
-    if (!fs.existsSync(tempIndexHtml)) {
-      spinner.fail("❌ Failed to copy index.html to deployment directory.");
+    // Dry run: compare with what is live and stop before pushing
+    if (options.dryRun) {
+      spinner.start(`🔎 Comparing with live ${chalk.cyan(target.describe())}...`);
+      const preview = await target.diff(normalizedPath, { extraFiles: compat.files });
+      spinner.stop();
+      printDeployDiff(preview, target.describe());
       rl.close();
       return;
     }
 
-    spinner.text = `📦 Files ready (${files.length} items)`;
-
-    // Initialize git in temp directory
-    const git = simpleGit(tempDir);
-    await git.init();
-
-    // Configure git user
-    try {
-      await git.addConfig("user.name", owner, false, "local");
-      await git.addConfig(
-        "user.email",
-        `${owner}@users.noreply.github.com`,
-        false,
-        "local"
-      );
-    } catch (e) {
-      // Ignore config errors
-    }
-
-    // Add remote
-    await git.addRemote("origin", repoUrlWithToken);
-
-    // Add all files and commit
-    spinner.text = `📝 Committing files...`;
-    console.log(
-      chalk.gray(
-        `   Files to deploy: ${files.slice(0, 10).join(", ")}${
-          files.length > 10 ? ` (+${files.length - 10} more)` : ""
-        }`
-      )
+    // Deploy to the target
+    record.phase("publish");
+    spinner.start(
+      `🚀 Redeploying to ${chalk.cyan(target.label)} (${chalk.cyan(target.describe())})...`
     );
+    console.log(chalk.gray(`   📂 Source: ${normalizedPath}`));
+    console.log();
 
-    // Force add all files
-    await git.raw(["add", "-A", "-f", "."]);
-
-    const status = await git.status();
-    const totalFiles =
-      status.files.length +
-      status.not_added.length +
-      status.created.length +
-      status.deleted.length +
-      status.modified.length;
-
-    if (totalFiles === 0 && files.length === 0) {
-      spinner.warn("⚠️  No files to commit!");
-      rl.close();
-      return;
-    }
-
-    console.log(chalk.gray(`   Staged ${totalFiles} files for commit...`));
-
-    await git.commit(description || "🚀 Re-deployed using DeployEase");
+    const orphan = resolveOrphan(target, config, options);
+
+    const result = await target.publish({
+      sourceDir: normalizedPath,
+      message: description || "🚀 Re-deployed using DeployEase",
+      orphan,
+      deleteStale: options.deleteStale,
+      extraFiles: compat.files,
+      spinner,
+    });
+
+    await saveDeployManifest(destination, { manifest, commit: result.commit, command: "redeploy" });
+
+    // Targets may only know their final location after publishing
+    record.set({
+      target: target.toLedger(),
+      commit: result.commit,
+      changes: result.changes ? countChanges(result.changes) : null,
+    });
+
+    const verifyOptions = getVerifyOptions(config, options);
+    if (result.upToDate) {
+      record.set({ result: "unchanged" });
+      spinner.succeed(`✅ ${chalk.cyan(target.describe())} is already up to date — nothing to redeploy.`);
+      printSiteUrl(target, { note: false });
+    } else {
+      if (result.changes) {
+        console.log(chalk.gray(`   ✓ Changes: ${formatChangeSummary(result.changes)}`));
+      }
+      if (result.commit) {
+        console.log(chalk.gray(`   ✓ Commit created: ${result.commit.substring(0, 7)}`));
+        console.log(chalk.gray(`   ✓ Message: ${result.message}`));
+      }
+      (result.details || []).forEach((detail) => console.log(chalk.gray(`   ✓ ${detail}`)));
+      (result.notes || []).forEach((note) => console.log(chalk.yellow(`   ⚠️  ${note}`)));
 
-    // Verify commit was created
-    const log = await git.log(["-1"]);
-    if (log.total === 0) {
-      spinner.fail("❌ Failed to create commit!");
-      rl.close();
-      return;
+      spinner.succeed(`✅ Successfully redeployed ${chalk.yellow(target.describe())} to ${target.label}!`);
+      printSiteUrl(target, { note: !verifyOptions.enabled });
     }
 
-    console.log(chalk.gray(`   ✓ Commit created: ${log.latest.hash.substring(0, 7)}`));
-
-    // Push to gh-pages branch
-    spinner.text = `🚀 Pushing to ${chalk.cyan(branch)} branch...`;
-    try {
-      await git.push("origin", `HEAD:${branch}`, ["--force"]);
-    } catch (pushErr) {
-      throw pushErr;
+    // --verify: wait for the Pages build and check the live site
+    if (verifyOptions.enabled) {
+      record.phase("live");
+      const verification = await verifyDeployment({
+        target,
+        config,
+        commit: result.commit,
+        deployDir: normalizedPath,
+        verifyOptions,
+        spinner,
+      });
+      record.set({ verified: verification.ok });
+      console.log();
+      if (!verification.ok) {
+        setExitCode(EXIT_CODES.VERIFY);
+      }
     }
-
-    // Cleanup temp directory
-    spinner.text = `🧹 Cleaning up...`;
-    await fsExtra.remove(tempDir).catch(() => {});
-
-    spinner.succeed(`✅ Successfully redeployed ${chalk.yellow(repo)} to GitHub Pages!`);
-    console.log(chalk.greenBright(`\n🌍 Visit: https://${owner}.github.io/${repo}/`));
-    console.log(
-      chalk.gray(`   Note: It may take a few minutes for GitHub Pages to update.\n`)
-    );
     rl.close();
   } catch (err) {
     spinner.fail("❌ Redeployment failed.");
-    console.error(chalk.redBright(err.stack || err.message));
+    console.error(chalk.redBright(redactUrl(err.stack || err.message)));
+    record.set({ error: err.message });
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
     rl.close();
   }
 }
@@ -0,0 +1,233 @@
+import path from "path";
+import chalk from "chalk";
+import fsExtra from "fs-extra";
+import ora from "ora";
+import readline from "readline";
+import inquirer from "inquirer";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { confirm, isNonInteractive } from "../utils/prompt.js";
+import { loadProjectConfig } from "../utils/projectConfig.js";
+import {
+  cloneBranch,
+  configureAuthor,
+  createTempDir,
+  formatChangeSummary,
+  getStagedChanges,
+  pushBranch,
+  remoteBranchExists,
+} from "../services/gitPublisher.js";
+import { createTarget, printSiteUrl } from "../targets/index.js";
+import { clearDeployManifest, getDestinationKey } from "../services/deployManifest.js";
+
+const rl = readline.createInterface({
+  input: process.stdin,
+  output: process.stdout,
+});
+
+/**
+ * Read the most recent deployments (commits) on the Pages branch clone,
+ * only those that touched `subpath` when given (a monorepo app)
+ */
+async function listDeployments(git, limit, subpath = null) {
+  const output = await git.raw([
+    "log",
+    `-${limit}`,
+    "--format=%H%x09%an%x09%aI%x09%s",
+    ...(subpath ? ["--", subpath] : []),
+  ]);
+
+  return output
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      const [hash, author, date, ...subject] = line.split("\t");
+      return { hash, author, date, subject: subject.join("\t") };
+    });
+}
+
+/**
+ * Format a deployment for list output
+ */
+function formatDeployment(deployment, isCurrent = false) {
+  const when = new Date(deployment.date).toLocaleString();
+  const current = isCurrent ? chalk.green(" (live)") : "";
+  return `${chalk.yellow(deployment.hash.substring(0, 7))}  ${chalk.gray(when)}  ${deployment.subject}${current}`;
+}
+
+/**
+ * Rollback Command
+ * Restores a previous deployment on the Pages branch as a new commit,
+ * without building anything locally.
+ */
+export default async function rollback(options = {}) {
+  console.log(chalk.cyanBright("\n⏪ Rolling back deployment...\n"));
+  const spinner = ora("Loading configuration...").start();
+  const nonInteractive = isNonInteractive(options);
+  const limit = Math.max(parseInt(options.limit, 10) || 10, 2);
+  const tempDir = createTempDir("deployease-rollback");
+
+  try {
+    const config = loadProjectConfig();
+    if (!config) {
+      spinner.fail("❌ No .deployease.json found!");
+      console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+
+    const target = createTarget(config);
+    const targetError = target.validate();
+    if (targetError) {
+      spinner.fail(`❌ ${targetError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+    if (!target.supportsHistory) {
+      spinner.fail(`❌ Rollback isn't supported for the ${target.label} target.`);
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+    const { branch } = target;
+    const destination = getDestinationKey(target);
+    spinner.succeed("✅ Configuration loaded");
+
+    // Authenticate with the deploy target
+    spinner.start("🔐 Authenticating...");
+    if (!(await target.authenticate(!nonInteractive))) {
+      spinner.fail("❌ Authentication required.");
+      console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+      setExitCode(EXIT_CODES.AUTH);
+      rl.close();
+      return;
+    }
+    spinner.succeed("✅ Authentication ready");
+
+    const remoteUrl = target.getRemoteUrl();
+
+    // Fetch recent deployment history
+    spinner.start(`📥 Fetching recent deployments from ${chalk.cyan(branch)}...`);
+    if (!(await remoteBranchExists(remoteUrl, branch))) {
+      spinner.fail(`❌ Branch '${branch}' not found (${target.describe()}).`);
+      console.log(chalk.yellow("💡 Run 'deployease deploy' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    }
+
+    const git = await cloneBranch(remoteUrl, branch, tempDir, limit);
+    const deployments = await listDeployments(git, limit, target.subpath);
+    spinner.succeed(`✅ Found ${deployments.length} recent deployment(s)`);
+    console.log();
+
+    if (options.list) {
+      deployments.forEach((deployment, idx) => {
+        console.log(`   ${formatDeployment(deployment, idx === 0)}`);
+      });
+      console.log();
+      rl.close();
+      return;
+    }
+
+    // Pick the deployment to restore: --to, then prompt, then the previous one
+    let restore;
+    if (options.to) {
+      restore = deployments.find((d) => d.hash.startsWith(options.to));
+      if (!restore) {
+        spinner.fail(`❌ Deployment '${options.to}' not found in the last ${limit} deployments.`);
+        console.log(chalk.yellow("💡 Use --limit to look further back, or --list to see available deployments.\n"));
+        setExitCode(EXIT_CODES.CONFIG);
+        rl.close();
+        return;
+      }
+    } else if (deployments.length < 2) {
+      spinner.fail("❌ No previous deployment to roll back to.");
+      setExitCode(EXIT_CODES.CONFIG);
+      rl.close();
+      return;
+    } else if (nonInteractive) {
+      restore = deployments[1];
+    } else {
+      const answer = await inquirer.prompt([
+        {
+          type: "list",
+          name: "hash",
+          message: "Which deployment do you want to restore?",
+          choices: deployments.map((deployment, idx) => ({
+            name: formatDeployment(deployment, idx === 0),
+            value: deployment.hash,
+          })),
+          default: 1,
+        },
+      ]);
+      restore = deployments.find((d) => d.hash === answer.hash);
+    }
+
+    if (restore.hash === deployments[0].hash) {
+      console.log(chalk.yellow("⚠️  That deployment is already live. Nothing to roll back.\n"));
+      rl.close();
+      return;
+    }
+
+    const proceed = await confirm(
+      `Restore ${restore.hash.substring(0, 7)} ("${restore.subject}") to ${branch}?`,
+      { defaultValue: true, nonInteractive }
+    );
+    if (!proceed) {
+      console.log(chalk.yellow("❌ Rollback cancelled.\n"));
+      rl.close();
+      return;
+    }
+
+    // Restore the selected tree as a new commit on top of the branch
+    spinner.start(`⏪ Restoring ${chalk.yellow(restore.hash.substring(0, 7))}...`);
+    await configureAuthor(git, target.getAuthor());
+    // Previews, versions (versions.json and their directories) and keepPaths
+    // aren't part of a deployment: keep the ones live now
+    const keepPaths = target
+      .getKeepPaths(path.join(tempDir, target.subpath || ""))
+      .filter(Boolean)
+      .map((keepPath) => target.getTreePath(keepPath));
+    if (target.subpath) {
+      // Other apps share the branch: restore only this app's directory
+      await git.raw(["rm", "-r", "-q", "--ignore-unmatch", "--", target.subpath]);
+      await git.raw(["checkout", restore.hash, "--", target.subpath]).catch(() => {});
+    } else {
+      await git.raw(["read-tree", "-u", "--reset", restore.hash]);
+    }
+    for (const keepPath of keepPaths) {
+      await git.raw(["rm", "-r", "-q", "--ignore-unmatch", "--", keepPath]);
+      await git.raw(["checkout", "HEAD", "--", keepPath]).catch(() => {});
+    }
+
+    const changes = await getStagedChanges(git);
+    if (changes.added.length + changes.modified.length + changes.deleted.length === 0) {
+      spinner.succeed("✅ Live site already matches that deployment. Nothing to roll back.");
+      rl.close();
+      return;
+    }
+
+    await git.commit(`⏪ Rollback to ${restore.hash.substring(0, 7)}: ${restore.subject}`);
+    const log = await git.log(["-1"]);
+    console.log(chalk.gray(`   ✓ Changes: ${formatChangeSummary(changes)}`));
+    console.log(chalk.gray(`   ✓ Commit created: ${log.latest.hash.substring(0, 7)}`));
+
+    spinner.text = `🚀 Pushing to ${chalk.cyan(branch)} branch...`;
+    await pushBranch(git, branch);
+    // The last deploy's manifest no longer describes the live site
+    clearDeployManifest(destination);
+
+    spinner.succeed(`✅ Rolled back ${chalk.yellow(target.describe())} to ${chalk.yellow(restore.hash.substring(0, 7))}!`);
+    printSiteUrl(target);
+    rl.close();
+  } catch (err) {
+    spinner.fail("❌ Rollback failed.");
+    console.error(chalk.redBright(err.stack || err.message));
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
+    rl.close();
+  } finally {
+    await fsExtra.remove(tempDir).catch(() => {});
+  }
+}
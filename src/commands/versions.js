@@ -0,0 +1,154 @@
+import chalk from "chalk";
+import path from "path";
+import fsExtra from "fs-extra";
+import ora from "ora";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { confirm, isNonInteractive } from "../utils/prompt.js";
+import { loadProjectConfig } from "../utils/projectConfig.js";
+import { getSingleAppConfig } from "../services/monorepo.js";
+import {
+  cloneBranch,
+  configureAuthor,
+  createTempDir,
+  formatChangeSummary,
+  getStagedChanges,
+  pushBranch,
+  remoteBranchExists,
+} from "../services/gitPublisher.js";
+import { readVersions, removeVersion, VERSIONS_FILE } from "../services/versions.js";
+import { createTarget } from "../targets/index.js";
+
+/**
+ * Versions Command
+ * Lists or deletes the versions published with 'deployease deploy --version'.
+ *
+ *   deployease versions list            show versions, their aliases and URLs
+ *   deployease versions delete 2.1      remove /2.1/ and its aliases
+ */
+export default async function versions(action = "list", versionArg, options = {}) {
+  console.log(chalk.cyanBright("\n📚 Documentation Versions\n"));
+  const spinner = ora("Loading configuration...").start();
+  const nonInteractive = isNonInteractive(options);
+  const tempDir = createTempDir("deployease-versions");
+
+  try {
+    if (!["list", "delete"].includes(action)) {
+      spinner.fail(`❌ Unknown action '${action}'. Use 'list' or 'delete'.`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    if (action === "delete" && !versionArg) {
+      spinner.fail("❌ Which version? Usage: deployease versions delete <version>");
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const projectConfig = loadProjectConfig();
+    if (!projectConfig) {
+      spinner.fail("❌ No .deployease.json found!");
+      console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    const { config, app, error: appError } = getSingleAppConfig(projectConfig, options);
+    if (appError) {
+      spinner.fail(`❌ ${appError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const target = createTarget(config);
+    const targetError = target.validate();
+    if (targetError) {
+      spinner.fail(`❌ ${targetError}`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    if (!target.supportsVersions) {
+      spinner.fail(`❌ Versioned deployments aren't supported for the ${target.label} target.`);
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+    const { branch } = target;
+    spinner.succeed(`✅ Configuration loaded${app ? ` (app: ${app.name})` : ""}`);
+
+    spinner.start("🔐 Authenticating...");
+    if (!(await target.authenticate(!nonInteractive))) {
+      spinner.fail("❌ Authentication required.");
+      console.log(chalk.yellow(`💡 ${target.authHint}\n`));
+      setExitCode(EXIT_CODES.AUTH);
+      return;
+    }
+    spinner.succeed("✅ Authentication ready");
+
+    const remoteUrl = target.getRemoteUrl();
+    spinner.start(`📥 Fetching ${VERSIONS_FILE} from ${chalk.cyan(branch)}...`);
+    if (!(await remoteBranchExists(remoteUrl, branch))) {
+      spinner.succeed(`✅ No versions yet (${target.describe()} doesn't exist).`);
+      console.log();
+      return;
+    }
+
+    const git = await cloneBranch(remoteUrl, branch, tempDir);
+    const siteDir = path.join(tempDir, target.subpath || "");
+    const found = readVersions(siteDir);
+    spinner.succeed(`✅ Found ${found.length} version(s)`);
+    console.log();
+
+    if (action === "list") {
+      const siteUrl = target.getSiteUrl();
+      found.forEach((entry) => {
+        const aliases = entry.aliases?.length ? chalk.cyan(`  [${entry.aliases.join(", ")}]`) : "";
+        const title = entry.title && entry.title !== entry.version ? chalk.gray(`  ${entry.title}`) : "";
+        console.log(`   ${chalk.yellow(entry.version)}${aliases}${title}`);
+        if (siteUrl) {
+          console.log(chalk.gray(`      ${siteUrl.replace(/\/?$/, "/")}${entry.version}/`));
+        }
+      });
+      if (found.length === 0) {
+        console.log(chalk.gray("   Publish one with: deployease deploy --version 1.0 --alias latest"));
+      }
+      console.log();
+      return;
+    }
+
+    const entry = found.find((candidate) => candidate.version === versionArg);
+    if (!entry) {
+      spinner.fail(`❌ Version '${versionArg}' not found in ${VERSIONS_FILE}.`);
+      console.log(chalk.yellow("💡 Run 'deployease versions list' to see published versions.\n"));
+      setExitCode(EXIT_CODES.CONFIG);
+      return;
+    }
+
+    const aliasNote = entry.aliases?.length ? ` and its aliases (${entry.aliases.join(", ")})` : "";
+    const proceed = await confirm(`Delete version ${versionArg}${aliasNote} from ${branch}?`, {
+      defaultValue: true,
+      nonInteractive,
+    });
+    if (!proceed) {
+      console.log(chalk.yellow("❌ Delete cancelled.\n"));
+      return;
+    }
+
+    spinner.start(`🗑️  Deleting version ${chalk.yellow(versionArg)}...`);
+    await configureAuthor(git, target.getAuthor());
+    removeVersion(siteDir, versionArg, { defaultVersion: config.versions?.default });
+    await git.raw(["add", "-A", "."]);
+    const changes = await getStagedChanges(git);
+    await git.commit(`🗑️ Delete version ${versionArg}`);
+    const log = await git.log(["-1"]);
+    console.log(chalk.gray(`   ✓ Changes: ${formatChangeSummary(changes)}`));
+    console.log(chalk.gray(`   ✓ Commit created: ${log.latest.hash.substring(0, 7)}`));
+
+    spinner.text = `🚀 Pushing to ${chalk.cyan(branch)} branch...`;
+    await pushBranch(git, branch);
+    spinner.succeed(`✅ Deleted version ${chalk.yellow(versionArg)}`);
+    console.log();
+  } catch (err) {
+    spinner.fail("❌ Versions command failed.");
+    console.error(chalk.redBright(err.message));
+    setExitCode(err.exitCode || EXIT_CODES.ERROR);
+  } finally {
+    await fsExtra.remove(tempDir).catch(() => {});
+  }
+}
@@ -0,0 +1,362 @@
+import fs from "fs";
+import path from "path";
+import ora from "ora";
+import chalk from "chalk";
+import { exec } from "child_process";
+import { promisify } from "util";
+import redeploy from "./redeploy.js";
+import { printFixAnalysis, storeBuildError } from "./deploy.js";
+import { EXIT_CODES, setExitCode } from "../utils/exitCodes.js";
+import { CONFIG_FILE, loadProjectConfig } from "../utils/projectConfig.js";
+import { loadGitignore } from "../utils/gitignore.js";
+import AutoFixEngine from "../services/autoFixEngine.js";
+import { LEDGER_DIR } from "../services/deployLedger.js";
+import { resolveEnvironment } from "../services/environments.js";
+import { ensureDependencies } from "../services/packageManager.js";
+import { createTarget } from "../targets/index.js";
+import { detectProject } from "../detectors/index.js";
+import { appendBuildArgs, getBaseBuildOptions, getBasePath } from "../services/basePath.js";
+
+const execAsync = promisify(exec);
+
+const DEFAULT_DEBOUNCE_MS = 500;
+const DEFAULT_INTERVAL_SECONDS = 60;
+const MAX_ERROR_OUTPUT = 2000;
+// Never trigger a rebuild: git data, dependencies and DeployEase's own files
+const ALWAYS_IGNORED = [".git", "node_modules", LEDGER_DIR, CONFIG_FILE, ".deployease-build-error.log"];
+// Deploy failures that editing source files can't fix: stop watching
+const FATAL_EXIT_CODES = [EXIT_CODES.CONFIG, EXIT_CODES.AUTH, EXIT_CODES.CHECK];
+
+function positiveNumber(value, fallback) {
+  return Number(value) > 0 ? Number(value) : fallback;
+}
+
+/**
+ * Whether `file` is `dir` or inside it (both relative to the project root)
+ */
+function isInside(file, dir) {
+  return Boolean(dir) && dir !== "." && !dir.startsWith("..") && (file === dir || file.startsWith(dir + path.sep));
+}
+
+function isDirectory(file) {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Watch every directory under `root` that isn't ignored, with one
+ * non-recursive watcher each. A recursive fs.watch would also put inotify
+ * watches on node_modules and the build output, and run out of them.
+ * Directories created later are picked up; removed ones are dropped.
+ * @param {Function} onChange (relativePath) => void
+ * @returns {Object} { close }
+ */
+function watchTree(root, isIgnored, onChange) {
+  const watchers = new Map();
+
+  const unwatch = (dir) => {
+    for (const [watched, watcher] of watchers) {
+      if (watched === dir || watched.startsWith(dir + path.sep)) {
+        watcher.close();
+        watchers.delete(watched);
+      }
+    }
+  };
+
+  const watchDir = (dir) => {
+    if (watchers.has(dir)) return;
+    const watcher = fs.watch(path.join(root, dir), (_, filename) => {
+      if (!filename) return;
+      const file = path.join(dir, filename.toString());
+      if (isIgnored(file)) return;
+      if (isDirectory(path.join(root, file))) {
+        addDir(file);
+      } else if (watchers.has(file)) {
+        unwatch(file);
+      }
+      onChange(file);
+    });
+    watcher.on("error", () => unwatch(dir));
+    watchers.set(dir, watcher);
+
+    for (const entry of fs.readdirSync(path.join(root, dir), { withFileTypes: true })) {
+      const child = path.join(dir, entry.name);
+      if (entry.isDirectory() && !isIgnored(child)) {
+        addDir(child);
+      }
+    }
+  };
+
+  // Directories below the root may vanish (or be unreadable) at any time
+  const addDir = (dir) => {
+    try {
+      watchDir(dir);
+    } catch (e) {
+      unwatch(dir);
+    }
+  };
+
+  watchDir("");
+  return { close: () => unwatch("") };
+}
+
+/**
+ * Run the build once. Failures are printed with the auto-fix engine's
+ * analysis; fixes aren't applied, so the watcher never rewrites files
+ * behind the editor's back.
+ * @returns {boolean} Whether the build succeeded
+ */
+async function runBuild(projectInfo, cwd) {
+  const buildCmd = appendBuildArgs(projectInfo.buildCmd, projectInfo.buildArgs);
+  const spinner = ora(`🔨 Building: ${chalk.cyan(buildCmd)}...`).start();
+  const startedAt = Date.now();
+
+  try {
+    await execAsync(buildCmd, {
+      cwd,
+      shell: true,
+      env: { ...process.env, NODE_ENV: "production", ...projectInfo.buildEnv },
+      maxBuffer: 10 * 1024 * 1024, // 10MB buffer
+    });
+    spinner.succeed(`✅ Build completed in ${((Date.now() - startedAt) / 1000).toFixed(1)}s`);
+    return true;
+  } catch (buildErr) {
+    const errorOutput = (buildErr.stderr || buildErr.stdout || buildErr.message || "").toString();
+    storeBuildError(errorOutput);
+    spinner.fail("❌ Build failed!");
+    if (errorOutput) {
+      console.error(chalk.redBright(`\n${errorOutput.substring(0, MAX_ERROR_OUTPUT)}`));
+      if (errorOutput.length > MAX_ERROR_OUTPUT) {
+        console.log(chalk.gray("   ... (output truncated)"));
+      }
+    }
+
+    console.log(chalk.yellow("\n🤖 AI Auto-Fix Engine analyzing error...\n"));
+    const analysis = new AutoFixEngine(cwd, projectInfo).analyzeError(buildErr, errorOutput);
+    if (analysis.issues.length > 0) {
+      printFixAnalysis(analysis);
+      if (analysis.suggestedFixes.some((fix) => fix.autoFixable)) {
+        console.log(chalk.gray("\n   Run 'deployease deploy' to apply the auto-fixable ones."));
+      }
+    } else {
+      console.log(chalk.gray("   No known issues detected. Try 'deployease chat' for help."));
+    }
+    console.log(chalk.yellow("\n👀 Still watching: save a fix to rebuild.\n"));
+    return false;
+  }
+}
+
+/**
+ * Watch the project and rebuild and redeploy on changes. Bursts of changes
+ * are debounced into one build, and deploys go through the redeploy flow
+ * at most once per --interval seconds.
+ */
+export default async function watch(options = {}) {
+  console.log(chalk.cyanBright("\n👁️  DeployEase watch mode\n"));
+  const cwd = process.cwd();
+
+  const projectConfig = loadProjectConfig(cwd);
+  if (!projectConfig) {
+    console.log(chalk.red("❌ No .deployease.json found!"));
+    console.log(chalk.yellow("💡 Run 'deployease init' first.\n"));
+    setExitCode(EXIT_CODES.CONFIG);
+    return;
+  }
+
+  const { config, environment, error: envError } = resolveEnvironment(projectConfig, options.env);
+  if (envError) {
+    console.log(chalk.red(`❌ ${envError}\n`));
+    setExitCode(EXIT_CODES.CONFIG);
+    return;
+  }
+
+  const target = createTarget(config);
+  const targetError = target.validate();
+  if (targetError) {
+    console.log(chalk.red(`❌ ${targetError}\n`));
+    setExitCode(EXIT_CODES.CONFIG);
+    return;
+  }
+
+  const debounceMs = positiveNumber(options.debounce, DEFAULT_DEBOUNCE_MS);
+  const intervalMs = positiveNumber(options.interval, DEFAULT_INTERVAL_SECONDS) * 1000;
+
+  const projectInfo = detectProject(cwd);
+  const deployDir = config.deployDir || projectInfo.deployDir;
+  console.log(chalk.gray(`   🔍 Project: ${projectInfo.description} (${projectInfo.type})`));
+  console.log(chalk.gray(`   📦 Build command: ${projectInfo.buildCmd || "None"}`));
+  console.log(chalk.gray(`   📁 Deploy directory: ${deployDir}`));
+  if (environment) {
+    console.log(chalk.gray(`   🚦 Environment: ${environment.name}`));
+  }
+  if (projectInfo.buildCmd) {
+    const baseOptions = getBaseBuildOptions(projectInfo, getBasePath(target, config), cwd);
+    projectInfo.buildArgs = baseOptions.args;
+    projectInfo.buildEnv = { ...(config.buildEnv || {}), ...baseOptions.env };
+    baseOptions.warnings.forEach((warning) => console.log(chalk.yellow(`   ⚠️  ${warning}`)));
+    if (path.resolve(cwd, deployDir) !== path.resolve(cwd, projectInfo.deployDir)) {
+      console.log(
+        chalk.yellow(`   ⚠️  The build writes to ${projectInfo.deployDir}, but .deployease.json deploys ${deployDir}.`)
+      );
+      console.log(chalk.gray("      Run 'deployease deploy' once to update the configuration."));
+    }
+  }
+  console.log(
+    chalk.gray(`   ⏱️  Debounce: ${debounceMs}ms, at most one deploy every ${Math.round(intervalMs / 1000)}s`)
+  );
+  console.log();
+
+  // Build output is ignored too, or every build would trigger the next one
+  const isGitignored = loadGitignore(cwd);
+  const outputDirs = projectInfo.buildCmd
+    ? [path.relative(cwd, path.resolve(cwd, deployDir)), path.normalize(projectInfo.deployDir)]
+    : [];
+  const isIgnored = (file) =>
+    ALWAYS_IGNORED.includes(file.split(path.sep)[0]) ||
+    file.split(path.sep).includes("node_modules") ||
+    outputDirs.some((dir) => isInside(file, dir)) ||
+    isGitignored(file);
+
+  const stats = { builds: 0, failedBuilds: 0, deploys: 0, unchanged: 0, failedDeploys: 0 };
+  const changedFiles = new Set();
+  let queue = Promise.resolve();
+  let buildQueued = false;
+  let debounceTimer = null;
+  let deployTimer = null;
+  let lastDeployAt = 0;
+  let stopped = false;
+  let stop = () => {};
+
+  // Builds and deploys run one at a time, in order
+  const enqueue = (job) => {
+    queue = queue
+      .then(() => (stopped ? null : job()))
+      .catch((err) => console.error(chalk.redBright(err.stack || err.message)));
+  };
+
+  const deployNow = async () => {
+    lastDeployAt = Date.now();
+    const entry = await redeploy({ yes: true, env: options.env, confirm: options.confirm });
+    const exitCode = process.exitCode;
+    // A failed deploy doesn't end the watcher, so don't let it set the exit code
+    process.exitCode = undefined;
+
+    if (entry?.result === "failed") {
+      stats.failedDeploys++;
+      if (FATAL_EXIT_CODES.includes(exitCode)) {
+        console.log(chalk.red("❌ Deploy failed and a rebuild won't fix it: stopping the watcher.\n"));
+        stop(exitCode);
+        return;
+      }
+      console.log(chalk.yellow("⚠️  Deploy failed: it will be retried after the next change.\n"));
+    } else if (entry?.result === "unchanged") {
+      stats.unchanged++;
+    } else {
+      stats.deploys++;
+    }
+    console.log(chalk.gray("👀 Watching for changes... (Ctrl+C to stop)\n"));
+  };
+
+  // Deploy now, or once the rate limit allows. A pending deploy picks up
+  // every build made before it runs.
+  const requestDeploy = async () => {
+    const waitMs = lastDeployAt + intervalMs - Date.now();
+    if (waitMs <= 0) {
+      await deployNow();
+    } else if (!deployTimer) {
+      console.log(chalk.gray(`⏳ Rate limit: next deploy in ${Math.ceil(waitMs / 1000)}s\n`));
+      deployTimer = setTimeout(() => {
+        deployTimer = null;
+        enqueue(deployNow);
+      }, waitMs);
+    }
+  };
+
+  const runCycle = async () => {
+    buildQueued = false;
+    if (changedFiles.size > 0) {
+      const files = [...changedFiles];
+      changedFiles.clear();
+      const more = files.length > 3 ? ` (+${files.length - 3} more)` : "";
+      console.log(chalk.cyan(`🔄 Changed: ${files.slice(0, 3).join(", ")}${more}`));
+    }
+
+    if (projectInfo.buildCmd) {
+      stats.builds++;
+      const installed =
+        !projectInfo.packageManager || (await ensureDependencies(projectInfo.packageManager, cwd, ora()));
+      if (!installed || !(await runBuild(projectInfo, cwd))) {
+        stats.failedBuilds++;
+        // Don't push a half-written build directory
+        clearTimeout(deployTimer);
+        deployTimer = null;
+        return;
+      }
+    }
+    await requestDeploy();
+  };
+
+  const requestCycle = () => {
+    if (!buildQueued) {
+      buildQueued = true;
+      enqueue(runCycle);
+    }
+  };
+
+  let watcher;
+  try {
+    watcher = watchTree(cwd, isIgnored, (file) => {
+      if (stopped) return;
+      changedFiles.add(file);
+      clearTimeout(debounceTimer);
+      debounceTimer = setTimeout(requestCycle, debounceMs);
+    });
+  } catch (err) {
+    console.log(chalk.red(`❌ Can't watch ${cwd}: ${err.message}\n`));
+    setExitCode(EXIT_CODES.ERROR);
+    return;
+  }
+
+  // Command modules put a TTY stdin in raw mode for their prompts, where
+  // Ctrl+C never reaches the process as SIGINT
+  if (process.stdin.isTTY) {
+    process.stdin.setRawMode(false);
+  }
+
+  await new Promise((resolve) => {
+    const onSignal = () => stop();
+    stop = async (exitCode) => {
+      if (stopped) return;
+      stopped = true;
+      process.off("SIGINT", onSignal);
+      process.off("SIGTERM", onSignal);
+      watcher.close();
+      clearTimeout(debounceTimer);
+      clearTimeout(deployTimer);
+      if (!exitCode) {
+        console.log(chalk.gray("\n🛑 Stopping (waiting for the running build or deploy)..."));
+      }
+      await queue;
+
+      console.log(chalk.cyanBright("\n📊 Watch summary"));
+      console.log(chalk.gray(`   Builds: ${stats.builds} (${stats.failedBuilds} failed)`));
+      console.log(
+        chalk.gray(
+          `   Deploys: ${stats.deploys} pushed, ${stats.unchanged} unchanged, ${stats.failedDeploys} failed\n`
+        )
+      );
+      if (exitCode) {
+        setExitCode(exitCode);
+      }
+      resolve();
+    };
+    process.on("SIGINT", onSignal);
+    process.on("SIGTERM", onSignal);
+
+    // Start with a build and deploy of the current state
+    requestCycle();
+  });
+}
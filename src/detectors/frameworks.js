@@ -0,0 +1,217 @@
+import path from "path";
+import { analyzeNextExport } from "../services/nextExport.js";
+import { dependencyReason, prerenderedRouter, readConfigOption } from "./project.js";
+
+const VITE_CONFIG_FILES = ["vite.config.js", "vite.config.mjs", "vite.config.ts", "vite.config.mts", "vite.config.cjs"];
+const VUE_CONFIG_FILES = ["vue.config.js", "vue.config.cjs", "vue.config.mjs"];
+// Common output directories, for build scripts DeployEase doesn't know
+const GENERIC_OUTPUT_DIRS = ["dist", "build", "out", "public"];
+
+/**
+ * Output directory of an Angular project, from angular.json: the default
+ * (or first) project's outputPath, plus browser/ for the application
+ * builder of Angular 17+
+ */
+function getAngularOutput(project) {
+  const angular = project.readJson("angular.json");
+  const name = angular?.defaultProject || Object.keys(angular?.projects || {})[0];
+  const build = angular?.projects?.[name]?.architect?.build;
+  if (!build) {
+    return { deployDir: "dist", reason: "no build target in angular.json: assuming dist" };
+  }
+
+  const outputPath = build.options?.outputPath;
+  const application = /:application$/.test(build.builder || "");
+  let deployDir;
+  if (outputPath && typeof outputPath === "object") {
+    const browser = outputPath.browser ?? "browser";
+    deployDir = browser ? `${outputPath.base}/${browser}` : outputPath.base;
+  } else {
+    const base = outputPath || `dist/${name}`;
+    deployDir = application ? `${base}/browser` : base;
+  }
+  return {
+    deployDir: path.posix.normalize(deployDir),
+    reason: `angular.json: project ${name}, ${build.builder || "default builder"}, output ${deployDir}`,
+  };
+}
+
+/**
+ * Framework detectors. Each detect(project) returns null when the project
+ * isn't one of its kind, or
+ *   { confidence (0-100), reasons, deployDir, buildScript, buildCmd?, warnings?, details? }
+ * where buildScript is the package.json "build" script the framework uses.
+ */
+export const FRAMEWORK_DETECTORS = [
+  {
+    type: "react",
+    framework: "Create React App",
+    description: "React (Create React App) project",
+    basePathMechanism: "public-url",
+    detect(project) {
+      if (!project.deps["react-scripts"]) return null;
+      return {
+        confidence: 95,
+        reasons: [dependencyReason(project, "react-scripts")],
+        deployDir: "build",
+        buildScript: "react-scripts build",
+      };
+    },
+  },
+
+  {
+    type: "nextjs",
+    framework: "Next.js",
+    description: "Next.js project",
+    basePathMechanism: "next-base-path",
+    router: () => prerenderedRouter("next-router", "Next.js router"),
+    detect(project) {
+      if (!project.deps.next) return null;
+      const pm = project.packageManager;
+      const nextExport = analyzeNextExport(project.cwd, {
+        range: project.deps.next,
+        roots: pm.root !== project.cwd ? [pm.root] : [],
+        scripts: project.scripts,
+      });
+      const { version, config } = nextExport;
+      const reasons = [
+        dependencyReason(project, "next"),
+        `Next.js ${version.raw} (${version.source === "installed" ? "installed" : "from package.json"})`,
+      ];
+
+      // Before 13.3 "next export" writes out/; since then next build does, with output: "export"
+      let buildCmd;
+      if (nextExport.mode === "next-export") {
+        if (project.scripts.export) {
+          reasons.push(`"export" script: ${project.scripts.export}`);
+          buildCmd = `${pm.run("build")} && ${pm.run("export")}`;
+        } else if (!/\bnext export\b/.test(project.scripts.build || "")) {
+          reasons.push("Next.js before 13.3: exporting with next export");
+          buildCmd = `${pm.run("build")} && ${pm.exec("next export")}`;
+        }
+      } else if (nextExport.output) {
+        reasons.push(`output: "${nextExport.output}" in ${config.name}`);
+      } else {
+        reasons.push(config ? `no output in ${config.name}: deploy adds output: "export"` : "no next.config: deploy creates one");
+      }
+
+      const warnings = [
+        ...nextExport.blockers.map((blocker) => `${blocker.feature} in ${blocker.file} blocks a static export. ${blocker.fix}`),
+        ...nextExport.warnings,
+      ];
+      return { confidence: 95, reasons, deployDir: "out", buildScript: "next build", buildCmd, warnings, details: nextExport };
+    },
+  },
+
+  {
+    type: "angular",
+    framework: "Angular",
+    description: "Angular project",
+    basePathMechanism: "angular-base-href",
+    detect(project) {
+      if (!project.deps["@angular/core"]) return null;
+      const output = getAngularOutput(project);
+      return {
+        confidence: 90,
+        reasons: [dependencyReason(project, "@angular/core"), output.reason],
+        deployDir: output.deployDir,
+        buildScript: "ng build",
+      };
+    },
+  },
+
+  {
+    type: "vue",
+    framework: "Vue CLI",
+    description: "Vue project",
+    basePathMechanism: "vue-cli-public-path",
+    detect(project) {
+      if (!project.deps["@vue/cli-service"]) return null;
+      const vueConfig = project.findConfig(VUE_CONFIG_FILES);
+      const outputDir = readConfigOption(vueConfig?.source, "outputDir");
+      return {
+        confidence: 90,
+        reasons: [
+          dependencyReason(project, "@vue/cli-service"),
+          outputDir ? `outputDir "${outputDir}" in ${vueConfig.name}` : "default outputDir dist",
+        ],
+        deployDir: outputDir || "dist",
+        buildScript: "vue-cli-service build",
+      };
+    },
+  },
+
+  {
+    type: "vite",
+    framework: "Vite",
+    description: "Vite project",
+    basePathMechanism: "vite-base",
+    detect(project) {
+      if (!project.deps.vite) return null;
+      const viteConfig = project.findConfig(VITE_CONFIG_FILES);
+      const outDir = readConfigOption(viteConfig?.source, "outDir");
+      return {
+        // Frameworks built on Vite rank above it
+        confidence: 80,
+        reasons: [
+          dependencyReason(project, "vite"),
+          outDir ? `build.outDir "${outDir}" in ${viteConfig.name}` : "default build.outDir dist",
+        ],
+        deployDir: outDir || "dist",
+        buildScript: "vite build",
+      };
+    },
+  },
+
+  {
+    // Vue without Vue CLI or Vite: some other bundler, so no base path flag
+    type: "vue",
+    framework: "Vue.js",
+    description: "Vue project",
+    basePathMechanism: null,
+    detect(project) {
+      if (!project.deps.vue) return null;
+      return {
+        confidence: 60,
+        reasons: [dependencyReason(project, "vue"), "no Vue CLI or Vite: assuming output in dist"],
+        deployDir: "dist",
+      };
+    },
+  },
+
+  {
+    type: "node",
+    framework: null,
+    description: "Node.js project with build script",
+    basePathMechanism: null,
+    detect(project) {
+      if (!project.scripts.build) return null;
+      const existing = GENERIC_OUTPUT_DIRS.find((dir) => project.has(dir));
+      return {
+        confidence: 30,
+        reasons: [
+          `"build" script: ${project.scripts.build}`,
+          existing ? `output guessed from the existing ${existing}/` : "no output directory yet: assuming dist",
+        ],
+        deployDir: existing || "dist",
+      };
+    },
+  },
+
+  {
+    type: "static",
+    framework: null,
+    description: "Static HTML project",
+    basePathMechanism: null,
+    router: () => null,
+    detect(project) {
+      if (project.scripts.build || !project.has("index.html")) return null;
+      return {
+        confidence: 50,
+        reasons: ["index.html in the project root", project.packageJson ? "no build script" : "no package.json"],
+        deployDir: ".",
+        buildCmd: null,
+      };
+    },
+  },
+];
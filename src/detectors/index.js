@@ -0,0 +1,81 @@
+import path from "path";
+import { detectClientRouter } from "../services/pagesCompat.js";
+import { FRAMEWORK_DETECTORS } from "./frameworks.js";
+import { STATIC_SITE_GENERATOR_DETECTORS } from "./staticSiteGenerators.js";
+import { createProjectContext } from "./project.js";
+
+/**
+ * Project detectors, most specific first. On equal confidence the earlier
+ * detector wins.
+ */
+export const DETECTORS = [...FRAMEWORK_DETECTORS, ...STATIC_SITE_GENERATOR_DETECTORS];
+
+const FALLBACK = {
+  type: "static",
+  framework: null,
+  description: "Static project",
+  basePathMechanism: null,
+  router: () => null,
+};
+
+/**
+ * Detect the project at `cwd`: its framework, how to build it, where the
+ * output lands, its router and how the build takes a base path. Every
+ * detector is run; the most confident match wins, and the others are kept
+ * as candidates.
+ *
+ * @param {Object} options { router: false skips scanning the sources for a router }
+ * @returns {Object} { type, framework, description, confidence, reasons, warnings,
+ *   buildCmd, buildScript, deployDir, packageManager, router, basePathMechanism, details,
+ *   candidates: [{ type, framework, description, confidence, reasons }] }
+ *   where details is whatever extra analysis the detector returned (or null)
+ */
+export function detectProject(cwd = process.cwd(), { router = true } = {}) {
+  const project = createProjectContext(cwd);
+
+  const matches = DETECTORS.map((detector) => ({ detector, match: detector.detect(project) }))
+    .filter(({ match }) => match)
+    .sort((a, b) => b.match.confidence - a.match.confidence);
+
+  const { detector, match } = matches[0] || {
+    detector: FALLBACK,
+    match: {
+      confidence: 0,
+      reasons: ["no framework, build script or index.html found: deploying the project root"],
+      deployDir: ".",
+      buildCmd: null,
+    },
+  };
+
+  const buildCmd = match.buildCmd !== undefined ? match.buildCmd : project.packageManager.run("build");
+  const warnings = [...(match.warnings || [])];
+  if (match.buildCmd === undefined && !project.scripts.build) {
+    warnings.push(
+      `package.json has no "build" script${match.buildScript ? ` (${detector.framework} uses "${match.buildScript}")` : ""}.`
+    );
+  }
+
+  return {
+    type: detector.type,
+    framework: detector.framework,
+    description: detector.description,
+    confidence: match.confidence,
+    reasons: match.reasons,
+    warnings,
+    buildCmd,
+    buildScript: match.buildScript || null,
+    // "./www/" and "www" are the same directory
+    deployDir: path.posix.normalize(match.deployDir).replace(/(.)\/+$/, "$1"),
+    packageManager: project.packageManager,
+    router: router ? (detector.router ? detector.router(project) : detectClientRouter(cwd)) : null,
+    basePathMechanism: match.basePathMechanism !== undefined ? match.basePathMechanism : detector.basePathMechanism,
+    details: match.details || null,
+    candidates: matches.map((candidate) => ({
+      type: candidate.detector.type,
+      framework: candidate.detector.framework,
+      description: candidate.detector.description,
+      confidence: candidate.match.confidence,
+      reasons: candidate.match.reasons,
+    })),
+  };
+}
@@ -0,0 +1,76 @@
+import fs from "fs";
+import path from "path";
+import { getPackageManager } from "../services/packageManager.js";
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * What detectors look at: the project's package.json, its dependencies
+ * and scripts, its package manager, and helpers to probe its files.
+ * Files are read at most once.
+ */
+export function createProjectContext(cwd) {
+  const packageJson = readJson(path.join(cwd, "package.json"));
+  const sources = new Map();
+
+  const project = {
+    cwd,
+    packageJson,
+    deps: { ...packageJson?.dependencies, ...packageJson?.devDependencies },
+    scripts: packageJson?.scripts || {},
+    packageManager: packageJson ? getPackageManager(cwd) : null,
+    has: (file) => fs.existsSync(path.join(cwd, file)),
+    read: (file) => {
+      if (!sources.has(file)) {
+        let source = null;
+        try {
+          source = fs.readFileSync(path.join(cwd, file), "utf-8");
+        } catch (e) {
+          // Missing or unreadable
+        }
+        sources.set(file, source);
+      }
+      return sources.get(file);
+    },
+    readJson: (file) => readJson(path.join(cwd, file)),
+    /**
+     * First of `files` that exists, with its source: { name, source } or null
+     */
+    findConfig: (files) => {
+      const name = files.find((file) => project.has(file));
+      return name ? { name, source: project.read(name) || "" } : null;
+    },
+  };
+  return project;
+}
+
+/**
+ * "<dep> in dependencies" / "<dep> in devDependencies", for detection reasons
+ */
+export function dependencyReason(project, dep) {
+  const field = project.packageJson?.dependencies?.[dep] ? "dependencies" : "devDependencies";
+  return `${dep} in ${field} (${project.deps[dep]})`;
+}
+
+/**
+ * A string option set in a JS/TS config file, e.g. outDir: "build"
+ * (only literal values; anything computed returns null)
+ */
+export function readConfigOption(source, name) {
+  const match = source?.match(new RegExp(`\\b${name}\\s*:\\s*["'\`]([^"'\`$]+)["'\`]`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Router of a framework that generates every page as an HTML file, so
+ * no 404.html fallback is needed
+ */
+export function prerenderedRouter(id, name) {
+  return { id, router: name, historyMode: false, reason: "pages are generated as HTML files" };
+}
@@ -0,0 +1,252 @@
+import { dependencyReason, prerenderedRouter, readConfigOption } from "./project.js";
+
+const ASTRO_CONFIG_FILES = ["astro.config.mjs", "astro.config.js", "astro.config.ts", "astro.config.mts", "astro.config.cjs"];
+const SVELTE_CONFIG_FILES = ["svelte.config.js", "svelte.config.mjs"];
+const SVELTEKIT_LAYOUTS = ["src/routes/+layout.js", "src/routes/+layout.ts"];
+const ELEVENTY_CONFIG_FILES = [
+  "eleventy.config.js",
+  "eleventy.config.mjs",
+  "eleventy.config.cjs",
+  ".eleventy.js",
+  ".eleventy.cjs",
+];
+const DOCUSAURUS_CONFIG_FILES = ["docusaurus.config.js", "docusaurus.config.ts", "docusaurus.config.mjs"];
+// hugo.* since Hugo 0.110; config.* before that
+const HUGO_CONFIG_FILES = ["hugo.toml", "hugo.yaml", "hugo.yml", "hugo.json"];
+const HUGO_LEGACY_CONFIG_FILES = ["config.toml", "config.yaml", "config.yml", "config.json"];
+const HUGO_SITE_DIRS = ["content", "layouts", "archetypes", "themes"];
+
+/**
+ * Value of a CLI flag in the project's build script (--output dist, --out-dir=dist)
+ */
+function readScriptFlag(project, flag) {
+  const match = (project.scripts.build || "").match(new RegExp(`${flag}[= ]["']?([^\\s"'&|;]+)`));
+  return match ? match[1] : null;
+}
+
+/**
+ * Hugo's publishDir, from hugo.toml ("publishDir = 'docs'"), YAML or JSON
+ */
+function readHugoPublishDir(config) {
+  const match = config.source.match(/^\s*"?publishDir"?\s*[=:]\s*["']?([^"'\s,]+)/im);
+  return match ? match[1] : null;
+}
+
+/**
+ * Static site generator detectors (see FRAMEWORK_DETECTORS for the
+ * shape). Each also names the Pages-specific setting the project needs,
+ * as warnings.
+ */
+export const STATIC_SITE_GENERATOR_DETECTORS = [
+  {
+    type: "astro",
+    framework: "Astro",
+    description: "Astro site",
+    basePathMechanism: "astro-base",
+    router: () => prerenderedRouter("astro-router", "Astro pages"),
+    detect(project) {
+      if (!project.deps.astro) return null;
+      const astroConfig = project.findConfig(ASTRO_CONFIG_FILES);
+      const outDir = readConfigOption(astroConfig?.source, "outDir");
+      const output = readConfigOption(astroConfig?.source, "output");
+      const warnings = [];
+      if (output === "server") {
+        warnings.push(
+          `${astroConfig.name} sets output: "server", which needs a server. Pages only serves static files: use output: "static".`
+        );
+      }
+      return {
+        confidence: 95,
+        reasons: [
+          dependencyReason(project, "astro"),
+          outDir ? `outDir "${outDir}" in ${astroConfig.name}` : "default outDir dist",
+        ],
+        deployDir: outDir || "dist",
+        buildScript: "astro build",
+        warnings,
+      };
+    },
+  },
+
+  {
+    // Builds with Vite, but sets its base in svelte.config.js
+    type: "sveltekit",
+    framework: "SvelteKit",
+    description: "SvelteKit project",
+    basePathMechanism: "sveltekit-paths-base",
+    router: () => prerenderedRouter("sveltekit-router", "SvelteKit router"),
+    detect(project) {
+      if (!project.deps["@sveltejs/kit"]) return null;
+      const svelteConfig = project.findConfig(SVELTE_CONFIG_FILES);
+      const reasons = [dependencyReason(project, "@sveltejs/kit")];
+      const warnings = [];
+
+      // Only adapter-static writes a static site; its "pages" option is the output
+      const adapterStatic = Boolean(svelteConfig?.source.includes("@sveltejs/adapter-static"));
+      const pages = adapterStatic ? readConfigOption(svelteConfig.source, "pages") : null;
+      if (adapterStatic) {
+        reasons.push(`@sveltejs/adapter-static in ${svelteConfig.name}${pages ? `, pages "${pages}"` : ""}`);
+      } else {
+        warnings.push(
+          `${svelteConfig?.name || "svelte.config.js"} doesn't use @sveltejs/adapter-static, so the build has no static site. ` +
+            `Install it and set kit.adapter: adapter().`
+        );
+      }
+
+      // Without a fallback page, every route has to be prerendered
+      const fallback = adapterStatic && readConfigOption(svelteConfig.source, "fallback");
+      const prerendered = SVELTEKIT_LAYOUTS.some((file) => /\bprerender\s*=\s*true\b/.test(project.read(file) || ""));
+      if (adapterStatic && !fallback && !prerendered) {
+        warnings.push(
+          "Add 'export const prerender = true;' to src/routes/+layout.js, or set fallback: \"404.html\" in adapter-static for an SPA."
+        );
+      }
+      return { confidence: 95, reasons, deployDir: pages || "build", buildScript: "vite build", warnings };
+    },
+  },
+
+  {
+    type: "gatsby",
+    framework: "Gatsby",
+    description: "Gatsby site",
+    basePathMechanism: "gatsby-prefix-paths",
+    router: () => prerenderedRouter("gatsby-router", "Gatsby pages"),
+    detect(project) {
+      if (!project.deps.gatsby) return null;
+      return {
+        confidence: 95,
+        reasons: [dependencyReason(project, "gatsby"), "Gatsby always builds into public"],
+        deployDir: "public",
+        buildScript: "gatsby build",
+      };
+    },
+  },
+
+  {
+    type: "eleventy",
+    framework: "Eleventy",
+    description: "Eleventy site",
+    basePathMechanism: "eleventy-pathprefix",
+    router: () => prerenderedRouter("eleventy-router", "Eleventy pages"),
+    detect(project) {
+      if (!project.deps["@11ty/eleventy"]) return null;
+      const eleventyConfig = project.findConfig(ELEVENTY_CONFIG_FILES);
+      const flag = readScriptFlag(project, "--output");
+      const output = flag || readConfigOption(eleventyConfig?.source, "output");
+      const source = flag ? "--output in the build script" : output ? `dir.output in ${eleventyConfig.name}` : null;
+      return {
+        confidence: 95,
+        reasons: [
+          dependencyReason(project, "@11ty/eleventy"),
+          source ? `output "${output}" (${source})` : "default output _site",
+        ],
+        deployDir: output || "_site",
+        buildScript: "eleventy",
+      };
+    },
+  },
+
+  {
+    type: "docusaurus",
+    framework: "Docusaurus",
+    description: "Docusaurus site",
+    basePathMechanism: "docusaurus-base-url",
+    router: () => prerenderedRouter("docusaurus-router", "Docusaurus pages"),
+    detect(project) {
+      if (!project.deps["@docusaurus/core"]) return null;
+      const docusaurusConfig = project.findConfig(DOCUSAURUS_CONFIG_FILES);
+      const outDir = readScriptFlag(project, "--out-dir");
+      const warnings = [];
+      if (docusaurusConfig && !/\btrailingSlash\s*:/.test(docusaurusConfig.source)) {
+        warnings.push(
+          `Set trailingSlash (true or false) in ${docusaurusConfig.name}: ` +
+            "GitHub Pages adds a trailing slash to directory URLs, which breaks relative links otherwise."
+        );
+      }
+      return {
+        confidence: 95,
+        reasons: [
+          dependencyReason(project, "@docusaurus/core"),
+          outDir ? `--out-dir ${outDir} in the build script` : "default output build",
+        ],
+        deployDir: outDir || "build",
+        buildScript: "docusaurus build",
+        warnings,
+      };
+    },
+  },
+
+  {
+    // "nuxt build" output needs a Node server; "nuxt generate" prerenders every route
+    type: "nuxt",
+    framework: "Nuxt",
+    description: "Nuxt site",
+    basePathMechanism: "nuxt-app-base-url",
+    router: () => prerenderedRouter("nuxt-router", "Nuxt pages"),
+    detect(project) {
+      if (!project.deps.nuxt) return null;
+      const nuxt2 = /^\D*2\./.test(project.deps.nuxt);
+      const reasons = [dependencyReason(project, "nuxt")];
+
+      let buildCmd;
+      if (project.scripts.generate) {
+        buildCmd = project.packageManager.run("generate");
+        reasons.push(`"generate" script: ${project.scripts.generate}`);
+      } else {
+        buildCmd = project.packageManager.exec(nuxt2 ? "nuxt generate" : "nuxi generate");
+        reasons.push('no "generate" script: running nuxt generate, not the server build');
+      }
+
+      if (nuxt2) {
+        reasons.push("Nuxt 2 generates into dist");
+      }
+      return {
+        confidence: 95,
+        reasons,
+        deployDir: nuxt2 ? "dist" : ".output/public",
+        buildScript: "nuxt generate",
+        buildCmd,
+        basePathMechanism: nuxt2 ? "nuxt2-router-base" : "nuxt-app-base-url",
+      };
+    },
+  },
+
+  {
+    // Usually no package.json at all: the hugo binary builds the site
+    type: "hugo",
+    framework: "Hugo",
+    description: "Hugo site",
+    basePathMechanism: "hugo-base-url",
+    router: () => prerenderedRouter("hugo-router", "Hugo pages"),
+    detect(project) {
+      let hugoConfig = project.findConfig(HUGO_CONFIG_FILES);
+      let confidence = 90;
+      if (!hugoConfig) {
+        // config.toml alone is too common to mean Hugo
+        hugoConfig = project.findConfig(HUGO_LEGACY_CONFIG_FILES);
+        if (!hugoConfig || !HUGO_SITE_DIRS.some((dir) => project.has(dir))) return null;
+        confidence = 70;
+      }
+
+      const publishDir = readHugoPublishDir(hugoConfig);
+      const reasons = [
+        hugoConfig.name.startsWith("hugo.")
+          ? `${hugoConfig.name} in the project root`
+          : `${hugoConfig.name} next to ${HUGO_SITE_DIRS.filter((dir) => project.has(dir)).join(", ")}`,
+        publishDir ? `publishDir "${publishDir}" in ${hugoConfig.name}` : "default publishDir public",
+      ];
+
+      // A build script that runs hugo (e.g. with Tailwind) wins over the bare binary
+      const scriptRunsHugo = /\bhugo\b/.test(project.scripts.build || "");
+      if (scriptRunsHugo) {
+        reasons.push(`"build" script: ${project.scripts.build}`);
+      }
+      return {
+        confidence,
+        reasons,
+        deployDir: publishDir || "public",
+        buildCmd: scriptRunsHugo ? project.packageManager.run("build") : "hugo --gc --minify",
+      };
+    },
+  },
+];
@@ -0,0 +1,40 @@
+import fetch from "node-fetch";
+
+/**
+ * Call a forge REST API and parse the JSON response.
+ * Never throws for HTTP errors; callers check `ok` and `status`.
+ * @returns {Object} { ok, status, data }
+ */
+export async function forgeRequest(url, { method = "GET", headers = {}, json } = {}) {
+  const response = await fetch(url, {
+    method,
+    headers: json !== undefined ? { ...headers, "Content-Type": "application/json" } : headers,
+    body: json !== undefined ? JSON.stringify(json) : undefined,
+  });
+
+  const text = await response.text();
+  let data = null;
+  try {
+    data = text ? JSON.parse(text) : null;
+  } catch (e) {
+    data = { message: text };
+  }
+  return { ok: response.ok, status: response.status, data };
+}
+
+/**
+ * Normalize a forge base URL: default to https, no trailing slash
+ */
+export function normalizeBaseUrl(url) {
+  const trimmed = url.trim().replace(/\/+$/, "");
+  return /^https?:\/\//i.test(trimmed) ? trimmed : `https://${trimmed}`;
+}
+
+/**
+ * Clone URL for `owner/repo` with credentials embedded for git
+ */
+export function buildCloneUrl(baseUrl, owner, repo, credentials) {
+  const { protocol, host, pathname } = new URL(baseUrl);
+  const basePath = pathname.replace(/\/+$/, "");
+  return `${protocol}//${credentials}@${host}${basePath}/${owner}/${repo}.git`;
+}
@@ -0,0 +1,91 @@
+import chalk from "chalk";
+import { buildCloneUrl, forgeRequest, normalizeBaseUrl } from "./forgeApi.js";
+
+/**
+ * Gitea Forge
+ * Gitea (or Forgejo/Codeberg) API v1. Sites are published to a "pages"
+ * branch, which a pages server (e.g. Codeberg Pages) serves as is.
+ */
+export default class GiteaForge {
+  constructor({ baseUrl } = {}) {
+    this.name = "gitea";
+    this.label = "Gitea";
+    this.baseUrl = normalizeBaseUrl(baseUrl || "https://gitea.com");
+    this.host = new URL(this.baseUrl).host;
+    this.tokenEnv = "GITEA_TOKEN";
+    this.tokenUrl = `${this.baseUrl}/user/settings/applications`;
+    this.tokenScopes = "write:repository, read:user";
+    this.pagesBranch = "pages";
+    this.targetType = "gitea-pages";
+    this.publishNote = "The pages branch is served by your Gitea pages server, if one is configured.";
+  }
+
+  async request(token, endpoint, options = {}) {
+    return forgeRequest(`${this.baseUrl}/api/v1${endpoint}`, {
+      ...options,
+      headers: { Authorization: `token ${token}` },
+    });
+  }
+
+  async verifyToken(token) {
+    try {
+      const { ok, data } = await this.request(token, "/user");
+      if (!ok) return { valid: false };
+      return { valid: true, username: data.login, name: data.full_name || data.login };
+    } catch (err) {
+      return { valid: false };
+    }
+  }
+
+  async createRepo(repoName, token, description = "") {
+    try {
+      console.log(chalk.cyan(`\n🔧 Creating Gitea repository: ${repoName} ...`));
+      const user = await this.request(token, "/user");
+      if (!user.ok) {
+        throw new Error(user.data?.message || `HTTP ${user.status}`);
+      }
+      const owner = user.data.login;
+
+      let repo = await this.request(token, "/user/repos", {
+        method: "POST",
+        json: { name: repoName, description, private: false },
+      });
+
+      if (repo.ok) {
+        console.log(chalk.green(`✅ Repository created: ${repo.data.html_url}`));
+      } else if (repo.status === 409) {
+        console.log(chalk.yellow("⚠️ Repo already exists — using existing repo..."));
+        repo = await this.request(token, `/repos/${owner}/${repoName}`);
+        if (!repo.ok) {
+          throw new Error(repo.data?.message || `HTTP ${repo.status}`);
+        }
+      } else {
+        throw new Error(repo.data?.message || `HTTP ${repo.status}`);
+      }
+
+      return {
+        cloneUrl: this.getCloneUrl(owner, repo.data.name, token),
+        owner,
+        htmlUrl: repo.data.html_url,
+      };
+    } catch (err) {
+      console.error(chalk.red("❌ Failed to create Gitea repo:"), err.message);
+      return null;
+    }
+  }
+
+  getCloneUrl(owner, repo, token) {
+    return buildCloneUrl(this.baseUrl, owner, repo, token);
+  }
+
+  /**
+   * Default Pages URL; only known for Codeberg
+   */
+  getPagesUrl(owner, repo) {
+    return this.host === "codeberg.org" ? `https://${owner.toLowerCase()}.codeberg.page/${repo}/` : null;
+  }
+
+  getPagesFiles() {
+    return {};
+  }
+}
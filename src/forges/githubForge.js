@@ -0,0 +1,60 @@
+import { Octokit } from "@octokit/rest";
+import { createGitHubRepo } from "../services/githubService.js";
+
+/**
+ * GitHub Forge (default)
+ * Repositories on github.com, published with GitHub Pages from gh-pages.
+ */
+export default class GitHubForge {
+  constructor() {
+    this.name = "github";
+    this.label = "GitHub";
+    this.baseUrl = "https://github.com";
+    this.host = "github.com";
+    this.tokenEnv = "GITHUB_TOKEN";
+    this.tokenUrl = "https://github.com/settings/tokens/new";
+    this.tokenScopes = "repo, workflow";
+    this.pagesBranch = "gh-pages";
+    this.targetType = "github-pages";
+  }
+
+  /**
+   * Check a token and return the user it belongs to
+   */
+  async verifyToken(token) {
+    try {
+      const octokit = new Octokit({ auth: token });
+      const user = await octokit.rest.users.getAuthenticated();
+      return {
+        valid: true,
+        username: user.data.login,
+        name: user.data.name || user.data.login,
+      };
+    } catch (err) {
+      return { valid: false };
+    }
+  }
+
+  /**
+   * Create (or reuse) a public repository for the authenticated user.
+   * Returns { cloneUrl (with token), owner, htmlUrl } or null.
+   */
+  async createRepo(repoName, token, description = "") {
+    return createGitHubRepo(repoName, token, description);
+  }
+
+  getCloneUrl(owner, repo, token) {
+    return `https://${token}@github.com/${owner}/${repo}.git`;
+  }
+
+  getPagesUrl(owner, repo) {
+    if (repo.toLowerCase() === `${owner}.github.io`.toLowerCase()) {
+      return `https://${owner.toLowerCase()}.github.io/`;
+    }
+    return `https://${owner}.github.io/${repo}/`;
+  }
+
+  getPagesFiles() {
+    return {};
+  }
+}
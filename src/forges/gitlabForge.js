@@ -0,0 +1,119 @@
+import chalk from "chalk";
+import { buildCloneUrl, forgeRequest, normalizeBaseUrl } from "./forgeApi.js";
+
+/**
+ * CI config committed to the Pages branch. GitLab Pages serves the
+ * `public` artifact of a job named `pages`, so the job copies the
+ * branch contents (minus git metadata and this file) into `public/`.
+ */
+export function buildGitLabCiConfig(branch) {
+  return `# Generated by DeployEase: publishes the "${branch}" branch with GitLab Pages.
+# Changes to this file are overwritten on every deploy.
+pages:
+  stage: deploy
+  image: busybox
+  script:
+    - mkdir -p /tmp/site
+    - cp -r . /tmp/site
+    - rm -rf /tmp/site/.git /tmp/site/.gitlab-ci.yml
+    - mv /tmp/site public
+  artifacts:
+    paths:
+      - public
+  rules:
+    - if: $CI_COMMIT_BRANCH == "${branch}"
+`;
+}
+
+/**
+ * GitLab Forge
+ * gitlab.com or a self-hosted GitLab (API v4). Sites are published with
+ * GitLab Pages by a generated .gitlab-ci.yml on the Pages branch.
+ */
+export default class GitLabForge {
+  constructor({ baseUrl } = {}) {
+    this.name = "gitlab";
+    this.label = "GitLab";
+    this.baseUrl = normalizeBaseUrl(baseUrl || "https://gitlab.com");
+    this.host = new URL(this.baseUrl).host;
+    this.tokenEnv = "GITLAB_TOKEN";
+    this.tokenUrl = `${this.baseUrl}/-/user_settings/personal_access_tokens`;
+    this.tokenScopes = "api, write_repository";
+    this.pagesBranch = "pages";
+    this.targetType = "gitlab-pages";
+    this.publishNote = "GitLab Pages is updated by the 'pages' CI job; check the project's pipelines.";
+  }
+
+  async request(token, endpoint, options = {}) {
+    return forgeRequest(`${this.baseUrl}/api/v4${endpoint}`, {
+      ...options,
+      headers: { "PRIVATE-TOKEN": token },
+    });
+  }
+
+  async verifyToken(token) {
+    try {
+      const { ok, data } = await this.request(token, "/user");
+      if (!ok) return { valid: false };
+      return { valid: true, username: data.username, name: data.name || data.username };
+    } catch (err) {
+      return { valid: false };
+    }
+  }
+
+  async createRepo(repoName, token, description = "") {
+    try {
+      console.log(chalk.cyan(`\n🔧 Creating GitLab project: ${repoName} ...`));
+      const user = await this.request(token, "/user");
+      if (!user.ok) {
+        throw new Error(user.data?.message || `HTTP ${user.status}`);
+      }
+      const owner = user.data.username;
+
+      let project = await this.request(token, "/projects", {
+        method: "POST",
+        json: { name: repoName, path: repoName, visibility: "public", description },
+      });
+
+      if (project.ok) {
+        console.log(chalk.green(`✅ Project created: ${project.data.web_url}`));
+      } else if (project.status === 400 && JSON.stringify(project.data).includes("already been taken")) {
+        console.log(chalk.yellow("⚠️ Project already exists — using existing project..."));
+        project = await this.request(token, `/projects/${encodeURIComponent(`${owner}/${repoName}`)}`);
+        if (!project.ok) {
+          throw new Error(project.data?.message || `HTTP ${project.status}`);
+        }
+      } else {
+        throw new Error(JSON.stringify(project.data?.message || project.data) || `HTTP ${project.status}`);
+      }
+
+      const namespace = project.data.namespace?.full_path || owner;
+      return {
+        cloneUrl: this.getCloneUrl(namespace, project.data.path, token),
+        owner: namespace,
+        htmlUrl: project.data.web_url,
+      };
+    } catch (err) {
+      console.error(chalk.red("❌ Failed to create GitLab project:"), err.message);
+      return null;
+    }
+  }
+
+  getCloneUrl(owner, repo, token) {
+    return buildCloneUrl(this.baseUrl, owner, repo, `oauth2:${token}`);
+  }
+
+  /**
+   * Default Pages URL; only known for gitlab.com
+   */
+  getPagesUrl(owner, repo) {
+    return this.host === "gitlab.com" ? `https://${owner.toLowerCase()}.gitlab.io/${repo}/` : null;
+  }
+
+  /**
+   * Files added to every deploy of the Pages branch
+   */
+  getPagesFiles(branch) {
+    return { ".gitlab-ci.yml": buildGitLabCiConfig(branch) };
+  }
+}
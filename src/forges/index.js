@@ -0,0 +1,28 @@
+import GitHubForge from "./githubForge.js";
+import GitLabForge from "./gitlabForge.js";
+import GiteaForge from "./giteaForge.js";
+import { EXIT_CODES } from "../utils/exitCodes.js";
+
+/**
+ * Code forges, keyed by the `forge` field of .deployease.json.
+ * `forgeUrl` holds the base URL of self-hosted instances.
+ */
+export const FORGES = {
+  github: GitHubForge,
+  gitlab: GitLabForge,
+  gitea: GiteaForge,
+};
+
+/**
+ * Create the forge for a project config (or { forge, forgeUrl } options).
+ * Throws if the forge is unknown.
+ */
+export function createForge({ forge = "github", forgeUrl } = {}) {
+  const Forge = FORGES[forge || "github"];
+  if (!Forge) {
+    const err = new Error(`Unknown forge "${forge}". Supported forges: ${Object.keys(FORGES).join(", ")}`);
+    err.exitCode = EXIT_CODES.CONFIG;
+    throw err;
+  }
+  return new Forge({ baseUrl: forgeUrl });
+}
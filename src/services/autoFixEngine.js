@@ -2,6 +2,8 @@ import fs from "fs";
 import path from "path";
 import { execSync } from "child_process";
 import chalk from "chalk";
+import { getPackageManager } from "./packageManager.js";
+import { detectProject } from "../detectors/index.js";
 
 /**
  * AI Error Auto-Fix Engine
@@ -12,6 +14,7 @@ class AutoFixEngine {
   constructor(cwd, projectInfo) {
     this.cwd = cwd;
     this.projectInfo = projectInfo;
+    this.packageManager = projectInfo?.packageManager || getPackageManager(cwd);
     this.fixes = [];
   }
 
@@ -71,7 +74,9 @@ class AutoFixEngine {
         suggestedFixes.push({
           type: "install_package",
           description: `Install missing package: ${actualPackage}`,
-          action: `npm install ${actualPackage}${this.isDevDependency(actualPackage) ? " --save-dev" : ""}`,
+          action: this.isDevDependency(actualPackage)
+            ? this.packageManager.addDev(actualPackage)
+            : this.packageManager.add(actualPackage),
           autoFixable: true,
           package: actualPackage,
         });
@@ -79,7 +84,7 @@ class AutoFixEngine {
         suggestedFixes.push({
           type: "install_dependencies",
           description: "Install missing dependencies",
-          action: "npm install",
+          action: this.packageManager.install,
           autoFixable: true,
         });
       }
@@ -96,48 +101,36 @@ class AutoFixEngine {
       suggestedFixes.push({
         type: "install_dependencies",
         description: "Install all dependencies",
-        action: "npm install",
+        action: this.packageManager.install,
         autoFixable: true,
       });
     }
 
     // Pattern 3: Build script not found
-    if (/Missing script: "build"|npm ERR! missing script/i.test(errorText)) {
+    // npm, yarn 1, yarn 2+, pnpm and bun wordings
+    if (
+      /Missing script: "?build|npm ERR! missing script|Command "build" not found|Couldn't find a script named "build"|Script not found "build"/i.test(
+        errorText
+      )
+    ) {
       issues.push({
         type: "missing_build_script",
         severity: "high",
         message: "Build script not found in package.json",
       });
 
-      const packageJsonPath = path.join(this.cwd, "package.json");
-      if (fs.existsSync(packageJsonPath)) {
-        try {
-          const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
-          const deps = {
-            ...(packageJson.dependencies || {}),
-            ...(packageJson.devDependencies || {}),
-          };
-
-          if (deps["react-scripts"]) {
-            suggestedFixes.push({
-              type: "add_build_script",
-              description: "Add build script for React app",
-              action: "update_package_json",
-              autoFixable: true,
-              script: { build: "react-scripts build" },
-            });
-          } else if (deps["vite"]) {
-            suggestedFixes.push({
-              type: "add_build_script",
-              description: "Add build script for Vite app",
-              action: "update_package_json",
-              autoFixable: true,
-              script: { build: "vite build" },
-            });
-          }
-        } catch (e) {
-          // Ignore
-        }
+      // The script the detected framework builds with
+      const { buildScript, framework } = this.projectInfo?.buildScript
+        ? this.projectInfo
+        : detectProject(this.cwd, { router: false });
+      if (buildScript) {
+        suggestedFixes.push({
+          type: "add_build_script",
+          description: `Add build script for ${framework} app`,
+          action: "update_package_json",
+          autoFixable: true,
+          script: { build: buildScript },
+        });
       }
     }
 
@@ -201,7 +194,7 @@ class AutoFixEngine {
       suggestedFixes.push({
         type: "increase_memory",
         description: "Increase Node.js memory limit",
-        action: "NODE_OPTIONS=--max_old_space_size=4096 npm run build",
+        action: `NODE_OPTIONS=--max_old_space_size=4096 ${this.projectInfo?.buildCmd || this.packageManager.run("build")}`,
         autoFixable: true,
       });
     }
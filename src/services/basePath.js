@@ -0,0 +1,331 @@
+import fs from "fs";
+import path from "path";
+import { LEDGER_DIR } from "./deployLedger.js";
+import { NEXT_CONFIG_FILES } from "./nextExport.js";
+
+const VUE_CONFIG_FILES = ["vue.config.js", "vue.config.cjs", "vue.config.mjs"];
+const SVELTE_CONFIG_FILES = ["svelte.config.js", "svelte.config.mjs"];
+const GATSBY_CONFIG_FILES = ["gatsby-config.js", "gatsby-config.mjs", "gatsby-config.ts"];
+const DOCUSAURUS_CONFIG_FILES = ["docusaurus.config.js", "docusaurus.config.ts", "docusaurus.config.mjs"];
+const NUXT_CONFIG_FILES = ["nuxt.config.js", "nuxt.config.ts", "nuxt.config.mjs"];
+const ASSET_TAG = /<(script|link|img|source)\b([^>]*)>/gi;
+const URL_ATTRIBUTE = /\s(?:src|href)\s*=\s*["']([^"']+)["']/i;
+const REL_ATTRIBUTE = /\srel\s*=\s*["']([^"']*)["']/i;
+// <link> rels that load a file; canonical, alternate and the like point at pages
+const ASSET_LINK_RELS = ["stylesheet", "preload", "modulepreload", "icon", "apple-touch-icon", "mask-icon", "manifest"];
+
+/**
+ * Normalize a base path to "/" or "/segment/.../"
+ */
+export function normalizeBasePath(value) {
+  const trimmed = String(value || "").trim().replace(/^\/+|\/+$/g, "");
+  return trimmed ? `/${trimmed}/` : "/";
+}
+
+/**
+ * Base path the site is served from: "basePath" in .deployease.json, or
+ * the path of the target's site URL. That is /<repo>/ for project Pages
+ * sites and / for custom domains, user sites and hosts without a path.
+ */
+export function getBasePath(target, config = {}) {
+  if (typeof config.basePath === "string") {
+    return normalizeBasePath(config.basePath);
+  }
+
+  const siteUrl = target.getSiteUrl();
+  if (!siteUrl) {
+    return "/";
+  }
+  try {
+    return normalizeBasePath(new URL(siteUrl).pathname.replace(/\/index\.html?$/i, ""));
+  } catch (e) {
+    return "/";
+  }
+}
+
+/**
+ * Base path without the trailing slash, as basePath/paths.base expect
+ * ("" for the root)
+ */
+function withoutTrailingSlash(basePath) {
+  return basePath === "/" ? "" : basePath.replace(/\/$/, "");
+}
+
+function readPackageJson(cwd) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(cwd, "package.json"), "utf-8"));
+  } catch (e) {
+    return {};
+  }
+}
+
+/**
+ * Contents of the first config file that exists, with its name
+ */
+function readConfigFile(cwd, names) {
+  const name = names.find((file) => fs.existsSync(path.join(cwd, file)));
+  return name ? { name, source: fs.readFileSync(path.join(cwd, name), "utf-8") } : null;
+}
+
+/**
+ * Vue CLI has no publicPath flag, but it loads its config from
+ * VUE_CLI_SERVICE_CONFIG_PATH. Point that at a generated wrapper around
+ * the project's own vue.config.js that overrides publicPath.
+ * Returns the wrapper path, or null if the project config is an ES module.
+ */
+function writeVueConfigWrapper(cwd, basePath) {
+  const packageJson = readPackageJson(cwd);
+  const userConfig = VUE_CONFIG_FILES.find((file) => fs.existsSync(path.join(cwd, file)));
+  if (userConfig === "vue.config.mjs" || (userConfig === "vue.config.js" && packageJson.type === "module")) {
+    return null;
+  }
+
+  // Not in node_modules: its existence would make a fresh checkout look installed
+  const wrapperPath = path.join(cwd, LEDGER_DIR, "vue.config.cjs");
+  const userConfigPath = userConfig ? JSON.stringify(path.join(cwd, userConfig)) : "null";
+  const wrapper = [
+    "// Generated by DeployEase for the deploy build — do not edit",
+    `const file = ${userConfigPath};`,
+    "let config = file ? require(file) : {};",
+    'if (typeof config === "function") config = config();',
+    `module.exports = { ...config, publicPath: ${JSON.stringify(basePath)} };`,
+    "",
+  ].join("\n");
+
+  fs.mkdirSync(path.dirname(wrapperPath), { recursive: true });
+  fs.writeFileSync(wrapperPath, wrapper);
+  return wrapperPath;
+}
+
+/**
+ * How each base path mechanism (the basePathMechanism of a detected
+ * project) passes the base path to the build, preferring flags and
+ * environment variables over editing the user's config
+ */
+export const BASE_PATH_MECHANISMS = {
+  // Wins over package.json "homepage"
+  "public-url": "PUBLIC_URL",
+  "vite-base": "vite build --base",
+  "angular-base-href": "ng build --base-href",
+  // A wrapper config, loaded through VUE_CLI_SERVICE_CONFIG_PATH
+  "vue-cli-public-path": "Vue CLI publicPath",
+  // BASE_PATH / NEXT_PUBLIC_BASE_PATH, read by next.config's basePath
+  "next-base-path": "BASE_PATH",
+  // BASE_PATH, read by svelte.config's paths.base
+  "sveltekit-paths-base": "BASE_PATH",
+  "astro-base": "astro build --base",
+  // PREFIX_PATHS turns on gatsby-config's pathPrefix, which reads BASE_PATH
+  "gatsby-prefix-paths": "PREFIX_PATHS + BASE_PATH",
+  "eleventy-pathprefix": "eleventy --pathprefix",
+  // BASE_URL, read by docusaurus.config's baseUrl
+  "docusaurus-base-url": "BASE_URL",
+  "nuxt-app-base-url": "NUXT_APP_BASE_URL",
+  // BASE_PATH, read by nuxt.config's router.base
+  "nuxt2-router-base": "BASE_PATH",
+  "hugo-base-url": "hugo --baseURL",
+};
+
+/**
+ * Warning for a mechanism that relies on the user's config reading an
+ * environment variable, when the config doesn't mention it
+ */
+function configReadsEnv(cwd, files, envName, framework, setting) {
+  const config = readConfigFile(cwd, files);
+  if (config?.source.includes(envName)) {
+    return [];
+  }
+  return [`${framework} reads the base path from ${config?.name || files[0]} only. Add:`, `  ${setting}`];
+}
+
+/**
+ * Work out how to pass the base path to the project's build
+ * (see BASE_PATH_MECHANISMS)
+ * @returns {Object} { args, env, mechanism, warnings }
+ */
+export function getBaseBuildOptions(projectInfo, basePath, cwd = process.cwd()) {
+  const result = { args: [], env: {}, mechanism: null, warnings: [] };
+  const bare = withoutTrailingSlash(basePath);
+
+  switch (projectInfo.basePathMechanism) {
+    case "public-url":
+      result.env.PUBLIC_URL = basePath;
+      result.mechanism = BASE_PATH_MECHANISMS["public-url"];
+      break;
+
+    case "vite-base":
+      result.args = ["--base", basePath];
+      result.mechanism = BASE_PATH_MECHANISMS["vite-base"];
+      break;
+
+    case "angular-base-href":
+      result.args = ["--base-href", basePath];
+      result.mechanism = BASE_PATH_MECHANISMS["angular-base-href"];
+      break;
+
+    case "vue-cli-public-path": {
+      const wrapperPath = writeVueConfigWrapper(cwd, basePath);
+      if (wrapperPath) {
+        result.env.VUE_CLI_SERVICE_CONFIG_PATH = wrapperPath;
+        result.mechanism = BASE_PATH_MECHANISMS["vue-cli-public-path"];
+      } else if (basePath !== "/") {
+        result.warnings.push(`vue.config is an ES module; set publicPath: "${basePath}" in it yourself.`);
+      }
+      break;
+    }
+
+    case "next-base-path": {
+      result.env.BASE_PATH = bare;
+      result.env.NEXT_PUBLIC_BASE_PATH = bare;
+      result.mechanism = BASE_PATH_MECHANISMS["next-base-path"];
+      const nextConfig = readConfigFile(cwd, NEXT_CONFIG_FILES);
+      if (basePath !== "/" && !nextConfig?.source.includes("BASE_PATH")) {
+        result.warnings.push(
+          `Next.js reads basePath from ${nextConfig?.name || "next.config.js"} only. Add:`,
+          '  basePath: process.env.BASE_PATH || "",'
+        );
+      }
+      break;
+    }
+
+    case "sveltekit-paths-base": {
+      result.env.BASE_PATH = bare;
+      result.mechanism = BASE_PATH_MECHANISMS["sveltekit-paths-base"];
+      const svelteConfig = readConfigFile(cwd, SVELTE_CONFIG_FILES);
+      if (basePath !== "/" && !svelteConfig?.source.includes("BASE_PATH")) {
+        result.warnings.push(
+          `SvelteKit reads paths.base from ${svelteConfig?.name || "svelte.config.js"} only. Add to kit:`,
+          '  paths: { base: process.env.BASE_PATH || "" },'
+        );
+      }
+      break;
+    }
+
+    case "astro-base":
+      result.args = ["--base", basePath];
+      result.mechanism = BASE_PATH_MECHANISMS["astro-base"];
+      break;
+
+    case "gatsby-prefix-paths":
+      result.env.PREFIX_PATHS = "true";
+      result.env.BASE_PATH = bare;
+      result.mechanism = BASE_PATH_MECHANISMS["gatsby-prefix-paths"];
+      if (basePath !== "/") {
+        result.warnings.push(
+          ...configReadsEnv(cwd, GATSBY_CONFIG_FILES, "BASE_PATH", "Gatsby", 'pathPrefix: process.env.BASE_PATH || "",')
+        );
+      }
+      break;
+
+    case "eleventy-pathprefix":
+      result.args = ["--pathprefix", basePath];
+      result.mechanism = BASE_PATH_MECHANISMS["eleventy-pathprefix"];
+      break;
+
+    case "docusaurus-base-url":
+      result.env.BASE_URL = basePath;
+      result.mechanism = BASE_PATH_MECHANISMS["docusaurus-base-url"];
+      if (basePath !== "/") {
+        result.warnings.push(
+          ...configReadsEnv(cwd, DOCUSAURUS_CONFIG_FILES, "BASE_URL", "Docusaurus", 'baseUrl: process.env.BASE_URL || "/",')
+        );
+      }
+      break;
+
+    case "nuxt-app-base-url":
+      result.env.NUXT_APP_BASE_URL = basePath;
+      result.mechanism = BASE_PATH_MECHANISMS["nuxt-app-base-url"];
+      break;
+
+    case "nuxt2-router-base":
+      result.env.BASE_PATH = basePath;
+      result.mechanism = BASE_PATH_MECHANISMS["nuxt2-router-base"];
+      if (basePath !== "/") {
+        result.warnings.push(
+          ...configReadsEnv(cwd, NUXT_CONFIG_FILES, "BASE_PATH", "Nuxt 2", 'router: { base: process.env.BASE_PATH || "/" },')
+        );
+      }
+      break;
+
+    case "hugo-base-url":
+      result.args = ["--baseURL", basePath];
+      result.mechanism = BASE_PATH_MECHANISMS["hugo-base-url"];
+      break;
+
+    default:
+      break;
+  }
+
+  return result;
+}
+
+/**
+ * Append extra arguments to a package script command ("npm run build -- --base /x/",
+ * "pnpm run build --base /x/": only npm needs the "--" separator).
+ * Commands chaining several scripts are left alone.
+ */
+export function appendBuildArgs(buildCmd, args = []) {
+  if (!args.length || buildCmd.includes("&&")) {
+    return buildCmd;
+  }
+  const quoted = args.map((arg) => (/^[\w./:@=-]+$/.test(arg) ? arg : JSON.stringify(arg)));
+  const separator = /\bnpm run\b/.test(buildCmd) && !buildCmd.includes(" -- ") ? " --" : "";
+  return `${buildCmd}${separator} ${quoted.join(" ")}`;
+}
+
+/**
+ * URLs of the scripts, stylesheets, images and other assets referenced by
+ * an HTML page, as written in the page
+ */
+export function extractAssetUrls(html) {
+  return [...html.matchAll(ASSET_TAG)]
+    .filter(([, tag, attributes]) => {
+      if (tag.toLowerCase() !== "link") return true;
+      const rels = (attributes.match(REL_ATTRIBUTE)?.[1] || "").toLowerCase().split(/\s+/);
+      return rels.some((rel) => ASSET_LINK_RELS.includes(rel));
+    })
+    .map(([, , attributes]) => attributes.match(URL_ATTRIBUTE)?.[1])
+    .filter(Boolean);
+}
+
+/**
+ * Check the local asset URLs in the built index.html: absolute ones must
+ * start with the base path, and every one must exist in the build output.
+ * @returns {Object} { checked, mismatched: [{ url, reason }] }
+ */
+export function checkAssetBase(deployDir, basePath) {
+  const result = { checked: 0, mismatched: [] };
+  const indexPath = path.join(deployDir, "index.html");
+  if (!fs.existsSync(indexPath)) {
+    return result;
+  }
+
+  const html = fs.readFileSync(indexPath, "utf-8");
+  for (const rawUrl of extractAssetUrls(html)) {
+    // Skip external, protocol-relative, data: and fragment URLs
+    if (/^([a-z][a-z0-9+.-]*:|\/\/|#)/i.test(rawUrl)) continue;
+    const url = rawUrl.replace(/[?#].*$/, "");
+    if (!url) continue;
+    result.checked++;
+
+    let relativePath = url;
+    if (url.startsWith("/")) {
+      if (!url.startsWith(basePath)) {
+        result.mismatched.push({ url: rawUrl, reason: `outside ${basePath}` });
+        continue;
+      }
+      relativePath = url.slice(basePath.length);
+    }
+
+    let decoded = relativePath;
+    try {
+      decoded = decodeURIComponent(relativePath);
+    } catch (e) {
+      // Keep the raw path
+    }
+    if (decoded && !fs.existsSync(path.join(deployDir, decoded))) {
+      result.mismatched.push({ url: rawUrl, reason: "not in the build output" });
+    }
+  }
+
+  return result;
+}
@@ -0,0 +1,204 @@
+import crypto from "crypto";
+import fs from "fs";
+import os from "os";
+import path from "path";
+import fsExtra from "fs-extra";
+import simpleGit from "simple-git";
+import { getDirectoryStats, SKIPPED_ENTRIES } from "../utils/fileManifest.js";
+import { LOCKFILES } from "./packageManager.js";
+
+export const CACHE_DIR = path.join(os.homedir(), ".deployease", "cache");
+const META_FILE = "meta.json";
+const OUTPUT_DIR = "output";
+// Builds kept per project; older ones are pruned when a new one is cached
+const MAX_ENTRIES_PER_PROJECT = 3;
+// Environment variables that frameworks inline into the build
+const BUILD_ENV_PATTERN =
+  /^(NODE_ENV|PUBLIC_URL|BASE_PATH|ASSET_PREFIX|GENERATE_SOURCEMAP|(REACT_APP|VITE|NEXT_PUBLIC|VUE_APP|NG_APP|PUBLIC|GATSBY|NUXT_PUBLIC)_.*)$/;
+// Bump when the fingerprint changes shape, so old entries stop matching
+const FINGERPRINT_VERSION = 1;
+// .env, .env.local, .env.production.local, ...: usually gitignored, but inlined by the build
+const ENV_FILE_PATTERN = /^\.env(\..+)?$/;
+
+function hashFile(file) {
+  try {
+    return crypto.createHash("sha1").update(fs.readFileSync(file)).digest("hex");
+  } catch (e) {
+    // Deleted but still in the index, or a directory (submodule)
+    return null;
+  }
+}
+
+/**
+ * Files that feed the build: tracked and untracked-but-not-ignored files
+ * under `cwd` (outside the deploy directory and DeployEase's own files),
+ * plus the lockfiles and .env files (ignored or not) of the project and
+ * of the repository root (monorepos)
+ */
+async function listInputFiles(cwd, deployDir) {
+  const git = simpleGit(cwd);
+  const files = (await git.raw(["ls-files", "-z", "--cached", "--others", "--exclude-standard"]))
+    .split("\0")
+    .filter(Boolean);
+  const output = path.relative(cwd, deployDir).split(path.sep).join("/");
+
+  const inputs = new Set(
+    files
+      .filter((file) => file !== output && !file.startsWith(`${output}/`))
+      // DeployEase's own state changes with every deploy
+      .filter((file) => !file.split("/").some((part) => SKIPPED_ENTRIES.includes(part)))
+      .map((file) => path.join(cwd, file))
+  );
+  const root = (await git.revparse(["--show-toplevel"])).trim();
+  [cwd, root].forEach((dir) => {
+    LOCKFILES.map((name) => path.join(dir, name))
+      .filter((file) => fs.existsSync(file))
+      .forEach((file) => inputs.add(file));
+    fs.readdirSync(dir, { withFileTypes: true })
+      .filter((entry) => entry.isFile() && ENV_FILE_PATTERN.test(entry.name))
+      .forEach((entry) => inputs.add(path.join(dir, entry.name)));
+  });
+  return [...inputs].sort();
+}
+
+/**
+ * Fingerprint of a build's inputs: the build command, build-relevant
+ * environment variables, the Node.js version, and the content of every
+ * source file and lockfile.
+ * @returns {string|null} the fingerprint, or null if it can't be taken
+ *   (not a git repository, or a deploy directory that isn't inside the project)
+ */
+export async function getBuildFingerprint({ cwd, deployDir, buildCmd, env = {} }) {
+  const relative = path.relative(cwd, deployDir);
+  if (!relative || relative.startsWith("..") || path.isAbsolute(relative)) {
+    return null;
+  }
+
+  try {
+    if (!(await simpleGit(cwd).checkIsRepo())) {
+      return null;
+    }
+    const buildEnv = Object.fromEntries(
+      Object.entries({ ...process.env, ...env })
+        .filter(([name]) => BUILD_ENV_PATTERN.test(name) || name in env)
+        .sort(([a], [b]) => a.localeCompare(b))
+    );
+
+    const hash = crypto.createHash("sha256");
+    hash.update(JSON.stringify({ version: FINGERPRINT_VERSION, buildCmd, buildEnv, node: process.version }));
+    for (const file of await listInputFiles(cwd, deployDir)) {
+      hash.update(`\0${path.relative(cwd, file)}\0${hashFile(file)}`);
+    }
+    return hash.digest("hex");
+  } catch (e) {
+    return null;
+  }
+}
+
+function readMeta(entryDir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(entryDir, META_FILE), "utf-8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Cached build entries, most recently used first
+ * @returns {Object[]} [{ fingerprint, project, deployDir, buildCmd, createdAt, usedAt, files, bytes, dir }]
+ */
+export function listCacheEntries(cacheDir = CACHE_DIR) {
+  if (!fs.existsSync(cacheDir)) {
+    return [];
+  }
+  return fs
+    .readdirSync(cacheDir)
+    .map((name) => {
+      const meta = readMeta(path.join(cacheDir, name));
+      return meta && { ...meta, dir: path.join(cacheDir, name) };
+    })
+    .filter(Boolean)
+    .sort((a, b) => (b.usedAt || b.createdAt).localeCompare(a.usedAt || a.createdAt));
+}
+
+/**
+ * Copy the cached output for `fingerprint` into `deployDir`
+ * @returns {Object|null} the entry's metadata on a hit, null on a miss
+ */
+export function restoreBuildCache(fingerprint, deployDir, cacheDir = CACHE_DIR) {
+  const entryDir = path.join(cacheDir, fingerprint);
+  const meta = readMeta(entryDir);
+  if (!meta || !fs.existsSync(path.join(entryDir, OUTPUT_DIR))) {
+    return null;
+  }
+  fsExtra.emptyDirSync(deployDir);
+  fsExtra.copySync(path.join(entryDir, OUTPUT_DIR), deployDir);
+  // Pruning keeps the most recently used entries
+  fs.writeFileSync(path.join(entryDir, META_FILE), JSON.stringify({ ...meta, usedAt: new Date().toISOString() }));
+  return meta;
+}
+
+/**
+ * Cache a successful build's deploy directory, keeping the project's
+ * MAX_ENTRIES_PER_PROJECT most recently used entries. Never throws: a
+ * deploy must not fail because its build couldn't be cached.
+ */
+export function saveBuildCache(fingerprint, { cwd, deployDir, buildCmd }, cacheDir = CACHE_DIR) {
+  try {
+    const entryDir = path.join(cacheDir, fingerprint);
+    const tempDir = `${entryDir}.tmp-${process.pid}`;
+    fsExtra.removeSync(tempDir);
+    fsExtra.copySync(deployDir, path.join(tempDir, OUTPUT_DIR));
+    fs.writeFileSync(
+      path.join(tempDir, META_FILE),
+      JSON.stringify({
+        fingerprint,
+        project: cwd,
+        deployDir: path.relative(cwd, deployDir),
+        buildCmd,
+        createdAt: new Date().toISOString(),
+        ...getDirectoryStats(deployDir),
+      })
+    );
+    fsExtra.removeSync(entryDir);
+    fs.renameSync(tempDir, entryDir);
+
+    listCacheEntries(cacheDir)
+      .filter((entry) => entry.project === cwd)
+      .slice(MAX_ENTRIES_PER_PROJECT)
+      .forEach((entry) => fsExtra.removeSync(entry.dir));
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Whether a cache entry belongs to the project at `root` (or one of its apps)
+ */
+export function isProjectEntry(entry, root) {
+  const relative = path.relative(root, entry.project);
+  return !relative.startsWith("..") && !path.isAbsolute(relative);
+}
+
+/**
+ * Remove cached builds: all of them, or only those of the project at `project`
+ * @returns {Object} { entries, bytes } removed
+ */
+export function cleanBuildCache({ project = null } = {}, cacheDir = CACHE_DIR) {
+  const removed = { entries: 0, bytes: 0 };
+  listCacheEntries(cacheDir)
+    .filter((entry) => !project || isProjectEntry(entry, project))
+    .forEach((entry) => {
+      fsExtra.removeSync(entry.dir);
+      removed.entries++;
+      removed.bytes += entry.bytes || 0;
+    });
+  if (!project && fs.existsSync(cacheDir)) {
+    // Leftovers of interrupted saves
+    fs.readdirSync(cacheDir)
+      .filter((name) => name.includes(".tmp-"))
+      .forEach((name) => fsExtra.removeSync(path.join(cacheDir, name)));
+  }
+  return removed;
+}
@@ -2,6 +2,8 @@ import fs from "fs";
 import path from "path";
 import { execSync } from "child_process";
 import AutoFixEngine from "./autoFixEngine.js";
+import { getPackageManager } from "./packageManager.js";
+import { detectProject } from "../detectors/index.js";
 
 /**
  * Chat-based Developer Assistant
@@ -34,8 +36,22 @@ class ChatAssistant {
       routingType: null,
       issues: [],
       recentErrors: [],
+      packageManager: getPackageManager(this.cwd),
     };
 
+    // Framework, output directory and router, as deploy sees them
+    const detected = detectProject(this.cwd);
+    context.detected = detected;
+    if (detected.framework) {
+      context.projectType = detected.type;
+      context.framework = detected.framework;
+    }
+    context.buildDir = detected.deployDir;
+    if (detected.router) {
+      context.hasRouting = true;
+      context.routingType = detected.router.id;
+    }
+
     // Read package.json
     const packageJsonPath = path.join(this.cwd, "package.json");
     if (fs.existsSync(packageJsonPath)) {
@@ -48,41 +64,6 @@ class ChatAssistant {
         context.scripts = packageJson.scripts || {};
         context.name = packageJson.name;
         context.version = packageJson.version;
-
-        // Detect framework
-        if (context.dependencies["react-scripts"]) {
-          context.projectType = "react";
-          context.framework = "Create React App";
-          context.buildDir = "build";
-        } else if (context.dependencies["next"]) {
-          context.projectType = "nextjs";
-          context.framework = "Next.js";
-          context.buildDir = "out";
-        } else if (context.dependencies["vite"]) {
-          context.projectType = "vite";
-          context.framework = "Vite";
-          context.buildDir = "dist";
-        } else if (context.dependencies["vue"] || context.dependencies["@vue/cli-service"]) {
-          context.projectType = "vue";
-          context.framework = "Vue.js";
-          context.buildDir = "dist";
-        } else if (context.dependencies["@angular/core"]) {
-          context.projectType = "angular";
-          context.framework = "Angular";
-          context.buildDir = "dist";
-        }
-
-        // Check for routing
-        if (context.dependencies["react-router-dom"] || context.dependencies["react-router"]) {
-          context.hasRouting = true;
-          context.routingType = "react-router";
-        } else if (context.dependencies["next"]) {
-          context.hasRouting = true;
-          context.routingType = "next-router";
-        } else if (context.dependencies["vue-router"]) {
-          context.hasRouting = true;
-          context.routingType = "vue-router";
-        }
       } catch (e) {
         // Ignore parse errors
       }
@@ -96,32 +77,10 @@ class ChatAssistant {
         context.deployDir = context.config.deployDir || context.buildDir || "dist";
         context.repo = context.config.repo;
         context.owner = context.config.owner;
-      } catch (e) {
-        // Ignore
-      }
-    }
-
-    // Check for build directory
-    const possibleBuildDirs = ["build", "dist", "out"];
-    for (const dir of possibleBuildDirs) {
-      if (fs.existsSync(path.join(this.cwd, dir))) {
-        context.buildDir = dir;
-        break;
-      }
-    }
-
-    // Check for routing configuration files
-    if (fs.existsSync(path.join(this.cwd, "src", "App.js")) || 
-        fs.existsSync(path.join(this.cwd, "src", "App.jsx"))) {
-      try {
-        const appContent = fs.existsSync(path.join(this.cwd, "src", "App.jsx"))
-          ? fs.readFileSync(path.join(this.cwd, "src", "App.jsx"), "utf-8")
-          : fs.readFileSync(path.join(this.cwd, "src", "App.js"), "utf-8");
-        
-        if (appContent.includes("BrowserRouter") || appContent.includes("Route")) {
-          context.hasRouting = true;
-          context.routingType = "react-router";
-        }
+        context.domain = context.config.domain || null;
+        context.siteUrl = context.domain
+          ? `https://${context.domain}/`
+          : `https://${context.owner}.github.io/${context.repo}/`;
       } catch (e) {
         // Ignore
       }
@@ -148,12 +107,7 @@ class ChatAssistant {
         try {
           const errorContent = fs.readFileSync(errorLogPath, "utf-8");
           if (errorContent && errorContent.length > 0) {
-            const projectInfo = {
-              type: context.projectType || "unknown",
-              buildCmd: context.scripts?.build || "npm run build",
-            };
-            
-            const autoFix = new AutoFixEngine(this.cwd, projectInfo);
+            const autoFix = new AutoFixEngine(this.cwd, context.detected);
             const mockError = { message: errorContent.substring(0, 200) };
             this.errorAnalysis = autoFix.analyzeError(mockError, errorContent);
             
@@ -168,12 +122,7 @@ class ChatAssistant {
     } else if (this.recentBuildErrors.length > 0) {
       // Analyze stored errors
       const errorText = this.recentBuildErrors.join("\n");
-      const projectInfo = {
-        type: context.projectType || "unknown",
-        buildCmd: context.scripts?.build || "npm run build",
-      };
-      
-      const autoFix = new AutoFixEngine(this.cwd, projectInfo);
+      const autoFix = new AutoFixEngine(this.cwd, context.detected);
       const mockError = { message: errorText.substring(0, 200) };
       this.errorAnalysis = autoFix.analyzeError(mockError, errorText);
       
@@ -253,6 +202,7 @@ class ChatAssistant {
    * Answer build failure questions
    */
   answerBuildFailure(context) {
+    const pm = context.packageManager;
     let answer = `🔍 **Build Failure Analysis**\n\n`;
 
     // Use analyzed errors from AutoFixEngine if available
@@ -314,7 +264,7 @@ class ChatAssistant {
       // Missing dependencies
       if (context.projectType === "react" && !context.dependencies["react-scripts"]) {
         answer += `• **Missing react-scripts**: Your React app needs react-scripts installed.\n`;
-        answer += `  Fix: Run \`npm install react-scripts\`\n\n`;
+        answer += `  Fix: Run \`${pm.add("react-scripts")}\`\n\n`;
       }
 
       // Missing build script
@@ -330,7 +280,7 @@ class ChatAssistant {
       // Missing node_modules
       if (!fs.existsSync(path.join(this.cwd, "node_modules"))) {
         answer += `• **Missing dependencies**: node_modules directory not found.\n`;
-        answer += `  Fix: Run \`npm install\` to install all dependencies\n\n`;
+        answer += `  Fix: Run \`${pm.install}\` to install all dependencies\n\n`;
       }
 
       // Syntax errors
@@ -339,10 +289,10 @@ class ChatAssistant {
     }
 
     answer += `**Quick Fix Steps:**\n`;
-    answer += `1. Run \`npm install\` to ensure all dependencies are installed\n`;
-    answer += `2. Clear cache: \`npm cache clean --force\`\n`;
-    answer += `3. Delete node_modules and package-lock.json, then run \`npm install\` again\n`;
-    answer += `4. Check your build script: \`npm run build\` should work locally first\n`;
+    answer += `1. Run \`${pm.install}\` to ensure all dependencies are installed\n`;
+    answer += `2. Clear cache: \`${pm.cacheClean}\`\n`;
+    answer += `3. Delete node_modules, then run \`${pm.install}\` again\n`;
+    answer += `4. Check your build script: \`${pm.run("build")}\` should work locally first\n`;
     answer += `5. **Use \`deployease deploy\`** - it has AI auto-fix capabilities that can automatically detect and fix many issues!\n`;
     
     if (context.suggestedFixes && context.suggestedFixes.some(f => f.autoFixable)) {
@@ -363,7 +313,7 @@ class ChatAssistant {
       
       if (context.projectType === "react") {
         answer += `**To add routing to React:**\n`;
-        answer += `1. Install: \`npm install react-router-dom\`\n`;
+        answer += `1. Install: \`${context.packageManager.add("react-router-dom")}\`\n`;
         answer += `2. Wrap your app with BrowserRouter in index.js\n`;
         answer += `3. Add Routes and Route components in App.js\n\n`;
       } else if (context.projectType === "nextjs") {
@@ -379,21 +329,27 @@ class ChatAssistant {
       answer += `**Common React Router Issues on GitHub Pages:**\n\n`;
       
       answer += `• **404 errors on refresh**: GitHub Pages doesn't support client-side routing by default.\n`;
-      answer += `  Fix: Use HashRouter instead of BrowserRouter:\n`;
-      answer += `  \`\`\`js\n`;
-      answer += `  import { HashRouter } from 'react-router-dom';\n`;
-      answer += `  // Replace BrowserRouter with HashRouter\n`;
-      answer += `  \`\`\`\n\n`;
-
-      answer += `• **Base path issues**: If your repo name isn't the root, add a basename:\n`;
-      answer += `  \`\`\`js\n`;
-      answer += `  <BrowserRouter basename="/${context.repo || "your-repo"}">\n`;
-      answer += `  \`\`\`\n\n`;
-
-      answer += `• **Missing homepage in package.json**: Add homepage field:\n`;
-      answer += `  \`\`\`json\n`;
-      answer += `  "homepage": "https://${context.owner || "username"}.github.io/${context.repo || "repo"}/"\n`;
-      answer += `  \`\`\`\n\n`;
+      if (context.config.pages?.spaFallback === false) {
+        answer += `  The 404.html fallback is turned off (\`"pages": { "spaFallback": false }\`).\n`;
+        answer += `  Remove that setting, or use HashRouter instead of BrowserRouter:\n`;
+        answer += `  \`\`\`js\n`;
+        answer += `  import { HashRouter } from 'react-router-dom';\n`;
+        answer += `  // Replace BrowserRouter with HashRouter\n`;
+        answer += `  \`\`\`\n\n`;
+      } else {
+        answer += `  \`deployease deploy\` handles this: it publishes a 404.html copy of index.html,\n`;
+        answer += `  so GitHub Pages serves your app for deep links and React Router takes over.\n\n`;
+      }
+
+      if (!context.domain) {
+        answer += `• **Base path issues**: If your repo name isn't the root, add a basename:\n`;
+        answer += `  \`\`\`js\n`;
+        answer += `  <BrowserRouter basename="/${context.repo || "your-repo"}">\n`;
+        answer += `  \`\`\`\n\n`;
+      }
+
+      answer += `• **Blank page / missing assets**: \`deployease deploy\` builds with PUBLIC_URL set to the\n`;
+      answer += `  site's base path, so no "homepage" field is needed. Override it with "basePath" in .deployease.json.\n\n`;
     }
 
     // Check for routing config files
@@ -410,7 +366,11 @@ class ChatAssistant {
           const content = fs.readFileSync(file, "utf-8");
           if (content.includes("BrowserRouter") && !content.includes("HashRouter")) {
             answer += `⚠️  **Issue Found**: You're using BrowserRouter, which may cause 404 errors on GitHub Pages.\n`;
-            answer += `   Consider switching to HashRouter for better compatibility.\n\n`;
+            if (context.config?.pages?.spaFallback === false) {
+              answer += `   The 404.html fallback is turned off; re-enable it or switch to HashRouter.\n\n`;
+            } else {
+              answer += `   Deploy with \`deployease deploy\` so the 404.html fallback is added for you.\n\n`;
+            }
             foundRoutingFile = true;
             break;
           }
@@ -425,7 +385,7 @@ class ChatAssistant {
       answer += `1. Check your routing configuration in App.js or index.js\n`;
       answer += `2. Verify all routes are properly defined\n`;
       answer += `3. Test routes locally before deploying\n`;
-      answer += `4. For GitHub Pages, consider using HashRouter instead of BrowserRouter\n`;
+      answer += `4. For GitHub Pages, deploy with DeployEase (it adds a 404.html fallback) or use HashRouter\n`;
     }
 
     return answer;
@@ -447,7 +407,11 @@ class ChatAssistant {
       answer += `   GitHub Pages serves files directly, but BrowserRouter expects server-side routing.\n`;
       answer += `   When you refresh a page like \`/about\`, GitHub Pages looks for \`/about/index.html\` which doesn't exist.\n\n`;
       
-      answer += `   **Solution 1 - Use HashRouter (Recommended):**\n`;
+      answer += `   **Solution 1 - Let DeployEase add 404.html (default):**\n`;
+      answer += `   Every \`deployease deploy\` publishes a copy of index.html as 404.html when it detects BrowserRouter.\n`;
+      answer += `   Check that \`"pages": { "spaFallback": false }\` isn't set in .deployease.json.\n\n`;
+
+      answer += `   **Solution 2 - Use HashRouter:**\n`;
       answer += `   \`\`\`js\n`;
       answer += `   // Replace BrowserRouter with HashRouter\n`;
       answer += `   import { HashRouter } from 'react-router-dom';\n`;
@@ -456,26 +420,24 @@ class ChatAssistant {
       answer += `     <App />\n`;
       answer += `   </HashRouter>\n`;
       answer += `   \`\`\`\n`;
-      answer += `   URLs will be like: \`https://username.github.io/repo/#/about\`\n\n`;
+      answer += `   URLs will be like: \`${context.siteUrl || "https://username.github.io/repo/"}#/about\`\n\n`;
 
-      answer += `   **Solution 2 - Add 404.html (Alternative):**\n`;
-      answer += `   Copy your index.html to 404.html in the build directory:\n`;
-      answer += `   \`\`\`bash\n`;
-      answer += `   cp build/index.html build/404.html\n`;
-      answer += `   \`\`\`\n\n`;
     }
 
     // Next.js routing
     if (context.projectType === "nextjs") {
       answer += `1. **Next.js Static Export**: \n`;
-      answer += `   Make sure you're using static export for GitHub Pages.\n`;
-      answer += `   Add to next.config.js:\n`;
-      answer += `   \`\`\`js\n`;
-      answer += `   module.exports = {\n`;
-      answer += `     output: 'export',\n`;
-      answer += `     trailingSlash: true,\n`;
-      answer += `   }\n`;
-      answer += `   \`\`\`\n\n`;
+      answer += `   GitHub Pages needs a static export. \`deployease deploy\` adds \`output: "export"\`\n`;
+      answer += `   (and \`images: { unoptimized: true }\` for next/image) to next.config on Next.js 13.3+,\n`;
+      answer += `   and runs \`next export\` on older versions.\n`;
+      const blockers = context.detected?.details?.blockers || [];
+      if (blockers.length > 0) {
+        answer += `   These can't be exported and must change first:\n`;
+        blockers.forEach(({ feature, file, fix }) => {
+          answer += `   - ${feature} in \`${file}\`: ${fix}\n`;
+        });
+      }
+      answer += `   DeployEase adds .nojekyll so GitHub Pages serves the \`_next/\` folder.\n\n`;
     }
 
     // Generic solutions
@@ -483,17 +445,15 @@ class ChatAssistant {
     answer += `   Current build directory: \`${context.buildDir || "Not detected"}\`\n\n`;
 
     answer += `3. **Incorrect base path**: If your repo name is part of the URL:\n`;
-    if (context.config) {
-      answer += `   Set homepage in package.json: \`https://${context.owner}.github.io/${context.repo}/\`\n\n`;
-    } else {
-      answer += `   Add homepage field to package.json with your GitHub Pages URL\n\n`;
-    }
+    answer += `   \`deployease deploy\` passes the base path to Vite, CRA, Vue CLI and Angular builds\n`;
+    answer += `   and checks the asset URLs in index.html. Next.js and SvelteKit read it from BASE_PATH\n`;
+    answer += `   in their config. Set "basePath" in .deployease.json to override it.\n\n`;
 
     answer += `**Quick Fix Checklist:**\n`;
-    answer += `✓ Use HashRouter instead of BrowserRouter (for React apps)\n`;
-    answer += `✓ Add homepage field to package.json\n`;
+    answer += `✓ Keep the 404.html fallback on (default), or use HashRouter (for React apps)\n`;
+    answer += `✓ Deploy with \`deployease deploy\` so the build uses the right base path\n`;
     answer += `✓ Verify index.html exists in build directory\n`;
-    answer += `✓ Test your build locally: serve your build folder and test navigation\n`;
+    answer += `✓ Test your build locally with \`deployease preview\`: it serves it like GitHub Pages, under the same base path\n`;
     answer += `✓ Clear browser cache after deployment\n`;
 
     return answer;
@@ -560,13 +520,14 @@ class ChatAssistant {
     answer += `**Your Deployment Config:**\n`;
     answer += `• Repository: ${context.owner}/${context.repo}\n`;
     answer += `• Branch: ${context.config.branch || "gh-pages"}\n`;
+    answer += `• Live URL: ${context.siteUrl}\n`;
     answer += `• Deploy Directory: ${context.deployDir}\n\n`;
 
     // Check if deploy directory exists
     const deployDirPath = path.join(this.cwd, context.deployDir);
     if (!fs.existsSync(deployDirPath)) {
       answer += `⚠️  **Issue Found**: Deploy directory \`${context.deployDir}\` doesn't exist.\n`;
-      answer += `   Fix: Run \`npm run build\` to create the build directory first.\n\n`;
+      answer += `   Fix: Run \`${context.packageManager.run("build")}\` to create the build directory first.\n\n`;
     } else {
       const files = fs.readdirSync(deployDirPath);
       if (!files.includes("index.html")) {
@@ -588,24 +549,25 @@ class ChatAssistant {
    * Answer missing dependency questions
    */
   answerMissingDependency(context) {
+    const pm = context.packageManager;
     let answer = `🔍 **Missing Dependency Analysis**\n\n`;
 
     answer += `**Common Solutions:**\n\n`;
 
     answer += `1. **Install all dependencies:**\n`;
-    answer += `   \`npm install\`\n\n`;
+    answer += `   \`${pm.install}\`\n\n`;
 
     answer += `2. **Check package.json**: Verify the package is listed in dependencies or devDependencies\n\n`;
 
     answer += `3. **Clear and reinstall:**\n`;
     answer += `   \`\`\`bash\n`;
-    answer += `   rm -rf node_modules package-lock.json\n`;
-    answer += `   npm install\n`;
+    answer += `   rm -rf node_modules\n`;
+    answer += `   ${pm.install}\n`;
     answer += `   \`\`\`\n\n`;
 
     if (context.projectType === "react") {
       answer += `4. **React-specific**: Make sure react-scripts is installed:\n`;
-      answer += `   \`npm install react-scripts\`\n\n`;
+      answer += `   \`${pm.add("react-scripts")}\`\n\n`;
     }
 
     answer += `**Pro Tip**: Use \`deployease deploy\` - it has auto-fix that can install missing packages automatically!\n`;
@@ -0,0 +1,135 @@
+import dns from "dns";
+import { Octokit } from "@octokit/rest";
+
+// Addresses GitHub Pages serves apex (root) domains from
+export const GITHUB_PAGES_IPV4 = [
+  "185.199.108.153",
+  "185.199.109.153",
+  "185.199.110.153",
+  "185.199.111.153",
+];
+export const GITHUB_PAGES_IPV6 = [
+  "2606:50c0:8000::153",
+  "2606:50c0:8001::153",
+  "2606:50c0:8002::153",
+  "2606:50c0:8003::153",
+];
+
+/**
+ * Normalize user input to a bare hostname ("https://WWW.Example.com/" →
+ * "www.example.com"). Returns null if it isn't a valid domain.
+ */
+export function normalizeDomain(input) {
+  if (!input) return null;
+  const domain = String(input)
+    .trim()
+    .toLowerCase()
+    .replace(/^[a-z]+:\/\//, "")
+    .replace(/[/?#].*$/, "")
+    .replace(/\.$/, "");
+
+  const label = "[a-z0-9](?:[a-z0-9-]{0,61}[a-z0-9])?";
+  return new RegExp(`^(?:${label}\\.)+[a-z]{2,}$`).test(domain) ? domain : null;
+}
+
+/**
+ * Whether a domain is an apex (example.com) rather than a subdomain
+ * (www.example.com). Two-part public suffixes like co.uk aren't handled.
+ */
+export function isApexDomain(domain) {
+  return domain.split(".").length === 2;
+}
+
+/**
+ * Resolve a record type, treating "no such record" as an empty list
+ */
+async function resolveOrEmpty(resolve, domain) {
+  try {
+    return await resolve(domain);
+  } catch (err) {
+    if (["ENODATA", "ENOTFOUND", "ENOTIMP", "ESERVFAIL"].includes(err.code)) {
+      return [];
+    }
+    throw err;
+  }
+}
+
+/**
+ * Check whether a domain's DNS points at GitHub Pages for `owner`.
+ * Subdomains should CNAME to <owner>.github.io; apex domains should have
+ * A (and optionally AAAA) records for the GitHub Pages addresses.
+ * @returns {Object} { ok, cname, a, aaaa, problems, warnings, expected }
+ */
+export async function checkDomainDns(domain, owner) {
+  const pagesHost = `${owner}.github.io`.toLowerCase();
+  const result = { ok: false, cname: null, a: [], aaaa: [], problems: [], warnings: [], expected: [] };
+
+  if (isApexDomain(domain)) {
+    result.expected = GITHUB_PAGES_IPV4.map((ip) => `A     ${domain} → ${ip}`);
+  } else {
+    result.expected = [`CNAME ${domain} → ${pagesHost}`];
+  }
+
+  const cnames = await resolveOrEmpty(dns.promises.resolveCname, domain);
+  if (cnames.length > 0) {
+    result.cname = cnames[0].replace(/\.$/, "").toLowerCase();
+    if (result.cname !== pagesHost) {
+      result.problems.push(`CNAME points to ${result.cname}, expected ${pagesHost}`);
+    }
+    result.ok = result.problems.length === 0;
+    return result;
+  }
+
+  result.a = await resolveOrEmpty(dns.promises.resolve4, domain);
+  result.aaaa = await resolveOrEmpty(dns.promises.resolve6, domain);
+
+  if (result.a.length === 0 && result.aaaa.length === 0) {
+    result.problems.push("No CNAME, A or AAAA records found");
+  }
+  const strayA = result.a.filter((ip) => !GITHUB_PAGES_IPV4.includes(ip));
+  if (strayA.length > 0) {
+    result.problems.push(`A records not owned by GitHub Pages: ${strayA.join(", ")}`);
+  }
+  const strayAaaa = result.aaaa.filter((ip) => !GITHUB_PAGES_IPV6.includes(ip));
+  if (strayAaaa.length > 0) {
+    result.problems.push(`AAAA records not owned by GitHub Pages: ${strayAaaa.join(", ")}`);
+  }
+  if (!isApexDomain(domain) && result.problems.length === 0) {
+    // Works, but a CNAME keeps following GitHub if the addresses change
+    result.warnings.push(`Subdomain uses A records; a CNAME to ${pagesHost} is recommended`);
+  }
+
+  result.ok = result.problems.length === 0;
+  return result;
+}
+
+/**
+ * Read the Pages site of a repo. Returns null if Pages isn't enabled yet.
+ */
+export async function getPagesSite(token, owner, repo) {
+  const octokit = new Octokit({ auth: token });
+  try {
+    const { data } = await octokit.request("GET /repos/{owner}/{repo}/pages", { owner, repo });
+    return data;
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
+
+/**
+ * Set (or clear, with domain = null) the custom domain of a Pages site
+ */
+export async function setPagesDomain(token, owner, repo, domain) {
+  const octokit = new Octokit({ auth: token });
+  await octokit.request("PUT /repos/{owner}/{repo}/pages", { owner, repo, cname: domain });
+}
+
+/**
+ * Turn HTTPS enforcement on or off. GitHub refuses to enforce HTTPS until
+ * the certificate for the custom domain has been issued.
+ */
+export async function setPagesHttpsEnforced(token, owner, repo, enforced) {
+  const octokit = new Octokit({ auth: token });
+  await octokit.request("PUT /repos/{owner}/{repo}/pages", { owner, repo, https_enforced: enforced });
+}
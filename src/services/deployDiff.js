@@ -0,0 +1,131 @@
+import chalk from "chalk";
+import fsExtra from "fs-extra";
+import path from "path";
+import { cloneBranch, createTempDir, remoteBranchExists } from "./gitPublisher.js";
+import { buildManifest, diffManifests, formatBytes, hashContent } from "../utils/fileManifest.js";
+
+// Entry points whose changes deserve a warning
+const SENSITIVE_FILES = {
+  "index.html": "the site's entry page",
+  "404.html": "the fallback served for unknown routes",
+};
+const MAX_LISTED = 50;
+
+/**
+ * Compare the local deploy directory with the tree currently live on the
+ * remote Pages branch. Nothing is committed or pushed. Options mirror
+ * publishDirectory: only the part of the branch a publish replaces
+ * (`subdir`, or everything under `root` but `keepPaths`) is compared.
+ * @returns {Object} { diff, branchExists }
+ */
+export async function diffAgainstRemote({
+  sourceDir,
+  remoteUrl,
+  branch,
+  extraFiles = {},
+  rootFiles = {},
+  subdir = null,
+  root = null,
+  keepPaths = [],
+}) {
+  const rootPrefix = root ? `${root}/` : "";
+  const prefixes = subdir ? [].concat(subdir).map((dir) => `${dir}/`) : [rootPrefix];
+  const sourceManifest = buildManifest(sourceDir);
+  const localManifest = {};
+  prefixes.forEach((prefix) => {
+    Object.entries(sourceManifest).forEach(([file, entry]) => {
+      localManifest[prefix + file] = entry;
+    });
+    Object.entries(extraFiles).forEach(([file, content]) => {
+      localManifest[prefix + file] = hashContent(content);
+    });
+  });
+  Object.entries(rootFiles).forEach(([file, content]) => {
+    localManifest[file] = hashContent(content);
+  });
+
+  const inScope = (file, kept) =>
+    subdir
+      ? prefixes.some((prefix) => file.startsWith(prefix)) || file in rootFiles
+      : (file.startsWith(rootPrefix) &&
+          !kept.some((entry) => file === rootPrefix + entry || file.startsWith(`${rootPrefix}${entry}/`))) ||
+        file in rootFiles;
+
+  if (!(await remoteBranchExists(remoteUrl, branch))) {
+    return { diff: diffManifests(localManifest, {}), branchExists: false };
+  }
+
+  const tempDir = createTempDir("deployease-dry-run");
+  try {
+    await cloneBranch(remoteUrl, branch, tempDir);
+    const kept = typeof keepPaths === "function" ? keepPaths(path.join(tempDir, root || "")) : keepPaths;
+    const remoteManifest = Object.fromEntries(
+      Object.entries(buildManifest(tempDir)).filter(([file]) => inScope(file, kept))
+    );
+    return { diff: diffManifests(localManifest, remoteManifest), branchExists: true };
+  } finally {
+    await fsExtra.remove(tempDir).catch(() => {});
+  }
+}
+
+/**
+ * Format a signed size delta, e.g. "+1.2 KB"
+ */
+function formatDelta(delta) {
+  if (delta === 0) return "±0 B";
+  return `${delta > 0 ? "+" : ""}${formatBytes(delta)}`;
+}
+
+/**
+ * Print added, changed and removed files with sizes, then a summary line
+ */
+export function printFileChanges(diff) {
+  const print = (items, render) => {
+    items.slice(0, MAX_LISTED).forEach((item) => console.log(render(item)));
+    if (items.length > MAX_LISTED) {
+      console.log(chalk.gray(`   ... and ${items.length - MAX_LISTED} more`));
+    }
+  };
+
+  print(diff.added, (f) => chalk.green(`   + ${f.path}  (${formatBytes(f.size)})`));
+  print(diff.changed, (f) =>
+    chalk.yellow(`   ~ ${f.path}  (${formatBytes(f.oldSize)} → ${formatBytes(f.size)}, ${formatDelta(f.delta)})`)
+  );
+  print(diff.removed, (f) => chalk.red(`   - ${f.path}  (${formatBytes(f.size)})`));
+
+  const totalDelta =
+    diff.added.reduce((sum, f) => sum + f.size, 0) +
+    diff.changed.reduce((sum, f) => sum + f.delta, 0) -
+    diff.removed.reduce((sum, f) => sum + f.size, 0);
+
+  console.log();
+  console.log(
+    chalk.gray(
+      `   ${diff.added.length} added, ${diff.changed.length} changed, ${diff.removed.length} removed, ` +
+        `${diff.unchanged} unchanged (${formatDelta(totalDelta)})`
+    )
+  );
+}
+
+/**
+ * Print a file-level report of what a deploy would change
+ */
+export function printDeployDiff({ diff, branchExists }, location) {
+  console.log(chalk.cyanBright(`\n🔎 Dry run: changes against ${location}\n`));
+
+  if (!branchExists) {
+    console.log(chalk.yellow(`   ⚠️  Nothing is live on ${location} yet — every file would be added.\n`));
+  }
+
+  printFileChanges(diff);
+
+  // Warn about entry-point changes
+  const touched = [...diff.added, ...diff.changed, ...diff.removed].map((f) => f.path);
+  Object.entries(SENSITIVE_FILES)
+    .filter(([file]) => touched.includes(file))
+    .forEach(([file, role]) => {
+      console.log(chalk.yellow(`   ⚠️  ${file} would change — it is ${role}.`));
+    });
+
+  console.log(chalk.gray("\n   Nothing was pushed (dry run).\n"));
+}
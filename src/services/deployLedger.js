@@ -0,0 +1,178 @@
+import fs from "fs";
+import os from "os";
+import path from "path";
+import simpleGit from "simple-git";
+import { getErrorCategory } from "../utils/exitCodes.js";
+import { CONFIG_FILE } from "../utils/projectConfig.js";
+import { redactUrl } from "../targets/gitRemoteTarget.js";
+
+export const LEDGER_DIR = ".deployease";
+export const LEDGER_FILE = "history.jsonl";
+// Files DeployEase writes into the project, besides LEDGER_DIR
+const DEPLOYEASE_FILES = [CONFIG_FILE, ".deployease-build-error.log"];
+
+/**
+ * Path of the per-project deployment ledger
+ */
+export function getLedgerPath(cwd = process.cwd()) {
+  return path.join(cwd, LEDGER_DIR, LEDGER_FILE);
+}
+
+/**
+ * Whether a path (relative to the repository root) is DeployEase's own
+ * state: the ledger and manifests in .deployease/, the config deploy may
+ * update, the build error log
+ */
+export function isDeployEaseFile(file) {
+  const segments = file.split("/").filter(Boolean);
+  return segments.includes(LEDGER_DIR) || DEPLOYEASE_FILES.includes(segments[segments.length - 1]);
+}
+
+/**
+ * Read all ledger entries, oldest first
+ */
+export function readLedger(cwd = process.cwd()) {
+  const ledgerPath = getLedgerPath(cwd);
+  if (!fs.existsSync(ledgerPath)) {
+    return [];
+  }
+
+  return fs
+    .readFileSync(ledgerPath, "utf-8")
+    .split("\n")
+    .filter(Boolean)
+    .map((line) => {
+      try {
+        return JSON.parse(line);
+      } catch (e) {
+        return null; // Skip corrupt lines
+      }
+    })
+    .filter(Boolean);
+}
+
+/**
+ * Append one entry to the ledger (one JSON object per line)
+ */
+export function appendLedgerEntry(entry, cwd = process.cwd()) {
+  const ledgerPath = getLedgerPath(cwd);
+  fs.mkdirSync(path.dirname(ledgerPath), { recursive: true });
+  fs.appendFileSync(ledgerPath, JSON.stringify(entry) + "\n");
+}
+
+/**
+ * Source commit, branch and deployer of the project being deployed
+ */
+async function getSourceInfo(cwd) {
+  const source = { sha: null, branch: null, dirty: null };
+  let deployer = null;
+
+  try {
+    const git = simpleGit(cwd);
+    if (await git.checkIsRepo()) {
+      source.sha = (await git.revparse(["HEAD"])).trim();
+      source.branch = (await git.revparse(["--abbrev-ref", "HEAD"])).trim();
+      // DeployEase's own files don't make the source dirty
+      source.dirty = (await git.status()).files.some((file) => !isDeployEaseFile(file.path));
+      deployer = (await git.raw(["config", "user.name"])).trim() || null;
+    }
+  } catch (e) {
+    // Not a git repo or no commits yet
+  }
+
+  if (!deployer) {
+    try {
+      deployer = os.userInfo().username;
+    } catch (e) {
+      deployer = null;
+    }
+  }
+
+  return { source, deployer };
+}
+
+/**
+ * Deployment Recorder
+ * Collects timing and metadata for one deploy/redeploy run and appends
+ * a structured entry to the project's ledger when the run finishes.
+ */
+export class DeploymentRecorder {
+  constructor(command, cwd = process.cwd()) {
+    this.cwd = cwd;
+    this.startedAt = Date.now();
+    this.currentPhase = null;
+    this.phaseStartedAt = null;
+    this.entry = {
+      id: `${this.startedAt.toString(36)}-${Math.random().toString(36).slice(2, 6)}`,
+      command,
+      startedAt: new Date(this.startedAt).toISOString(),
+      finishedAt: null,
+      durationMs: null,
+      phases: {},
+      source: null,
+      deployer: null,
+      target: null,
+      files: null,
+      bytes: null,
+      commit: null,
+      changes: null,
+      result: null,
+      errorCategory: null,
+      error: null,
+    };
+  }
+
+  /**
+   * End the running phase (if any) and start timing `name`
+   */
+  phase(name) {
+    this.endPhase();
+    this.currentPhase = name;
+    this.phaseStartedAt = Date.now();
+  }
+
+  endPhase() {
+    if (this.currentPhase) {
+      this.entry.phases[this.currentPhase] = Date.now() - this.phaseStartedAt;
+      this.currentPhase = null;
+    }
+  }
+
+  /**
+   * Merge extra fields into the entry (target, files, bytes, commit, ...)
+   */
+  set(fields) {
+    Object.assign(this.entry, fields);
+  }
+
+  /**
+   * Finalize and append the entry. `exitCode` decides the result unless a
+   * result (e.g. "unchanged") was already set.
+   */
+  async finish(exitCode) {
+    this.endPhase();
+    const finishedAt = Date.now();
+    this.entry.finishedAt = new Date(finishedAt).toISOString();
+    this.entry.durationMs = finishedAt - this.startedAt;
+
+    const { source, deployer } = await getSourceInfo(this.cwd);
+    this.entry.source = source;
+    this.entry.deployer = deployer;
+
+    // Git errors quote the remote URL, which may embed a token
+    this.entry.error = redactUrl(this.entry.error);
+    if (exitCode) {
+      this.entry.result = "failed";
+      this.entry.errorCategory = getErrorCategory(exitCode);
+    } else if (!this.entry.result) {
+      this.entry.result = "success";
+    }
+
+    try {
+      appendLedgerEntry(this.entry, this.cwd);
+    } catch (e) {
+      // Never fail a deploy because the ledger couldn't be written
+    }
+    return this.entry;
+  }
+}
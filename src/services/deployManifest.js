@@ -0,0 +1,109 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import simpleGit from "simple-git";
+import { LEDGER_DIR } from "./deployLedger.js";
+import { buildManifest, hashContent } from "../utils/fileManifest.js";
+
+export const MANIFESTS_DIR = "manifests";
+const MAX_COMMITS = 20;
+
+/**
+ * Stable key for where a target deploys to (repo/bucket/site, branch,
+ * subpath). Take it before authenticating: some targets only learn their
+ * final URL while publishing.
+ */
+export function getDestinationKey(target) {
+  return crypto.createHash("sha1").update(JSON.stringify(target.toLedger())).digest("hex").slice(0, 12);
+}
+
+function getManifestPath(key, cwd) {
+  return path.join(cwd, LEDGER_DIR, MANIFESTS_DIR, `${key}.json`);
+}
+
+/**
+ * Content-hash manifest of what a deploy publishes: the deploy directory
+ * plus generated files (404.html, .nojekyll, CNAME, ...)
+ */
+export function buildDeployManifest(deployDir, extraFiles = {}) {
+  const manifest = buildManifest(deployDir);
+  Object.entries(extraFiles).forEach(([file, content]) => {
+    manifest[file] = hashContent(content);
+  });
+  return manifest;
+}
+
+/**
+ * Manifest recorded by the last successful deploy to a destination:
+ * { manifest, sourceSha, commit, deployedAt, command }, or null
+ */
+export function loadDeployManifest(key, cwd = process.cwd()) {
+  try {
+    return JSON.parse(fs.readFileSync(getManifestPath(key, cwd), "utf-8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Record the manifest of a successful deploy. Never throws: a deploy
+ * must not fail because its manifest couldn't be written.
+ */
+export async function saveDeployManifest(key, { manifest, commit = null, command }, cwd = process.cwd()) {
+  try {
+    const manifestPath = getManifestPath(key, cwd);
+    fs.mkdirSync(path.dirname(manifestPath), { recursive: true });
+    const sourceSha = await getHeadCommit(cwd);
+    const deployedAt = new Date().toISOString();
+    fs.writeFileSync(manifestPath, JSON.stringify({ manifest, sourceSha, commit, deployedAt, command }));
+  } catch (e) {
+    // Ignore
+  }
+}
+
+/**
+ * Forget the manifest of a destination whose live site changed without a
+ * deploy (rollback), so the next redeploy publishes everything
+ */
+export function clearDeployManifest(key, cwd = process.cwd()) {
+  fs.rmSync(getManifestPath(key, cwd), { force: true });
+}
+
+async function getHeadCommit(cwd) {
+  try {
+    return (await simpleGit(cwd).revparse(["HEAD"])).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Source commits since `sha` (newest first, at most 20)
+ * @returns {Object|null} { commits: [{ hash, message }], total, known } (known is false
+ *   if `sha` isn't in the current history, e.g. after a rebase), or null outside a git repo
+ */
+export async function getCommitsSince(sha, cwd = process.cwd()) {
+  const git = simpleGit(cwd);
+  try {
+    if (!(await git.checkIsRepo())) return null;
+    const head = await getHeadCommit(cwd);
+    if (!sha || !head) return { commits: [], total: 0, known: false };
+    if (sha === head) return { commits: [], total: 0, known: true };
+
+    const known = await git
+      .raw(["merge-base", "--is-ancestor", sha, "HEAD"])
+      .then(() => true)
+      .catch(() => false);
+    if (!known) return { commits: [], total: 0, known: false };
+
+    const total = parseInt((await git.raw(["rev-list", "--count", `${sha}..HEAD`])).trim(), 10) || 0;
+    const log = await git.log({ from: sha, to: "HEAD", maxCount: MAX_COMMITS });
+    return {
+      commits: log.all.map((entry) => ({ hash: entry.hash, message: entry.message })),
+      total,
+      known: true,
+    };
+  } catch (e) {
+    return null;
+  }
+}
@@ -0,0 +1,146 @@
+import chalk from "chalk";
+import simpleGit from "simple-git";
+import { EXIT_CODES } from "../utils/exitCodes.js";
+import { confirm, isNonInteractive } from "../utils/prompt.js";
+import { isDeployEaseFile } from "./deployLedger.js";
+
+export const CHECK_POLICIES = ["required", "optional", "skip"];
+// Settings merged key by key instead of replaced by an environment
+const MERGED_KEYS = ["ci", "buildEnv", "pages"];
+
+/**
+ * Names of the environments in .deployease.json
+ */
+export function getEnvironmentNames(config) {
+  const environments = config?.environments;
+  return environments && typeof environments === "object" ? Object.keys(environments) : [];
+}
+
+/**
+ * Deploy config for an environment: the project config with the
+ * environment's settings on top. Without a name, "defaultEnvironment" is
+ * used if set, otherwise the project config as is.
+ *
+ * .deployease.json:
+ *   "environments": {
+ *     "staging": { "repo": "site-staging", "buildEnv": { "API_URL": "https://staging.example.com" } },
+ *     "production": { "domain": "www.example.com", "check": "required", "requireConfirmation": true, "requireCleanTree": true }
+ *   }
+ *
+ * @returns {Object} { config, environment: { name, ...settings } | null, error }
+ */
+export function resolveEnvironment(config, name = null) {
+  const selected = name || config.defaultEnvironment || null;
+  if (!selected) {
+    return { config, environment: null, error: null };
+  }
+
+  const names = getEnvironmentNames(config);
+  if (!names.includes(selected)) {
+    return {
+      config: null,
+      environment: null,
+      error:
+        names.length > 0
+          ? `Unknown environment '${selected}'. Available environments: ${names.join(", ")}`
+          : `No "environments" in .deployease.json, so --env ${selected} can't be used.`,
+    };
+  }
+
+  const settings = config.environments[selected] || {};
+  const { environments, defaultEnvironment, ...shared } = config;
+  const resolved = { ...shared, ...settings, environment: selected };
+  MERGED_KEYS.forEach((key) => {
+    if (shared[key] || settings[key]) {
+      resolved[key] = { ...(shared[key] || {}), ...(settings[key] || {}) };
+    }
+  });
+  // Object targets are merged too, so an environment can change only the branch
+  if (typeof shared.target === "object" && typeof settings.target === "object") {
+    resolved.target = { ...shared.target, ...settings.target };
+  }
+
+  if (settings.check && !CHECK_POLICIES.includes(settings.check)) {
+    return {
+      config: null,
+      environment: null,
+      error: `Invalid "check" for environment '${selected}': use ${CHECK_POLICIES.join(", ")}`,
+    };
+  }
+
+  return { config: resolved, environment: { name: selected, ...settings }, error: null };
+}
+
+/**
+ * Security check policy of a config: "required" (always run, issues
+ * block the deploy), "optional" (ask, or follow flags and the ci block) or
+ * "skip" (never run)
+ */
+export function getCheckPolicy(config) {
+  return CHECK_POLICIES.includes(config?.check) ? config.check : "optional";
+}
+
+/**
+ * Files with uncommitted changes in the project, other than DeployEase's
+ * own, or null outside a git repository
+ */
+async function getUncommittedFiles(cwd) {
+  try {
+    const git = simpleGit(cwd);
+    if (!(await git.checkIsRepo())) {
+      return null;
+    }
+    return (await git.status()).files.map((file) => file.path).filter((file) => !isDeployEaseFile(file));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Enforce an environment's "requireCleanTree" and "requireConfirmation".
+ * Confirmation is asked interactively; with --yes/--ci it must be given
+ * as --confirm <environment>.
+ * @returns {Object} { ok, message, exitCode }
+ */
+export async function checkEnvironmentGuards(environment, options = {}, cwd = process.cwd()) {
+  if (!environment) {
+    return { ok: true };
+  }
+
+  if (environment.requireCleanTree) {
+    const files = await getUncommittedFiles(cwd);
+    if (files === null) {
+      return {
+        ok: false,
+        message: `Environment '${environment.name}' requires a clean git tree, but this isn't a git repository.`,
+        exitCode: EXIT_CODES.CHECK,
+      };
+    }
+    if (files.length > 0) {
+      const listed = files.slice(0, 5).join(", ") + (files.length > 5 ? `, ... (${files.length} files)` : "");
+      return {
+        ok: false,
+        message: `Environment '${environment.name}' requires a clean git tree. Uncommitted changes: ${listed}`,
+        exitCode: EXIT_CODES.CHECK,
+      };
+    }
+  }
+
+  if (environment.requireConfirmation && options.confirm !== environment.name) {
+    if (isNonInteractive(options)) {
+      return {
+        ok: false,
+        message: `Environment '${environment.name}' requires confirmation: pass --confirm ${environment.name}`,
+        exitCode: EXIT_CODES.CHECK,
+      };
+    }
+    const confirmed = await confirm(chalk.yellow(`Deploy to ${chalk.bold(environment.name)}?`), {
+      defaultValue: false,
+    });
+    if (!confirmed) {
+      return { ok: false, message: `Deploy to '${environment.name}' cancelled.`, exitCode: EXIT_CODES.CHECK };
+    }
+  }
+
+  return { ok: true };
+}
@@ -0,0 +1,328 @@
+import fs from "fs";
+import fsExtra from "fs-extra";
+import path from "path";
+import os from "os";
+import simpleGit from "simple-git";
+import { EXIT_CODES } from "../utils/exitCodes.js";
+import { isSkippedPath } from "../utils/fileManifest.js";
+
+/**
+ * Git Publisher
+ * Publishes a local directory to a branch of a remote git repository.
+ *
+ * By default the current branch tip is fetched and only the added, changed
+ * and deleted files are committed on top of it, so the branch keeps its
+ * history and pushes stay small. `orphan: true` restores the old behaviour:
+ * a fresh single-commit repo force-pushed over the branch, which still
+ * carries over the entries the branch shares with other deploys (`keepPaths`).
+ */
+
+/**
+ * Create a unique temp directory for a publish/inspect run
+ */
+export function createTempDir(prefix = "deployease") {
+  return path.join(os.tmpdir(), `${prefix}-${Date.now()}`);
+}
+
+/**
+ * Check whether a branch exists on the remote
+ */
+export async function remoteBranchExists(remoteUrl, branch) {
+  const output = await simpleGit().listRemote(["--heads", remoteUrl, branch]);
+  return output.trim().length > 0;
+}
+
+/**
+ * Commit at the tip of a remote branch, or null if the branch doesn't exist
+ */
+export async function getRemoteBranchHead(remoteUrl, branch) {
+  const output = await simpleGit().listRemote(["--heads", remoteUrl, branch]);
+  const line = output.split("\n").find((entry) => entry.endsWith(`\trefs/heads/${branch}`));
+  return line ? line.split("\t")[0] : null;
+}
+
+/**
+ * Shallow-clone a single branch into `dir`.
+ * Returns the simple-git instance for the clone.
+ */
+export async function cloneBranch(remoteUrl, branch, dir, depth = 1) {
+  await simpleGit().clone(remoteUrl, dir, [
+    "--branch",
+    branch,
+    "--single-branch",
+    "--depth",
+    String(depth),
+  ]);
+  return simpleGit(dir);
+}
+
+/**
+ * Remove everything from a working tree except the .git directory and
+ * the top-level entries in `keep`
+ */
+export async function clearWorkingTree(dir, keep = []) {
+  for (const entry of fs.readdirSync(dir)) {
+    if (entry === ".git" || keep.includes(entry)) continue;
+    await fsExtra.remove(path.join(dir, entry));
+  }
+}
+
+/**
+ * Copy the contents of the deploy directory (not the directory itself),
+ * skipping .git, node_modules and DeployEase's own files
+ */
+export async function copyDeployFiles(sourceDir, destDir) {
+  await fsExtra.ensureDir(destDir);
+
+  for (const file of fs.readdirSync(sourceDir)) {
+    if (isSkippedPath(file)) {
+      continue;
+    }
+
+    await fsExtra.copy(path.join(sourceDir, file), path.join(destDir, file), {
+      filter: (src) => !isSkippedPath(path.relative(sourceDir, src)),
+    });
+  }
+}
+
+/**
+ * Write generated files ({ "relative/path": content }) into a directory
+ */
+export async function writeExtraFiles(dir, extraFiles = {}) {
+  for (const [file, content] of Object.entries(extraFiles)) {
+    await fsExtra.outputFile(path.join(dir, file), content);
+  }
+}
+
+/**
+ * List staged changes as { added, modified, deleted } arrays of paths
+ */
+export async function getStagedChanges(git) {
+  const output = await git.raw(["diff", "--cached", "--name-status", "--no-renames"]);
+  const changes = { added: [], modified: [], deleted: [] };
+
+  output
+    .split("\n")
+    .filter(Boolean)
+    .forEach((line) => {
+      const [status, file] = line.split("\t");
+      if (status === "A") changes.added.push(file);
+      else if (status === "D") changes.deleted.push(file);
+      else changes.modified.push(file);
+    });
+
+  return changes;
+}
+
+/**
+ * Push HEAD to `branch` on origin, tagging failures with the PUSH exit code
+ */
+export async function pushBranch(git, branch, { force = false } = {}) {
+  try {
+    await git.push("origin", `HEAD:${branch}`, force ? ["--force"] : []);
+  } catch (pushErr) {
+    pushErr.exitCode = EXIT_CODES.PUSH;
+    throw pushErr;
+  }
+}
+
+/**
+ * Configure the commit author for a publish repo
+ */
+export async function configureAuthor(git, author) {
+  try {
+    await git.addConfig("user.name", author.name, false, "local");
+    await git.addConfig("user.email", author.email, false, "local");
+  } catch (e) {
+    // Ignore config errors
+  }
+}
+
+/**
+ * Commit the project source and push it to `main` on `remoteUrl`,
+ * replacing any existing origin remote
+ */
+export async function pushSource(git, remoteUrl, { isRepo = true } = {}) {
+  if (!isRepo) {
+    await git.init();
+  }
+
+  // Add all files
+  await git.add(".");
+
+  // Check if there are changes to commit
+  const status = await git.status();
+  if (status.files.length > 0) {
+    await git.commit("Initial commit from DeployEase 🚀");
+  }
+
+  // Setup remote
+  const remotes = await git.getRemotes(true);
+  if (remotes.find((r) => r.name === "origin")) {
+    await git.removeRemote("origin");
+  }
+  await git.addRemote("origin", remoteUrl);
+
+  // Get current branch or create main
+  const branches = await git.branchLocal();
+  const currentBranch = branches.current || "main";
+
+  if (!branches.all.includes("main") && currentBranch !== "main") {
+    await git.checkoutLocalBranch("main");
+  }
+
+  await git.push("origin", "main", ["--set-upstream"]).catch(async () => {
+    // If main doesn't exist remotely, force push
+    await git.push("origin", "main", ["--set-upstream", "--force"]);
+  });
+}
+
+/**
+ * Publish `sourceDir` to `branch` on `remoteUrl`.
+ *
+ * @param {Object} opts
+ * @param {string} opts.sourceDir - Directory whose contents become the branch tree
+ * @param {string} opts.remoteUrl - Remote URL (may embed a token) or local repo path
+ * @param {string} opts.branch - Target branch
+ * @param {string} opts.message - Commit message
+ * @param {{name: string, email: string}} opts.author - Commit author
+ * @param {Object} [opts.extraFiles] - Generated files to add, { path: content }
+ * @param {Object} [opts.rootFiles] - Generated files for the branch root, even with `subdir`
+ * @param {string|string[]} [opts.subdir] - Publish into this subdirectory (or each of these) and leave the rest of the branch alone
+ * @param {string} [opts.root] - Site root within the branch (e.g. a monorepo app's subpath); a full publish
+ *   replaces only this directory
+ * @param {string[]|Function} [opts.keepPaths] - Entries of the site root a full publish leaves in place (e.g. previews),
+ *   or a function returning them for the checked-out site root
+ * @param {Function} [opts.beforeCommit] - Called with the working tree before staging, to update index files
+ * @param {boolean} [opts.orphan] - Force-push a fresh single-commit history (keeping `keepPaths`)
+ * @param {Object} [opts.spinner] - ora spinner for progress text
+ * @returns {Object} { commit, message, changes, upToDate, incremental }
+ */
+export async function publishDirectory({
+  sourceDir,
+  remoteUrl,
+  branch,
+  message,
+  author,
+  extraFiles = {},
+  rootFiles = {},
+  subdir = null,
+  root = null,
+  keepPaths = [],
+  beforeCommit = null,
+  orphan = false,
+  spinner,
+}) {
+  const tempDir = createTempDir();
+  const subdirs = [].concat(subdir || []);
+  // Only a full publish of the whole branch may replace its history
+  const wholeBranch = subdirs.length === 0 && !root;
+  const setText = (text) => {
+    if (spinner) spinner.text = text;
+  };
+
+  try {
+    let git;
+    let incremental = false;
+
+    // A subdirectory publish always builds on the current tree
+    const branchExists = await remoteBranchExists(remoteUrl, branch);
+    if (branchExists && (!orphan || !wholeBranch)) {
+      setText(`📥 Fetching current ${branch} tip...`);
+      git = await cloneBranch(remoteUrl, branch, tempDir);
+      incremental = true;
+    } else if (branchExists) {
+      // Fresh history, but previews, versions and other keepPaths survive:
+      // start from the current tree without its .git
+      setText(`📥 Fetching current ${branch} tip...`);
+      await cloneBranch(remoteUrl, branch, tempDir);
+      await fsExtra.remove(path.join(tempDir, ".git"));
+      git = simpleGit(tempDir);
+      await git.init();
+      await git.addRemote("origin", remoteUrl);
+    } else {
+      await fsExtra.ensureDir(tempDir);
+      git = simpleGit(tempDir);
+      await git.init();
+      await git.addRemote("origin", remoteUrl);
+    }
+
+    await configureAuthor(git, author);
+
+    // Mirror the deploy directory into the working tree (or its subdirectories)
+    setText(`📦 Preparing deployment files...`);
+    const rootDir = path.join(tempDir, root || "");
+    const siteDirs = subdirs.length > 0 ? subdirs.map((dir) => path.join(tempDir, dir)) : [rootDir];
+    if (subdirs.length === 0) {
+      await fsExtra.ensureDir(rootDir);
+      await clearWorkingTree(rootDir, typeof keepPaths === "function" ? keepPaths(rootDir) : keepPaths);
+    }
+    for (const siteDir of siteDirs) {
+      if (subdirs.length > 0) {
+        await fsExtra.remove(siteDir);
+      }
+      await copyDeployFiles(sourceDir, siteDir);
+      await writeExtraFiles(siteDir, extraFiles);
+
+      if (!fs.existsSync(path.join(siteDir, "index.html"))) {
+        const err = new Error(`Failed to copy index.html to deployment directory (${siteDir})`);
+        err.exitCode = EXIT_CODES.MISSING_INDEX;
+        throw err;
+      }
+    }
+    await writeExtraFiles(tempDir, rootFiles);
+    if (beforeCommit) {
+      await beforeCommit(tempDir);
+    }
+
+    // Force add all files (including ignored ones for deployment)
+    setText(`📝 Committing files...`);
+    await git.raw(["add", "-A", "-f", "."]);
+    const changes = await getStagedChanges(git);
+    const changeCount = changes.added.length + changes.modified.length + changes.deleted.length;
+
+    if (incremental && changeCount === 0) {
+      const head = await git.revparse(["HEAD"]);
+      return { commit: head.trim(), message: null, changes, upToDate: true, incremental };
+    }
+
+    await git.commit(message);
+    const log = await git.log(["-1"]);
+    if (log.total === 0) {
+      throw new Error("Failed to create commit!");
+    }
+
+    setText(`🚀 Pushing to ${branch} branch...`);
+    await pushBranch(git, branch, { force: orphan && wholeBranch });
+
+    return {
+      commit: log.latest.hash,
+      message: log.latest.message,
+      changes,
+      upToDate: false,
+      incremental,
+    };
+  } finally {
+    setText(`🧹 Cleaning up...`);
+    await fsExtra.remove(tempDir).catch(() => {});
+  }
+}
+
+/**
+ * Number of added, modified and deleted files
+ */
+export function countChanges(changes) {
+  return {
+    added: changes.added.length,
+    modified: changes.modified.length,
+    deleted: changes.deleted.length,
+  };
+}
+
+/**
+ * One-line summary of staged changes, e.g. "3 added, 1 changed, 2 deleted"
+ */
+export function formatChangeSummary(changes) {
+  const { added, modified, deleted } = countChanges(changes);
+  return `${added} added, ${modified} changed, ${deleted} deleted`;
+}
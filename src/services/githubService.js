@@ -92,3 +92,22 @@ export async function initLocalRepo(repoUrl) {
     throw err;
   }
 }
+
+/**
+ * Latest GitHub Pages build of a repo: { status, commit, error }, or null
+ * if Pages has no builds yet. status is "queued", "building", "built" or
+ * "errored". GITHUB_API_URL points this at GitHub Enterprise (or a test server).
+ */
+export async function getLatestPagesBuild(token, owner, repo) {
+  const octokit = new Octokit({
+    auth: token,
+    ...(process.env.GITHUB_API_URL ? { baseUrl: process.env.GITHUB_API_URL } : {}),
+  });
+  try {
+    const { data } = await octokit.request("GET /repos/{owner}/{repo}/pages/builds/latest", { owner, repo });
+    return { status: data.status, commit: data.commit, error: data.error?.message || null };
+  } catch (err) {
+    if (err.status === 404) return null;
+    throw err;
+  }
+}
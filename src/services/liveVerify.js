@@ -0,0 +1,227 @@
+import chalk from "chalk";
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { extractAssetUrls, getBasePath } from "./basePath.js";
+
+export const DEFAULT_VERIFY_TIMEOUT_SECONDS = 600;
+const DEFAULT_VERIFY_INTERVAL_SECONDS = 10;
+const REQUEST_TIMEOUT_MS = 15000;
+const MAX_LISTED = 10;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Verification settings from flags and the "verify" block of .deployease.json:
+ *   "verify": { "enabled": true, "paths": ["about/", "docs/intro/"], "timeoutSeconds": 600,
+ *               "intervalSeconds": 10, "baseUrl": "http://localhost:4000" }
+ * --verify/--no-verify win over "enabled"; --verify-base (or
+ * DEPLOYEASE_VERIFY_BASE_URL) over "baseUrl".
+ */
+export function getVerifyOptions(config = {}, options = {}) {
+  const verify = config.verify || {};
+  const seconds = (value, fallback) => (Number(value) > 0 ? Number(value) : fallback);
+  return {
+    enabled: typeof options.verify === "boolean" ? options.verify : Boolean(verify.enabled),
+    paths: Array.isArray(verify.paths) ? verify.paths : [],
+    baseUrl: options.verifyBase || process.env.DEPLOYEASE_VERIFY_BASE_URL || verify.baseUrl || null,
+    timeoutMs: seconds(verify.timeoutSeconds, DEFAULT_VERIFY_TIMEOUT_SECONDS) * 1000,
+    intervalMs: seconds(verify.intervalSeconds, DEFAULT_VERIFY_INTERVAL_SECONDS) * 1000,
+  };
+}
+
+/**
+ * URL to verify: the site URL (plus the subpath of a preview or version),
+ * served from `baseUrl` instead when given. Only the scheme, host and
+ * port are replaced, so http://localhost:4000 checks
+ * https://owner.github.io/repo/ at http://localhost:4000/repo/.
+ */
+export function getLiveUrl(siteUrl, { basePath = "/", subpath = null, baseUrl = null } = {}) {
+  let url = siteUrl;
+  if (baseUrl) {
+    const pathname = siteUrl ? new URL(siteUrl).pathname : basePath;
+    url = new URL(pathname, baseUrl).href;
+  }
+  if (!url) {
+    return null;
+  }
+  return subpath ? new URL(`${subpath}/`, url.replace(/\/?$/, "/")).href : url;
+}
+
+/**
+ * GET a URL without throwing: { url, status, body } (status 0 on network errors)
+ */
+async function fetchUrl(url) {
+  const controller = new AbortController();
+  const timer = setTimeout(() => controller.abort(), REQUEST_TIMEOUT_MS);
+  try {
+    const response = await fetch(url, { redirect: "follow", signal: controller.signal });
+    return { url, status: response.status, body: Buffer.from(await response.arrayBuffer()) };
+  } catch (err) {
+    return { url, status: 0, body: null, error: err.name === "AbortError" ? "timed out" : err.message };
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Check result for a response that should be a 200
+ */
+function toCheck(response) {
+  return {
+    url: response.url,
+    ok: response.status === 200,
+    detail: response.status ? `HTTP ${response.status}` : response.error,
+  };
+}
+
+/**
+ * Poll the target's Pages build until the build of `commit` is built or
+ * errored. Targets without a build status API return "unsupported". API
+ * errors (rate limits, outages) are retried until the timeout, whose error
+ * is then the last one seen.
+ * @returns {Object} { status: "built" | "errored" | "timeout" | "unsupported", error }
+ */
+export async function waitForPagesBuild(target, commit, { timeoutMs, intervalMs, onStatus = () => {} }) {
+  if (!target.supportsBuildStatus) {
+    return { status: "unsupported", error: null };
+  }
+
+  const deadline = Date.now() + timeoutMs;
+  let apiError = null;
+  for (;;) {
+    let build = null;
+    try {
+      build = await target.getBuildStatus();
+      apiError = null;
+    } catch (err) {
+      apiError = err.message;
+    }
+    // The latest build may still be the previous deploy's
+    const ours = build && (!commit || !build.commit || build.commit === commit);
+    if (ours && ["built", "errored"].includes(build.status)) {
+      return { status: build.status, error: build.error };
+    }
+    onStatus(apiError ? `API error: ${apiError}, retrying` : ours ? build.status : "queued");
+    if (Date.now() + intervalMs > deadline) {
+      return { status: "timeout", error: apiError };
+    }
+    await sleep(intervalMs);
+  }
+}
+
+/**
+ * Check the live site: the page at `liveUrl` must return 200 with the
+ * index.html that was pushed (polled until the deadline, as Pages' CDN
+ * caches), each configured path must return 200, and the assets the page
+ * references on the same host must resolve.
+ * @returns {Object} { ok, checks: [{ url, ok, detail }] }
+ */
+export async function checkLiveSite(liveUrl, deployDir, { paths = [], timeoutMs, intervalMs, onStatus = () => {} }) {
+  const checks = [];
+  const expected = fs.readFileSync(path.join(deployDir, "index.html"));
+
+  const deadline = Date.now() + timeoutMs;
+  let page;
+  for (;;) {
+    page = await fetchUrl(liveUrl);
+    if (page.status === 200 && page.body.equals(expected)) break;
+    onStatus(page.status === 200 ? "serving an older index.html" : `HTTP ${page.status || page.error}`);
+    if (Date.now() + intervalMs > deadline) break;
+    await sleep(intervalMs);
+  }
+
+  if (page.status !== 200) {
+    checks.push(toCheck(page));
+  } else {
+    const matches = page.body.equals(expected);
+    checks.push({ url: liveUrl, ok: matches, detail: matches ? "index.html matches" : "index.html differs from the deploy" });
+  }
+
+  for (const sitePath of paths) {
+    checks.push(toCheck(await fetchUrl(new URL(String(sitePath).replace(/^\/+/, ""), liveUrl).href)));
+  }
+
+  if (page.status === 200) {
+    const { origin } = new URL(liveUrl);
+    const assets = [
+      ...new Set(
+        extractAssetUrls(page.body.toString("utf-8"))
+          .filter((url) => !/^(data|mailto|javascript):|^#/i.test(url))
+          .map((url) => new URL(url, page.url).href)
+          .filter((url) => new URL(url).origin === origin)
+      ),
+    ];
+    for (const url of assets) {
+      checks.push(toCheck(await fetchUrl(url)));
+    }
+  }
+
+  return { ok: checks.every((check) => check.ok), checks };
+}
+
+/**
+ * Post-deploy verification: wait for the Pages build of the pushed commit,
+ * then check the live site. Prints progress and a report.
+ * @returns {Object} { ok, build, checks, url }
+ */
+export async function verifyDeployment({ target, config, commit, deployDir, subpath = null, verifyOptions, spinner }) {
+  const { timeoutMs, intervalMs, paths, baseUrl } = verifyOptions;
+  const startedAt = Date.now();
+  const elapsed = () => `${Math.round((Date.now() - startedAt) / 1000)}s`;
+
+  const url = getLiveUrl(target.getSiteUrl(), { basePath: getBasePath(target, config), subpath, baseUrl });
+  if (!url) {
+    spinner.warn("⚠️  Can't verify: the target has no site URL (set \"target.siteUrl\" or \"verify.baseUrl\").");
+    return { ok: false, build: null, checks: [], url: null };
+  }
+
+  if (target.supportsBuildStatus) {
+    spinner.start("⏳ Waiting for the Pages build...");
+  }
+  const build = await waitForPagesBuild(target, commit, {
+    timeoutMs,
+    intervalMs,
+    onStatus: (status) => {
+      spinner.text = `⏳ Waiting for the Pages build (${status}, ${elapsed()})...`;
+    },
+  });
+
+  if (build.status === "errored") {
+    spinner.fail(`❌ Pages build failed${build.error ? `: ${build.error}` : ""}`);
+    return { ok: false, build, checks: [], url };
+  }
+  if (build.status === "timeout") {
+    const lastError = build.error ? ` (last API error: ${build.error})` : "";
+    spinner.fail(`❌ Pages build didn't finish within ${Math.round(timeoutMs / 1000)}s${lastError}`);
+    return { ok: false, build, checks: [], url };
+  }
+  if (build.status === "built") {
+    spinner.succeed(`✅ Pages build finished (${elapsed()})`);
+  } else {
+    spinner.info(`ℹ️  ${target.label} has no build status API: checking the live site directly`);
+  }
+
+  spinner.start(`🌐 Checking ${chalk.cyan(url)}...`);
+  const remainingMs = Math.max(timeoutMs - (Date.now() - startedAt), intervalMs);
+  const result = await checkLiveSite(url, deployDir, {
+    paths,
+    timeoutMs: remainingMs,
+    intervalMs,
+    onStatus: (status) => {
+      spinner.text = `🌐 Checking ${chalk.cyan(url)} (${status}, ${elapsed()})...`;
+    },
+  });
+
+  const failed = result.checks.filter((check) => !check.ok);
+  if (result.ok) {
+    spinner.succeed(`✅ Live site verified: ${result.checks.length} check(s) passed`);
+  } else {
+    spinner.fail(`❌ Live site verification failed: ${failed.length} of ${result.checks.length} check(s)`);
+    failed.slice(0, MAX_LISTED).forEach((check) => console.log(chalk.red(`   • ${check.url} (${check.detail})`)));
+    if (failed.length > MAX_LISTED) {
+      console.log(chalk.gray(`   ... and ${failed.length - MAX_LISTED} more`));
+    }
+  }
+  return { ok: result.ok, build, checks: result.checks, url };
+}
@@ -0,0 +1,209 @@
+import fs from "fs";
+import path from "path";
+import { getInvocationDir } from "../utils/projectConfig.js";
+import { detectProject } from "../detectors/index.js";
+
+// App settings that describe the app itself rather than its deploy target
+const APP_ONLY_KEYS = ["name", "dir", "buildCmd"];
+
+function readJson(file) {
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf-8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Workspace globs from package.json "workspaces" (npm, yarn, bun) and
+ * pnpm-workspace.yaml "packages"
+ */
+export function getWorkspacePatterns(root) {
+  const patterns = [];
+
+  const packageJson = readJson(path.join(root, "package.json"));
+  const workspaces = packageJson?.workspaces;
+  if (Array.isArray(workspaces)) {
+    patterns.push(...workspaces);
+  } else if (Array.isArray(workspaces?.packages)) {
+    patterns.push(...workspaces.packages);
+  }
+
+  const pnpmWorkspace = path.join(root, "pnpm-workspace.yaml");
+  if (fs.existsSync(pnpmWorkspace)) {
+    // Only the "packages:" list is needed, so a line-based read is enough
+    let inPackages = false;
+    for (const line of fs.readFileSync(pnpmWorkspace, "utf-8").split("\n")) {
+      if (/^packages\s*:/.test(line)) {
+        inPackages = true;
+      } else if (inPackages && /^\s*-\s*/.test(line)) {
+        patterns.push(line.replace(/^\s*-\s*/, "").replace(/\s+#.*$/, "").replace(/^["']|["']$/g, "").trim());
+      } else if (inPackages && /^\S/.test(line)) {
+        inPackages = false;
+      }
+    }
+  }
+
+  return patterns.filter(Boolean);
+}
+
+/**
+ * Directories (relative, with forward slashes) under `dir`, recursively
+ * when `deep` is set. node_modules and dot-directories are skipped.
+ */
+function listDirs(root, dir, deep) {
+  const absolute = path.join(root, dir);
+  if (!fs.existsSync(absolute)) return [];
+
+  return fs
+    .readdirSync(absolute, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory() && entry.name !== "node_modules" && !entry.name.startsWith("."))
+    .flatMap((entry) => {
+      const child = dir ? `${dir}/${entry.name}` : entry.name;
+      return deep ? [child, ...listDirs(root, child, true)] : [child];
+    });
+}
+
+/**
+ * Expand workspace globs ("apps/*", "packages/**", "docs", "!apps/legacy")
+ * to the directories that contain a package.json
+ */
+export function expandWorkspacePatterns(root, patterns) {
+  const matches = new Set();
+
+  for (const raw of patterns) {
+    const negated = raw.startsWith("!");
+    const pattern = raw.replace(/^!/, "").replace(/^\.\//, "").replace(/\/+$/, "");
+    let dirs;
+    if (pattern.endsWith("/**")) {
+      dirs = listDirs(root, pattern.slice(0, -3), true);
+    } else if (pattern.endsWith("/*")) {
+      dirs = listDirs(root, pattern.slice(0, -2), false);
+    } else {
+      dirs = [pattern];
+    }
+
+    dirs
+      .filter((dir) => fs.existsSync(path.join(root, dir, "package.json")))
+      .forEach((dir) => (negated ? matches.delete(dir) : matches.add(dir)));
+  }
+
+  return [...matches].sort();
+}
+
+/**
+ * Workspace packages of the project at `root`
+ * @returns {Object[]} [{ name, dir, frontend }]
+ */
+export function discoverWorkspacePackages(root) {
+  return expandWorkspacePatterns(root, getWorkspacePatterns(root)).map((dir) => {
+    const packageJson = readJson(path.join(root, dir, "package.json")) || {};
+    // A deployable frontend: a framework DeployEase detects, with a build script
+    const detected = detectProject(path.join(root, dir), { router: false });
+    return {
+      name: packageJson.name || path.basename(dir),
+      dir,
+      frontend: Boolean(packageJson.scripts?.build) && Boolean(detected.framework),
+    };
+  });
+}
+
+/**
+ * Apps of the project: the "apps" array of .deployease.json, or else the
+ * frontend workspace packages, each published to /<subpath>/ of the
+ * project's target (subpath = the package's directory name).
+ * @returns {Object[]} [{ name, dir, discovered, ...overrides }]
+ */
+export function getApps(config, root) {
+  if (Array.isArray(config?.apps) && config.apps.length > 0) {
+    return config.apps.map((app) => ({
+      ...app,
+      name: app.name || path.basename(app.dir || "."),
+      dir: app.dir || ".",
+      discovered: false,
+    }));
+  }
+
+  return discoverWorkspacePackages(root)
+    .filter((pkg) => pkg.frontend)
+    .map((pkg) => ({ name: path.basename(pkg.dir), dir: pkg.dir, subpath: path.basename(pkg.dir), discovered: true }));
+}
+
+/**
+ * Deploy config for one app: the project config without "apps", with the
+ * app's settings on top. Other apps' subpaths on the Pages branch are
+ * kept when this app publishes to the branch root.
+ */
+export function resolveAppConfig(config, app, apps) {
+  const { apps: _apps, ...shared } = config;
+  const overrides = Object.fromEntries(Object.entries(app).filter(([key]) => !APP_ONLY_KEYS.includes(key)));
+  delete overrides.discovered;
+
+  const otherSubpaths = apps
+    .filter((other) => other !== app && other.subpath)
+    .map((other) => other.subpath.replace(/^\/+/, "").split("/")[0]);
+
+  return {
+    ...shared,
+    ...overrides,
+    keepPaths: [...(shared.keepPaths || []), ...otherSubpaths],
+  };
+}
+
+/**
+ * Pick the apps a command should act on: --app <name>, --all, or the app
+ * whose directory the CLI was started in.
+ * @returns {Object} { apps: [{ name, dir (absolute), buildCmd, config }] | null, error }
+ *   apps is null for single-project repositories
+ */
+export function selectApps(config, root, { app: appName, all } = {}, invocationDir = root) {
+  const apps = getApps(config, root);
+  const resolve = (app) => ({
+    name: app.name,
+    dir: path.resolve(root, app.dir),
+    buildCmd: app.buildCmd || null,
+    discovered: app.discovered,
+    config: resolveAppConfig(config, app, apps),
+  });
+  const available = apps.map((app) => app.name).join(", ") || "none";
+
+  if (appName) {
+    const match = apps.find((app) => app.name === appName || app.dir === appName);
+    return match
+      ? { apps: [resolve(match)], error: null }
+      : { apps: null, error: `Unknown app '${appName}'. Available apps: ${available}` };
+  }
+
+  if (all) {
+    return apps.length > 0
+      ? { apps: apps.map(resolve), error: null }
+      : { apps: null, error: "No apps found: add an \"apps\" array to .deployease.json or set up workspaces." };
+  }
+
+  // Started inside an app's directory: deploy that app
+  const inside = apps
+    .filter((app) => app.dir !== "." && !path.relative(path.resolve(root, app.dir), invocationDir).startsWith(".."))
+    .sort((a, b) => b.dir.length - a.dir.length)[0];
+  if (inside) {
+    return { apps: [resolve(inside)], error: null };
+  }
+
+  if (Array.isArray(config?.apps) && config.apps.length > 0) {
+    return { apps: null, error: `This project has several apps (${available}). Pass --app <name> or --all.` };
+  }
+  return { apps: null, error: null };
+}
+
+/**
+ * Config for commands that act on a single app (previews, versions): the
+ * app from --app or the current directory, or the project itself
+ * @returns {Object} { config, app, error }
+ */
+export function getSingleAppConfig(config, { app } = {}) {
+  const selection = selectApps(config, process.cwd(), { app }, getInvocationDir());
+  if (selection.error) {
+    return { config: null, app: null, error: selection.error };
+  }
+  const [selected = null] = selection.apps || [];
+  return { config: selected ? selected.config : config, app: selected, error: null };
+}
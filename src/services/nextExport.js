@@ -0,0 +1,238 @@
+import fs from "fs";
+import path from "path";
+
+export const NEXT_CONFIG_FILES = ["next.config.js", "next.config.mjs", "next.config.ts", "next.config.cjs"];
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".mjs"];
+const MAX_SOURCE_FILES = 1000;
+// output: "export" replaced `next export` in 13.3; `next export` was removed in 14
+const OUTPUT_EXPORT_SINCE = [13, 3];
+const NEXT_EXPORT_REMOVED_IN = 14;
+// images.unoptimized exists since 12.3
+const UNOPTIMIZED_IMAGES_SINCE = [12, 3];
+
+function isAtLeast(version, [major, minor]) {
+  return version.major > major || (version.major === major && version.minor >= minor);
+}
+
+/**
+ * Next.js version of the project: the installed one, or else the lowest
+ * version the package.json range allows ("latest" and tags count as new)
+ * @returns {Object} { major, minor, raw, source }
+ */
+export function getNextVersion(cwd, range = "", roots = []) {
+  for (const dir of [cwd, ...roots]) {
+    try {
+      const { version } = JSON.parse(fs.readFileSync(path.join(dir, "node_modules", "next", "package.json"), "utf-8"));
+      const [major, minor] = version.split(".").map((part) => parseInt(part, 10));
+      return { major, minor, raw: version, source: "installed" };
+    } catch (e) {
+      // Not installed there
+    }
+  }
+  const match = String(range).match(/(\d+)(?:\.(\d+))?/);
+  if (!match) {
+    return { major: Infinity, minor: 0, raw: range || "latest", source: "package.json" };
+  }
+  return { major: parseInt(match[1], 10), minor: parseInt(match[2] || "0", 10), raw: range, source: "package.json" };
+}
+
+/**
+ * Source files under `dir` (relative to cwd, with "/" separators)
+ */
+function listSources(cwd, dir, files = []) {
+  const fullDir = path.join(cwd, dir);
+  if (files.length >= MAX_SOURCE_FILES || !fs.existsSync(fullDir)) {
+    return files;
+  }
+  for (const entry of fs.readdirSync(fullDir, { withFileTypes: true })) {
+    if (files.length >= MAX_SOURCE_FILES) break;
+    if (entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+    const relative = `${dir}/${entry.name}`;
+    if (entry.isDirectory()) {
+      listSources(cwd, relative, files);
+    } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+      files.push(relative);
+    }
+  }
+  return files;
+}
+
+/**
+ * Check a Next.js project for what a static export (and GitHub Pages,
+ * which has no server) can't do.
+ *
+ * Blockers stop the export: API routes, route handlers, middleware, ISR,
+ * getServerSideProps, Server Actions, dynamic routes without static params.
+ * Missing config (output: "export", unoptimized images) isn't a blocker:
+ * deploy can add it, see getNextConfigEdits().
+ *
+ * @returns {Object} { version, config: { name, source } | null, mode, blockers: [{ feature, file, fix }],
+ *   warnings, usesImage, imagesHandled, output, configured }
+ *   where mode is "output-export" (Next 13.3+) or "next-export" (older versions)
+ */
+export function analyzeNextExport(cwd, { range, roots = [], scripts = {} } = {}) {
+  const version = getNextVersion(cwd, range, roots);
+  const name = NEXT_CONFIG_FILES.find((file) => fs.existsSync(path.join(cwd, file)));
+  const config = name ? { name, source: fs.readFileSync(path.join(cwd, name), "utf-8") } : null;
+  const mode = isAtLeast(version, OUTPUT_EXPORT_SINCE) ? "output-export" : "next-export";
+
+  const blockers = [];
+  const warnings = [];
+  const read = (file) => fs.readFileSync(path.join(cwd, file), "utf-8");
+  const block = (feature, file, fix) => blockers.push({ feature, file, fix });
+
+  const output = config?.source.match(/\boutput\s*:\s*["'`](\w+)["'`]/)?.[1] || null;
+  if (output && output !== "export") {
+    block(`output: "${output}"`, config.name, 'Static export needs output: "export" (Pages has no Node.js server).');
+  }
+  if (version.major >= NEXT_EXPORT_REMOVED_IN && /\bnext export\b/.test(scripts.build || "")) {
+    block("next export", "package.json", `next export was removed in Next.js 14: change the "build" script to "next build".`);
+  }
+
+  for (const file of ["middleware.js", "middleware.ts", "src/middleware.js", "src/middleware.ts"]) {
+    if (fs.existsSync(path.join(cwd, file))) {
+      block("Middleware", file, "Middleware runs on a server: remove it, or move redirects into the pages.");
+    }
+  }
+
+  const pagesDir = ["pages", "src/pages"].find((dir) => fs.existsSync(path.join(cwd, dir)));
+  const appDir = ["app", "src/app"].find((dir) => fs.existsSync(path.join(cwd, dir)));
+  const sources = [...(pagesDir ? listSources(cwd, pagesDir) : []), ...(appDir ? listSources(cwd, appDir) : [])];
+  let usesImage = null;
+
+  for (const file of sources) {
+    let source;
+    try {
+      source = read(file);
+    } catch (e) {
+      continue;
+    }
+    if (!usesImage && /from\s+["']next\/(legacy\/)?image["']/.test(source)) {
+      usesImage = file;
+    }
+    if (/^\s*["']use server["']/m.test(source)) {
+      block("Server Action", file, "Server Actions need a server: call an external API from the client instead.");
+    }
+
+    if (pagesDir && file.startsWith(`${pagesDir}/`)) {
+      const route = file.slice(pagesDir.length + 1);
+      if (route.startsWith("api/")) {
+        block("API route", file, "Pages has no server for API routes: move it to an external API or serverless function.");
+        continue;
+      }
+      if (/\bgetServerSideProps\b/.test(source)) {
+        block("getServerSideProps", file, "Use getStaticProps: the page is rendered once, at build time.");
+      }
+      if (/\brevalidate\s*:\s*\d/.test(source)) {
+        block("ISR (revalidate)", file, "Remove revalidate from getStaticProps: the page is rebuilt on every deploy instead.");
+      }
+      if (/\[[^\]]+\]/.test(route) && !/^_/.test(path.basename(route)) && !/\bgetStaticPaths\b/.test(source)) {
+        block("Dynamic route", file, "Export getStaticPaths (with fallback: false) listing every path to build.");
+      }
+    } else if (appDir) {
+      const base = path.basename(file).replace(/\.\w+$/, "");
+      if (base === "route" && !/\bdynamic\s*=\s*["']force-static["']/.test(source)) {
+        block("Route handler", file, 'Route handlers need a server unless they set export const dynamic = "force-static".');
+      }
+      if (/\bexport\s+const\s+revalidate\s*=\s*[1-9]/.test(source)) {
+        block("ISR (revalidate)", file, "Remove export const revalidate: the page is rebuilt on every deploy instead.");
+      }
+      if (base === "page" && /\[[^\]]+\]/.test(file)) {
+        // generateStaticParams may live in the page or a layout above it
+        const dirs = path.posix.dirname(file).split("/");
+        const layouts = dirs.map((_, idx) => dirs.slice(0, idx + 1).join("/"));
+        const hasParams = [file, ...layouts.flatMap((dir) => SOURCE_EXTENSIONS.map((ext) => `${dir}/layout${ext}`))]
+          .filter((candidate) => fs.existsSync(path.join(cwd, candidate)))
+          .some((candidate) => /\bgenerateStaticParams\b/.test(read(candidate)));
+        if (!hasParams) {
+          block("Dynamic route", file, "Export generateStaticParams() returning every set of params to build.");
+        }
+      }
+    }
+  }
+
+  const imagesHandled = /\bunoptimized\s*:\s*true\b|\bloader(File)?\s*:/.test(config?.source || "");
+  if (usesImage && !imagesHandled && !isAtLeast(version, UNOPTIMIZED_IMAGES_SINCE)) {
+    block("next/image", usesImage, "The default image loader needs a server: set images.loader to a custom loader.");
+  }
+  ["rewrites", "redirects", "headers"]
+    .filter((key) => new RegExp(`\\b(async\\s+)?${key}\\s*[(:]`).test(config?.source || ""))
+    .forEach((key) => warnings.push(`${config.name} defines ${key}, which static export ignores.`));
+
+  return {
+    version,
+    config,
+    mode,
+    blockers,
+    warnings,
+    usesImage,
+    imagesHandled,
+    output,
+    configured: mode === "next-export" || output === "export",
+  };
+}
+
+/**
+ * Settings deploy adds to next.config for a static export under `basePath`
+ * @returns {Object[]} [{ key, line, description }]
+ */
+export function getNextConfigEdits(analysis, basePath) {
+  const edits = [];
+  if (analysis.mode === "output-export" && !analysis.configured) {
+    edits.push({ key: "output", line: 'output: "export",', description: 'output: "export", so next build writes out/' });
+  }
+  if (analysis.usesImage && !analysis.imagesHandled) {
+    edits.push({
+      key: "images",
+      line: "images: { unoptimized: true },",
+      description: `images.unoptimized, since ${analysis.usesImage} uses next/image and Pages can't optimize images`,
+    });
+  }
+  const source = analysis.config?.source || "";
+  if (basePath !== "/" && !source.includes("BASE_PATH") && !/\bbasePath\s*:/.test(source)) {
+    edits.push({
+      key: "basePath",
+      line: 'basePath: process.env.BASE_PATH || "",',
+      description: `basePath from BASE_PATH, so the site works under ${basePath}`,
+    });
+  }
+  return edits;
+}
+
+/**
+ * Add `edits` to the project's next.config (creating next.config.mjs if
+ * there is none)
+ * @returns {string|null} the file written, or null if the config object couldn't be found
+ */
+export function applyNextConfigEdits(cwd, analysis, edits) {
+  if (!analysis.config) {
+    const lines = edits.map((edit) => `  ${edit.line}`).join("\n");
+    const source = `/** @type {import('next').NextConfig} */\nconst nextConfig = {\n${lines}\n};\n\nexport default nextConfig;\n`;
+    fs.writeFileSync(path.join(cwd, "next.config.mjs"), source);
+    return "next.config.mjs";
+  }
+
+  let source = analysis.config.source;
+  // An existing images block gets unoptimized added to it
+  const imagesEdit = edits.find((edit) => edit.key === "images");
+  const topLevel = edits.filter((edit) => !(edit === imagesEdit && /\bimages\s*:\s*\{/.test(source)));
+  if (imagesEdit && topLevel.length < edits.length) {
+    source = source.replace(/\bimages\s*:\s*\{/, (match) => `${match} unoptimized: true,`);
+  }
+
+  const objectStart = [
+    /\bnextConfig\b\s*(?::\s*[\w.]+\s*)?=\s*\{/,
+    /module\.exports\s*=\s*(?:\w+\(\s*)?\{/,
+    /export\s+default\s+(?:\w+\(\s*)?\{/,
+  ]
+    .map((pattern) => source.match(pattern))
+    .find(Boolean);
+  if (!objectStart) {
+    return null;
+  }
+  const at = objectStart.index + objectStart[0].length;
+  const lines = topLevel.map((edit) => `\n  ${edit.line}`).join("");
+  source = `${source.slice(0, at)}${lines}${source.slice(at)}`;
+  fs.writeFileSync(path.join(cwd, analysis.config.name), source);
+  return analysis.config.name;
+}
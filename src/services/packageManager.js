@@ -0,0 +1,184 @@
+import fs from "fs";
+import path from "path";
+import { exec } from "child_process";
+import { promisify } from "util";
+import chalk from "chalk";
+import { expandWorkspacePatterns, getWorkspacePatterns } from "./monorepo.js";
+
+const execAsync = promisify(exec);
+
+// Lockfile of each package manager, in detection order
+const LOCKFILE_MANAGERS = [
+  ["pnpm-lock.yaml", "pnpm"],
+  ["yarn.lock", "yarn"],
+  ["bun.lockb", "bun"],
+  ["bun.lock", "bun"],
+  ["package-lock.json", "npm"],
+  ["npm-shrinkwrap.json", "npm"],
+];
+export const LOCKFILES = LOCKFILE_MANAGERS.map(([lockfile]) => lockfile);
+
+/**
+ * Commands of each package manager. Yarn 2+ ("berry") freezes the
+ * lockfile with --immutable instead of --frozen-lockfile.
+ */
+const COMMANDS = {
+  npm: {
+    run: (script) => `npm run ${script}`,
+    exec: (command) => `npx ${command}`,
+    install: "npm install",
+    frozenInstall: "npm ci",
+    add: (pkg) => `npm install ${pkg}`,
+    addDev: (pkg) => `npm install --save-dev ${pkg}`,
+    cacheClean: "npm cache clean --force",
+  },
+  yarn: {
+    run: (script) => `yarn run ${script}`,
+    exec: (command) => `yarn ${command}`,
+    install: "yarn install",
+    frozenInstall: "yarn install --frozen-lockfile",
+    add: (pkg) => `yarn add ${pkg}`,
+    addDev: (pkg) => `yarn add --dev ${pkg}`,
+    cacheClean: "yarn cache clean",
+  },
+  "yarn-berry": {
+    run: (script) => `yarn run ${script}`,
+    exec: (command) => `yarn ${command}`,
+    install: "yarn install",
+    frozenInstall: "yarn install --immutable",
+    add: (pkg) => `yarn add ${pkg}`,
+    addDev: (pkg) => `yarn add --dev ${pkg}`,
+    cacheClean: "yarn cache clean",
+  },
+  pnpm: {
+    run: (script) => `pnpm run ${script}`,
+    exec: (command) => `pnpm exec ${command}`,
+    install: "pnpm install",
+    frozenInstall: "pnpm install --frozen-lockfile",
+    add: (pkg) => `pnpm add ${pkg}`,
+    addDev: (pkg) => `pnpm add --save-dev ${pkg}`,
+    cacheClean: "pnpm store prune",
+  },
+  bun: {
+    run: (script) => `bun run ${script}`,
+    exec: (command) => `bunx ${command}`,
+    install: "bun install",
+    frozenInstall: "bun install --frozen-lockfile",
+    add: (pkg) => `bun add ${pkg}`,
+    addDev: (pkg) => `bun add --dev ${pkg}`,
+    cacheClean: "bun pm cache rm",
+  },
+};
+
+function readPackageJson(dir) {
+  try {
+    return JSON.parse(fs.readFileSync(path.join(dir, "package.json"), "utf-8"));
+  } catch (e) {
+    return null;
+  }
+}
+
+function isYarnBerry(dir, version) {
+  return version ? parseInt(version, 10) >= 2 : fs.existsSync(path.join(dir, ".yarnrc.yml"));
+}
+
+/**
+ * Whether `dir` is one of the workspace packages declared at `root`
+ */
+function isWorkspacePackage(root, dir) {
+  const relative = path.relative(root, dir).split(path.sep).join("/");
+  return expandWorkspacePatterns(root, getWorkspacePatterns(root)).includes(relative);
+}
+
+/**
+ * Package manager of the project at `cwd`: the "packageManager" field of
+ * package.json ("pnpm@9.1.0"), or else the lockfile. A workspace package
+ * uses its monorepo's: ancestors count only when they declare `cwd` as a
+ * workspace, and the lookup stops at the git top-level or the first
+ * workspace root. Defaults to npm.
+ * @returns {Object} { name, version, lockfile, root, source, run(script), exec(command),
+ *   install, frozenInstall, add(pkg), addDev(pkg), cacheClean } where root is the directory
+ *   to install from and exec runs a binary of the project's dependencies
+ */
+export function getPackageManager(cwd = process.cwd()) {
+  const create = (name, { version = null, lockfile = null, root = cwd, source }) => {
+    const variant = name === "yarn" && isYarnBerry(root, version) ? "yarn-berry" : name;
+    return { name, version, lockfile, root, source, ...COMMANDS[variant] };
+  };
+
+  const start = path.resolve(cwd);
+  let dir = start;
+  for (;;) {
+    if (dir === start || isWorkspacePackage(dir, start)) {
+      const declared = readPackageJson(dir)?.packageManager;
+      const match = typeof declared === "string" ? declared.match(/^(npm|yarn|pnpm|bun)@([^+\s]+)/) : null;
+      const lockfileOf = (name) =>
+        LOCKFILE_MANAGERS.find(([file, manager]) => (!name || manager === name) && fs.existsSync(path.join(dir, file)));
+      if (match) {
+        const lockfile = lockfileOf(match[1])?.[0] || null;
+        return create(match[1], { version: match[2], lockfile, root: dir, source: "packageManager" });
+      }
+      const found = lockfileOf(null);
+      if (found) {
+        return create(found[1], { lockfile: found[0], root: dir, source: found[0] });
+      }
+    }
+
+    // Lockfiles above the repository or an enclosing monorepo (e.g. a stray
+    // ~/package-lock.json) belong to other projects
+    const parent = path.dirname(dir);
+    if (parent === dir || fs.existsSync(path.join(dir, ".git")) || getWorkspacePatterns(dir).length > 0) {
+      return create("npm", { source: "default" });
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Whether dependencies were installed in `dir`: a package in node_modules
+ * (not just tool caches such as node_modules/.cache), or Yarn Plug'n'Play
+ */
+function hasInstalledDependencies(dir) {
+  if (fs.existsSync(path.join(dir, ".pnp.cjs"))) {
+    return true;
+  }
+  try {
+    return fs.readdirSync(path.join(dir, "node_modules")).some((entry) => !entry.startsWith(".") || entry === ".bin");
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Install dependencies when the project has dependencies but none are
+ * installed (a fresh clone or CI checkout): a frozen install from the
+ * lockfile, or a plain install without one. Runs in the workspace root
+ * for monorepos.
+ * @returns {boolean} false if the install failed
+ */
+export async function ensureDependencies(packageManager, cwd, spinner) {
+  const packageJson = readPackageJson(cwd);
+  const hasDependencies = Object.keys({ ...packageJson?.dependencies, ...packageJson?.devDependencies }).length > 0;
+  const installed = [cwd, packageManager.root].some(hasInstalledDependencies);
+  if (!hasDependencies || installed) {
+    return true;
+  }
+
+  const command = packageManager.lockfile ? packageManager.frozenInstall : packageManager.install;
+  spinner.start(`📦 Dependencies not installed: installing them (${chalk.cyan(command)})...`);
+  try {
+    await execAsync(command, { cwd: packageManager.root, shell: true, maxBuffer: 10 * 1024 * 1024 });
+    spinner.succeed(`✅ Dependencies installed (${command})`);
+    return true;
+  } catch (err) {
+    spinner.fail(`❌ ${command} failed`);
+    const output = (err.stderr || err.stdout || err.message || "").toString();
+    console.error(chalk.redBright(output.substring(0, 2000)));
+    if (packageManager.lockfile && command === packageManager.frozenInstall) {
+      console.log(
+        chalk.yellow(`💡 ${packageManager.lockfile} may be out of date: run '${packageManager.install}' and commit it.\n`)
+      );
+    }
+    return false;
+  }
+}
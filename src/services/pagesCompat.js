@@ -0,0 +1,146 @@
+import fs from "fs";
+import path from "path";
+import { listFiles } from "../utils/fileManifest.js";
+
+const SOURCE_EXTENSIONS = [".js", ".jsx", ".ts", ".tsx", ".vue", ".mjs"];
+const SOURCE_DIRS = ["src", "app"];
+const MAX_SOURCE_FILES = 500;
+
+/**
+ * Concatenated source of the project's src/ (and app/) files, for
+ * spotting router setup. Stops after MAX_SOURCE_FILES files.
+ */
+function readProjectSources(cwd) {
+  const contents = [];
+
+  const walk = (dir) => {
+    if (contents.length >= MAX_SOURCE_FILES || !fs.existsSync(dir)) return;
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      if (contents.length >= MAX_SOURCE_FILES) return;
+      if (entry.name === "node_modules" || entry.name.startsWith(".")) continue;
+      const fullPath = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(fullPath);
+      } else if (SOURCE_EXTENSIONS.includes(path.extname(entry.name))) {
+        try {
+          contents.push(fs.readFileSync(fullPath, "utf-8"));
+        } catch (e) {
+          // Skip unreadable files
+        }
+      }
+    }
+  };
+
+  SOURCE_DIRS.forEach((dir) => walk(path.join(cwd, dir)));
+  return contents.join("\n");
+}
+
+/**
+ * Detect a client-side router that needs a 404.html fallback on static
+ * hosts, i.e. one using history-mode URLs (/about) instead of hash URLs (/#/about).
+ * @returns {Object|null} { id, router, historyMode, reason } or null without a router
+ */
+export function detectClientRouter(cwd = process.cwd()) {
+  const packageJsonPath = path.join(cwd, "package.json");
+  if (!fs.existsSync(packageJsonPath)) {
+    return null;
+  }
+
+  let deps;
+  try {
+    const packageJson = JSON.parse(fs.readFileSync(packageJsonPath, "utf-8"));
+    deps = { ...(packageJson.dependencies || {}), ...(packageJson.devDependencies || {}) };
+  } catch (e) {
+    return null;
+  }
+
+  if (deps["react-router-dom"] || deps["react-router"]) {
+    const source = readProjectSources(cwd);
+    const browser = /\bBrowserRouter\b|\bcreateBrowserRouter\b/.test(source);
+    const hash = /\bHashRouter\b|\bcreateHashRouter\b/.test(source);
+    return {
+      id: "react-router",
+      router: "React Router",
+      historyMode: browser || !hash,
+      reason: hash && !browser ? "HashRouter" : "BrowserRouter",
+    };
+  }
+
+  if (deps["vue-router"]) {
+    const source = readProjectSources(cwd);
+    const history = /\bcreateWebHistory\b|mode:\s*["']history["']/.test(source);
+    return {
+      id: "vue-router",
+      router: "Vue Router",
+      historyMode: history,
+      reason: history ? "history mode" : "hash mode",
+    };
+  }
+
+  if (deps["@angular/router"]) {
+    const source = readProjectSources(cwd);
+    const hash = /useHash:\s*true|\bwithHashLocation\b/.test(source);
+    return {
+      id: "angular-router",
+      router: "Angular router",
+      historyMode: !hash,
+      reason: hash ? "hash location" : "path location",
+    };
+  }
+
+  return null;
+}
+
+/**
+ * Whether any deployed path has a segment starting with "_" (e.g. _next/),
+ * which Jekyll would drop unless .nojekyll exists
+ */
+export function findUnderscorePath(dir) {
+  return listFiles(dir).find((file) => file.split("/").some((part) => part.startsWith("_"))) || null;
+}
+
+/**
+ * Read a pages setting: true/false force it, anything else means "auto"
+ */
+function getSetting(config, name) {
+  const value = config.pages?.[name];
+  return typeof value === "boolean" ? value : "auto";
+}
+
+/**
+ * Work out the files a Pages deploy needs on top of the build output:
+ *  - 404.html, a copy of index.html, so history-mode routes survive a refresh
+ *  - .nojekyll, so Jekyll doesn't drop underscore-prefixed paths
+ *
+ * Both are skipped if the build already has them. Configure with
+ * "pages": { "spaFallback": true|false|"auto", "nojekyll": true|false|"auto" }.
+ *
+ * @returns {Object} { files: { path: content }, notes: string[] }
+ */
+export function getPagesCompatFiles(deployDir, config = {}, cwd = process.cwd()) {
+  const files = {};
+  const notes = [];
+
+  const spaFallback = getSetting(config, "spaFallback");
+  const indexPath = path.join(deployDir, "index.html");
+  if (spaFallback !== false && !fs.existsSync(path.join(deployDir, "404.html")) && fs.existsSync(indexPath)) {
+    const router = spaFallback === true ? null : detectClientRouter(cwd);
+    if (spaFallback === true || router?.historyMode) {
+      files["404.html"] = fs.readFileSync(indexPath);
+      notes.push(
+        router ? `404.html fallback for ${router.router} (${router.reason})` : "404.html fallback (pages.spaFallback)"
+      );
+    }
+  }
+
+  const nojekyll = getSetting(config, "nojekyll");
+  if (nojekyll !== false && !fs.existsSync(path.join(deployDir, ".nojekyll"))) {
+    const underscorePath = nojekyll === true ? null : findUnderscorePath(deployDir);
+    if (nojekyll === true || underscorePath) {
+      files[".nojekyll"] = "";
+      notes.push(underscorePath ? `.nojekyll (found ${underscorePath})` : ".nojekyll (pages.nojekyll)");
+    }
+  }
+
+  return { files, notes };
+}
@@ -0,0 +1,171 @@
+import fs from "fs";
+import http from "http";
+import path from "path";
+import { isSkippedPath } from "../utils/fileManifest.js";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "application/javascript; charset=utf-8",
+  ".mjs": "application/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".wasm": "application/wasm",
+  ".pdf": "application/pdf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+};
+
+const DEFAULT_NOT_FOUND = "<!DOCTYPE html><html><body><h1>404</h1><p>File not found</p></body></html>";
+// Paths Jekyll leaves out of the site when there's no .nojekyll
+const JEKYLL_EXCLUDED_DIRS = ["node_modules", "vendor"];
+
+/**
+ * Whether Jekyll would leave a path out of the built site: any segment
+ * starting with "_", "." or "#", or ending with "~"
+ */
+function isJekyllExcluded(relativePath) {
+  return relativePath
+    .split("/")
+    .filter(Boolean)
+    .some((part, idx) => /^[_.#]|~$/.test(part) || (idx === 0 && JEKYLL_EXCLUDED_DIRS.includes(part)));
+}
+
+/**
+ * A read-only view of the site: the files of `root` a deploy publishes
+ * (not .git, node_modules or DeployEase's own files) plus generated
+ * `extraFiles` ({ path: content }, e.g. the 404.html fallback)
+ */
+function createSite(root, extraFiles = {}) {
+  const stat = (relativePath) => {
+    if (isSkippedPath(relativePath)) {
+      return null;
+    }
+    try {
+      return fs.statSync(path.join(root, relativePath));
+    } catch (e) {
+      return null;
+    }
+  };
+  return {
+    isFile: (relativePath) => Object.hasOwn(extraFiles, relativePath) || Boolean(stat(relativePath)?.isFile()),
+    isDirectory: (relativePath) => relativePath === "" || Boolean(stat(relativePath)?.isDirectory()),
+    read: (relativePath) =>
+      Object.hasOwn(extraFiles, relativePath)
+        ? Buffer.from(extraFiles[relativePath])
+        : fs.readFileSync(path.join(root, relativePath)),
+  };
+}
+
+/**
+ * Resolve a request path the way GitHub Pages does:
+ *  - only paths under the base path (/<repo>/ for project sites) exist
+ *  - a file is served as is; /about also finds about.html
+ *  - a directory without a trailing slash redirects to dir/, and dir/ serves dir/index.html
+ *  - without .nojekyll, Jekyll's excluded paths (_next/, .well-known/, ...) don't exist
+ *  - anything else gets the site's 404.html (or a default page) with status 404
+ *
+ * @returns {Object} { status, file, location, reason } (file is relative to the site root)
+ */
+function resolvePagesPath(site, basePath, urlPath) {
+  const notFound = (reason) => ({ status: 404, file: site.isFile("404.html") ? "404.html" : null, reason });
+
+  let decoded;
+  try {
+    decoded = decodeURIComponent(urlPath);
+  } catch (e) {
+    return { status: 400, file: null, reason: "malformed URL" };
+  }
+  if (decoded.split("/").includes("..")) {
+    return { status: 400, file: null, reason: "path traversal" };
+  }
+
+  // /<repo> redirects to /<repo>/; anything else outside the base path doesn't exist
+  if (`${decoded}/` === basePath) {
+    return { status: 301, location: basePath };
+  }
+  if (!decoded.startsWith(basePath)) {
+    return { status: 404, file: null, reason: `outside the base path ${basePath}` };
+  }
+
+  const relativePath = decoded.slice(basePath.length);
+  const jekyll = !site.isFile(".nojekyll");
+  if (jekyll && isJekyllExcluded(relativePath)) {
+    return notFound("excluded by Jekyll: no .nojekyll");
+  }
+
+  const trimmed = relativePath.replace(/\/+$/, "");
+  if (relativePath.endsWith("/") || relativePath === "") {
+    if (!site.isDirectory(trimmed)) {
+      return notFound("no such directory");
+    }
+    const index = trimmed ? `${trimmed}/index.html` : "index.html";
+    return site.isFile(index) ? { status: 200, file: index } : notFound("directory without index.html");
+  }
+
+  if (site.isFile(relativePath)) {
+    return { status: 200, file: relativePath };
+  }
+  if (site.isDirectory(relativePath)) {
+    return { status: 301, location: `${basePath}${relativePath}/` };
+  }
+  if (site.isFile(`${relativePath}.html`)) {
+    return { status: 200, file: `${relativePath}.html` };
+  }
+  return notFound("no such file");
+}
+
+/**
+ * HTTP server for `root` that behaves like GitHub Pages under `basePath`.
+ * `onRequest({ method, url, status, location, reason })` is called for each request.
+ * @returns {http.Server}
+ */
+export function createPagesServer({ root, basePath, extraFiles = {}, onRequest = () => {} }) {
+  const site = createSite(root, extraFiles);
+
+  return http.createServer((req, res) => {
+    const url = new URL(req.url, "http://localhost");
+    const send = (status, headers, body) => {
+      res.writeHead(status, { "Cache-Control": "no-cache", ...headers });
+      res.end(req.method === "HEAD" ? undefined : body);
+    };
+
+    if (!["GET", "HEAD"].includes(req.method)) {
+      onRequest({ method: req.method, url: req.url, status: 405 });
+      send(405, { Allow: "GET, HEAD", "Content-Type": "text/plain" }, "Method Not Allowed");
+      return;
+    }
+
+    const result = resolvePagesPath(site, basePath, url.pathname);
+    onRequest({ method: req.method, url: req.url, ...result });
+
+    if (result.status === 301) {
+      send(301, { Location: `${result.location}${url.search}` }, "");
+    } else if (result.file) {
+      const type = CONTENT_TYPES[path.extname(result.file).toLowerCase()] || "application/octet-stream";
+      send(result.status, { "Content-Type": type }, site.read(result.file));
+    } else if (result.status === 404) {
+      send(404, { "Content-Type": CONTENT_TYPES[".html"] }, DEFAULT_NOT_FOUND);
+    } else {
+      send(result.status, { "Content-Type": "text/plain" }, result.reason || "Bad Request");
+    }
+  });
+}
@@ -0,0 +1,158 @@
+import fs from "fs";
+import path from "path";
+import simpleGit from "simple-git";
+
+export const PREVIEW_META_FILE = ".deployease-preview.json";
+export const DEFAULT_PREVIEWS_DIR = "previews";
+export const DEFAULT_PREVIEW_TTL_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Directory previews live in on the Pages branch ("previews.dir" in
+ * .deployease.json), without leading or trailing slashes
+ */
+export function getPreviewsDir(config = {}) {
+  const dir = String(config.previews?.dir || DEFAULT_PREVIEWS_DIR).replace(/^\/+|\/+$/g, "");
+  return dir || DEFAULT_PREVIEWS_DIR;
+}
+
+/**
+ * Preview TTL in days: --ttl, then "previews.ttlDays", then the default
+ */
+export function getPreviewTtlDays(config = {}, ttlOption) {
+  const ttl = parseFloat(ttlOption ?? config.previews?.ttlDays);
+  return Number.isFinite(ttl) && ttl > 0 ? ttl : DEFAULT_PREVIEW_TTL_DAYS;
+}
+
+/**
+ * URL-safe directory name for a branch ("feature/Login_Form" → "feature-login-form")
+ */
+export function slugifyBranch(branch) {
+  return String(branch || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 60)
+    .replace(/-+$/, "");
+}
+
+/**
+ * Branch being deployed: the checked-out branch, or the CI's branch
+ * variables when HEAD is detached
+ */
+export async function getCurrentBranch(cwd = process.cwd()) {
+  try {
+    const git = simpleGit(cwd);
+    if (await git.checkIsRepo()) {
+      const branch = (await git.revparse(["--abbrev-ref", "HEAD"])).trim();
+      if (branch && branch !== "HEAD") {
+        return branch;
+      }
+    }
+  } catch (e) {
+    // Fall back to CI variables
+  }
+
+  const env = process.env;
+  return env.GITHUB_HEAD_REF || env.GITHUB_REF_NAME || env.CI_COMMIT_REF_NAME || null;
+}
+
+/**
+ * Commit checked out in the project, or null outside a git repository
+ */
+export async function getHeadSha(cwd = process.cwd()) {
+  try {
+    return (await simpleGit(cwd).revparse(["HEAD"])).trim();
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Contents of the metadata file published with every preview
+ */
+export function createPreviewMeta({ branch, slug, sha = null }) {
+  return `${JSON.stringify({ branch, slug, sha, deployedAt: new Date().toISOString() }, null, 2)}\n`;
+}
+
+/**
+ * List the previews in a checkout of the Pages branch, newest first.
+ * Directories without a metadata file are listed with unknown branch and date.
+ */
+export function readPreviews(treeDir, previewsDir) {
+  const root = path.join(treeDir, previewsDir);
+  if (!fs.existsSync(root)) {
+    return [];
+  }
+
+  return fs
+    .readdirSync(root, { withFileTypes: true })
+    .filter((entry) => entry.isDirectory())
+    .map((entry) => {
+      let meta = {};
+      try {
+        meta = JSON.parse(fs.readFileSync(path.join(root, entry.name, PREVIEW_META_FILE), "utf-8"));
+      } catch (e) {
+        // No (readable) metadata
+      }
+      return {
+        slug: entry.name,
+        path: `${previewsDir}/${entry.name}`,
+        branch: meta.branch || null,
+        sha: meta.sha || null,
+        deployedAt: meta.deployedAt || null,
+      };
+    })
+    .sort((a, b) => String(b.deployedAt).localeCompare(String(a.deployedAt)));
+}
+
+/**
+ * Branches of the project: the origin's heads when it can be reached,
+ * otherwise the local branches. Returns null outside a git repository.
+ */
+export async function getSourceBranches(cwd = process.cwd()) {
+  const git = simpleGit(cwd);
+  try {
+    if (!(await git.checkIsRepo())) {
+      return null;
+    }
+  } catch (e) {
+    return null;
+  }
+
+  try {
+    const output = await git.listRemote(["--heads", "origin"]);
+    return new Set(
+      output
+        .split("\n")
+        .map((line) => line.split("\t")[1])
+        .filter(Boolean)
+        .map((ref) => ref.replace(/^refs\/heads\//, ""))
+    );
+  } catch (e) {
+    const local = await git.branchLocal();
+    return new Set(local.all);
+  }
+}
+
+/**
+ * Previews to prune: their branch no longer exists, or they are older
+ * than `ttlDays`. Previews without metadata are never pruned.
+ * @returns {Object[]} previews with a `reason`
+ */
+export function findStalePreviews(previews, { ttlDays, branches = null, now = Date.now() }) {
+  return previews
+    .map((preview) => {
+      if (!preview.deployedAt) return null;
+      if (branches && preview.branch && !branches.has(preview.branch)) {
+        return { ...preview, reason: `branch ${preview.branch} no longer exists` };
+      }
+      const ageDays = (now - new Date(preview.deployedAt).getTime()) / DAY_MS;
+      if (ageDays > ttlDays) {
+        return { ...preview, reason: `older than ${ttlDays} day(s)` };
+      }
+      return null;
+    })
+    .filter(Boolean);
+}
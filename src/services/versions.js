@@ -0,0 +1,154 @@
+import fs from "fs";
+import path from "path";
+
+export const VERSIONS_FILE = "versions.json";
+export const DEFAULT_VERSION_ALIAS = "latest";
+// Marks root index.html files DeployEase generated, so they can be replaced
+const REDIRECT_MARKER = "<!-- deployease:versions-redirect -->";
+const NAME_PATTERN = /^[A-Za-z0-9][A-Za-z0-9._-]*$/;
+// Files deploys write at the site root, which a version directory would replace
+export const RESERVED_VERSION_NAMES = ["index.html", "404.html", "CNAME", VERSIONS_FILE];
+
+/**
+ * Whether a version or alias can be used as a top-level directory name
+ */
+export function isValidVersionName(name) {
+  return typeof name === "string" && NAME_PATTERN.test(name) && !/^\.+$/.test(name);
+}
+
+/**
+ * Whether a version or alias would collide with a file at the site root
+ * (ignoring case, since CNAME and cname clash on case-insensitive filesystems)
+ */
+export function isReservedVersionName(name) {
+  return RESERVED_VERSION_NAMES.some((reserved) => reserved.toLowerCase() === String(name).toLowerCase());
+}
+
+/**
+ * Sort versions newest first, comparing numeric parts as numbers (2.10 > 2.9)
+ */
+export function compareVersions(a, b) {
+  return b.localeCompare(a, undefined, { numeric: true, sensitivity: "base" });
+}
+
+/**
+ * Read versions.json from a checkout of the Pages branch. Entries follow
+ * the format version switchers such as mike's read:
+ * [{ "version": "2.3", "title": "2.3", "aliases": ["latest"] }]
+ */
+export function readVersions(treeDir) {
+  try {
+    const versions = JSON.parse(fs.readFileSync(path.join(treeDir, VERSIONS_FILE), "utf-8"));
+    return Array.isArray(versions) ? versions.filter((entry) => entry && entry.version) : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function writeVersions(treeDir, versions) {
+  fs.writeFileSync(path.join(treeDir, VERSIONS_FILE), `${JSON.stringify(versions, null, 2)}\n`);
+}
+
+/**
+ * Top-level entries owned by versioned deploys (versions.json, version and
+ * alias directories), which full-site deploys must leave in place
+ */
+export function getVersionedPaths(treeDir) {
+  const versions = readVersions(treeDir);
+  if (versions.length === 0) {
+    return [];
+  }
+  return [VERSIONS_FILE, ...versions.flatMap((entry) => [entry.version, ...(entry.aliases || [])])];
+}
+
+/**
+ * Add (or replace) a version. Aliases move to it from any other version.
+ */
+export function addVersion(versions, { version, title = version, aliases = [] }) {
+  const others = versions
+    .filter((entry) => entry.version !== version)
+    .map((entry) => ({ ...entry, aliases: (entry.aliases || []).filter((alias) => !aliases.includes(alias)) }));
+  return [...others, { version, title, aliases }].sort((a, b) => compareVersions(a.version, b.version));
+}
+
+/**
+ * Redirect page for the site root
+ */
+function createRedirectPage(destination) {
+  return `<!DOCTYPE html>
+${REDIRECT_MARKER}
+<html>
+  <head>
+    <meta charset="utf-8">
+    <title>Redirecting…</title>
+    <meta http-equiv="refresh" content="0; url=${destination}/">
+    <link rel="canonical" href="${destination}/">
+    <script>location.replace("${destination}/" + location.search + location.hash);</script>
+  </head>
+  <body>
+    <a href="${destination}/">Redirecting to ${destination}</a>
+  </body>
+</html>
+`;
+}
+
+/**
+ * Point the root index.html at the default version: `defaultVersion` (a
+ * version or alias) if it exists, otherwise the newest version. A root
+ * index.html DeployEase didn't write is left alone. Removes the redirect
+ * when no versions are left.
+ * @returns {string|null} where the root redirects to
+ */
+function updateRootRedirect(treeDir, versions, defaultVersion) {
+  const indexPath = path.join(treeDir, "index.html");
+  const existing = fs.existsSync(indexPath) ? fs.readFileSync(indexPath, "utf-8") : null;
+  if (existing !== null && !existing.includes(REDIRECT_MARKER)) {
+    return null;
+  }
+
+  if (versions.length === 0) {
+    if (existing !== null) fs.unlinkSync(indexPath);
+    return null;
+  }
+
+  const names = versions.flatMap((entry) => [entry.version, ...(entry.aliases || [])]);
+  const destination = names.includes(defaultVersion) ? defaultVersion : versions[0].version;
+  fs.writeFileSync(indexPath, createRedirectPage(destination));
+  return destination;
+}
+
+/**
+ * Record a published version in versions.json and refresh the root redirect
+ * @returns {Object} { versions, redirect } (redirect is null if the root was left alone)
+ */
+export function updateVersionIndex(treeDir, { version, aliases = [], defaultVersion = DEFAULT_VERSION_ALIAS }) {
+  const versions = addVersion(readVersions(treeDir), { version, aliases });
+  writeVersions(treeDir, versions);
+  return { versions, redirect: updateRootRedirect(treeDir, versions, defaultVersion) };
+}
+
+/**
+ * Remove a version and its aliases from a checkout of the Pages branch
+ * @returns {string[]} top-level paths that were removed
+ */
+export function removeVersion(treeDir, version, { defaultVersion = DEFAULT_VERSION_ALIAS } = {}) {
+  const versions = readVersions(treeDir);
+  const entry = versions.find((candidate) => candidate.version === version);
+  if (!entry) {
+    return [];
+  }
+
+  const removed = [entry.version, ...(entry.aliases || [])].filter((dir) =>
+    fs.existsSync(path.join(treeDir, dir))
+  );
+  removed.forEach((dir) => fs.rmSync(path.join(treeDir, dir), { recursive: true, force: true }));
+
+  const remaining = versions.filter((candidate) => candidate.version !== version);
+  if (remaining.length > 0) {
+    writeVersions(treeDir, remaining);
+  } else {
+    fs.rmSync(path.join(treeDir, VERSIONS_FILE), { force: true });
+  }
+  updateRootRedirect(treeDir, remaining, defaultVersion);
+  return removed;
+}
@@ -0,0 +1,64 @@
+import GitRemoteTarget from "./gitRemoteTarget.js";
+import { createForge } from "../forges/index.js";
+import { getForgeToken } from "../utils/auth.js";
+
+/**
+ * Forge Pages Target
+ * Publishes to the Pages branch of `owner/repo` on a GitLab or Gitea forge
+ * chosen at init ("forge" and "forgeUrl" in .deployease.json). The forge
+ * supplies the clone URL, the default site URL and any generated files,
+ * e.g. the .gitlab-ci.yml that runs GitLab Pages.
+ */
+export default class ForgePagesTarget extends GitRemoteTarget {
+  constructor(config) {
+    super(config);
+    this.forge = createForge(config);
+    this.type = this.forge.targetType;
+    this.label = `${this.forge.label} Pages`;
+    this.owner = config.owner;
+    this.repo = config.repo;
+    this.branch = config.branch || this.forge.pagesBranch;
+    this.siteUrl = this.siteUrl || config.siteUrl || null;
+    this.publishNote = this.forge.publishNote;
+    this.authHint = `Run 'deployease login --forge ${this.forge.name} --forge-url ${this.forge.baseUrl}' or set ${this.forge.tokenEnv}.`;
+    this.token = null;
+  }
+
+  validate() {
+    return this.getSubpathError() || (this.repo && this.owner ? null : "Missing repo or owner in .deployease.json");
+  }
+
+  async authenticate(promptIfMissing = true) {
+    this.token = await getForgeToken(this.forge, promptIfMissing);
+    return Boolean(this.token);
+  }
+
+  getRemoteUrl() {
+    return this.forge.getCloneUrl(this.owner, this.repo, this.token);
+  }
+
+  getRootUrl() {
+    return this.siteUrl || this.forge.getPagesUrl(this.owner, this.repo);
+  }
+
+  getAuthor() {
+    return { name: this.owner, email: `${this.owner}@noreply.${new URL(this.forge.baseUrl).hostname}` };
+  }
+
+  getExtraFiles() {
+    return this.forge.getPagesFiles(this.branch);
+  }
+
+  describe() {
+    return `${this.forge.host}/${this.owner}/${this.repo} → ${this.branch}${this.subpath ? `/${this.subpath}` : ""}`;
+  }
+
+  toLedger() {
+    return {
+      type: this.type,
+      repo: `${this.forge.host}/${this.owner}/${this.repo}`,
+      branch: this.branch,
+      ...(this.subpath ? { subpath: this.subpath } : {}),
+    };
+  }
+}
@@ -0,0 +1,234 @@
+import path from "path";
+import { publishDirectory } from "../services/gitPublisher.js";
+import { diffAgainstRemote } from "../services/deployDiff.js";
+import { getPreviewsDir } from "../services/previews.js";
+import { getVersionedPaths, updateVersionIndex } from "../services/versions.js";
+
+/**
+ * Whether a remote is a local path rather than a URL or scp-style address
+ */
+function isLocalPath(url) {
+  return !/^[a-z][a-z0-9+.-]*:\/\//i.test(url) && !/^[^/\\]+@[^/\\]+:/.test(url);
+}
+
+/**
+ * Normalize a monorepo app's "subpath" ("/docs/" → "docs"): null when
+ * unset, false when it would leave the branch
+ */
+export function normalizeSubpath(subpath) {
+  if (!subpath) return null;
+  const normalized = String(subpath).replace(/\\/g, "/").replace(/^\/+|\/+$/g, "");
+  if (!normalized) return null;
+  return normalized.split("/").some((part) => part === ".." || part === "." || part === ".git") ? false : normalized;
+}
+
+/**
+ * Strip credentials from a URL, or from every URL in a message (e.g. a
+ * failed git push), before printing or recording it
+ */
+export function redactUrl(url) {
+  return url ? url.replace(/\/\/[^/@\s]+@/g, "//") : url;
+}
+
+/**
+ * Git Remote Target
+ * Publishes the deploy directory to a branch of any git remote: an https/ssh
+ * URL on a self-hosted server or a local (bare) repository path.
+ *
+ * .deployease.json:
+ *   "target": { "type": "git", "url": "../site.git", "branch": "main", "siteUrl": "https://..." }
+ *
+ * Credentials are left to git (credential helpers, ssh keys).
+ *
+ * With a `subpath` (a monorepo app, see services/monorepo.js) the site,
+ * its previews and versions live in /<subpath>/ of the branch and the
+ * rest of the branch is left alone.
+ */
+export default class GitRemoteTarget {
+  constructor(config) {
+    const target = typeof config.target === "object" && config.target ? config.target : {};
+    this.config = config;
+    this.type = "git";
+    this.label = "git remote";
+    this.url = target.url;
+    this.branch = target.branch || config.branch || "gh-pages";
+    this.siteUrl = target.siteUrl || null;
+    this.subpath = normalizeSubpath(config.subpath);
+    this.publishNote = null;
+    this.authHint = "Check the git credentials for this remote.";
+    this.supportsHistory = true;
+    // Served by a static Pages host: gets the 404.html/.nojekyll step
+    this.pagesCompat = true;
+    // Branch previews live in <previewsDir>/<slug>/ and survive full deploys
+    this.supportsPreviews = true;
+    this.previewsDir = getPreviewsDir(config);
+    // Versioned docs live in /<version>/ and /<alias>/ next to versions.json
+    this.supportsVersions = true;
+    // Whether getBuildStatus() reports the host's build of a pushed commit
+    this.supportsBuildStatus = false;
+  }
+
+  /**
+   * Return an error message if the config can't be used, otherwise null
+   */
+  validate() {
+    return this.getSubpathError() || (this.url ? null : 'Missing "target.url" in .deployease.json');
+  }
+
+  getSubpathError() {
+    return this.subpath === false ? 'Invalid "subpath" in .deployease.json: use a relative path such as "docs"' : null;
+  }
+
+  /**
+   * Git handles authentication for generic remotes
+   */
+  async authenticate() {
+    return true;
+  }
+
+  getRemoteUrl() {
+    return isLocalPath(this.url) ? path.resolve(process.cwd(), this.url) : this.url;
+  }
+
+  /**
+   * URL of the branch root
+   */
+  getRootUrl() {
+    return this.siteUrl;
+  }
+
+  /**
+   * URL of the site, including the subpath
+   */
+  getSiteUrl() {
+    const rootUrl = this.getRootUrl();
+    return rootUrl && this.subpath ? `${rootUrl.replace(/\/?$/, "/")}${this.subpath}/` : rootUrl;
+  }
+
+  /**
+   * Path on the branch of a path relative to the site
+   */
+  getTreePath(sitePath) {
+    return this.subpath ? `${this.subpath}/${sitePath}` : sitePath;
+  }
+
+  getAuthor() {
+    return { name: "DeployEase", email: "deployease@localhost" };
+  }
+
+  /**
+   * Latest build on the host ({ status, commit, error }), for targets that
+   * build the branch before serving it
+   */
+  async getBuildStatus() {
+    return null;
+  }
+
+  describe() {
+    return `${redactUrl(this.url)} → ${this.branch}${this.subpath ? `/${this.subpath}` : ""}`;
+  }
+
+  /**
+   * Path of a preview within the site, e.g. previews/feature-login
+   */
+  getPreviewPath(slug) {
+    return `${this.previewsDir}/${slug}`;
+  }
+
+  getPreviewUrl(slug) {
+    const siteUrl = this.getSiteUrl();
+    return siteUrl ? `${siteUrl.replace(/\/?$/, "/")}${this.getPreviewPath(slug)}/` : null;
+  }
+
+  /**
+   * Generated files added to every deploy ({ path: content })
+   */
+  getExtraFiles() {
+    return {};
+  }
+
+  /**
+   * Target summary for the deployment ledger (never includes credentials)
+   */
+  toLedger() {
+    return {
+      type: this.type,
+      url: redactUrl(this.url),
+      branch: this.branch,
+      ...(this.subpath ? { subpath: this.subpath } : {}),
+    };
+  }
+
+  /**
+   * Branch directories a publish writes to: a preview's directory, a
+   * version and its aliases, or null for the site root
+   */
+  getPublishDirs({ preview = null, version = null } = {}) {
+    if (preview) return this.getTreePath(this.getPreviewPath(preview));
+    if (version) return [version.name, ...(version.aliases || [])].map((dir) => this.getTreePath(dir));
+    return null;
+  }
+
+  /**
+   * Entries of the site root a full-site publish leaves in place: previews,
+   * everything owned by versioned deploys and the configured "keepPaths"
+   * (e.g. other monorepo apps)
+   */
+  getKeepPaths(siteDir) {
+    return [this.previewsDir, ...getVersionedPaths(siteDir), ...(this.config.keepPaths || [])];
+  }
+
+  /**
+   * Publish the site root, or only the directory of a preview (a branch
+   * slug) or a version ({ name, aliases }). Versioned publishes also update
+   * versions.json and the root redirect. Previews and versions survive
+   * full-site publishes.
+   */
+  async publish({ sourceDir, message, orphan = false, extraFiles = {}, rootFiles = {}, preview = null, version = null, spinner }) {
+    let versionIndex = null;
+    const result = await publishDirectory({
+      sourceDir,
+      remoteUrl: this.getRemoteUrl(),
+      branch: this.branch,
+      message,
+      author: this.getAuthor(),
+      extraFiles,
+      rootFiles: { ...rootFiles, ...this.getExtraFiles() },
+      subdir: this.getPublishDirs({ preview, version }),
+      root: this.subpath,
+      keepPaths: (siteDir) => this.getKeepPaths(siteDir),
+      beforeCommit: version
+        ? (treeDir) => {
+            versionIndex = updateVersionIndex(path.join(treeDir, this.subpath || ""), {
+              version: version.name,
+              aliases: version.aliases,
+              defaultVersion: this.config.versions?.default,
+            });
+          }
+        : null,
+      orphan,
+      spinner,
+    });
+
+    if (versionIndex) {
+      result.details = [`Versions: ${versionIndex.versions.map((entry) => entry.version).join(", ")}`];
+      result.notes = versionIndex.redirect
+        ? []
+        : ["The root index.html isn't a DeployEase redirect, so it was left as is"];
+    }
+    return result;
+  }
+
+  async diff(sourceDir, { extraFiles = {}, rootFiles = {}, preview = null, version = null } = {}) {
+    return diffAgainstRemote({
+      sourceDir,
+      remoteUrl: this.getRemoteUrl(),
+      branch: this.branch,
+      extraFiles,
+      rootFiles: { ...rootFiles, ...this.getExtraFiles() },
+      subdir: this.getPublishDirs({ preview, version }),
+      root: this.subpath,
+      keepPaths: (siteDir) => this.getKeepPaths(siteDir),
+    });
+  }
+}
@@ -0,0 +1,85 @@
+import GitRemoteTarget from "./gitRemoteTarget.js";
+import { getGitHubToken } from "../utils/auth.js";
+import { normalizeDomain } from "../services/customDomain.js";
+import { getLatestPagesBuild } from "../services/githubService.js";
+
+/**
+ * GitHub Pages Target (default)
+ * Publishes to the Pages branch of `owner/repo` on github.com using the
+ * token from `deployease login` or GITHUB_TOKEN. With a custom `domain`
+ * every deploy carries a CNAME file and the site lives at the domain root.
+ */
+export default class GitHubPagesTarget extends GitRemoteTarget {
+  constructor(config) {
+    super(config);
+    this.type = "github-pages";
+    this.label = "GitHub Pages";
+    this.owner = config.owner;
+    this.repo = config.repo;
+    this.branch = config.branch || "gh-pages";
+    this.publishNote = "It may take a few minutes for GitHub Pages to update.";
+    this.authHint = "Run 'deployease login' to authenticate.";
+    this.domain = normalizeDomain(config.domain);
+    this.supportsBuildStatus = true;
+    this.token = null;
+  }
+
+  validate() {
+    return this.getSubpathError() || (this.repo && this.owner ? null : "Missing repo or owner in .deployease.json");
+  }
+
+  /**
+   * Resolve the GitHub token; only prompts for login when allowed
+   */
+  async authenticate(promptIfMissing = true) {
+    this.token = await getGitHubToken(promptIfMissing);
+    return Boolean(this.token);
+  }
+
+  getRemoteUrl() {
+    return `https://${this.token}@github.com/${this.owner}/${this.repo}.git`;
+  }
+
+  /**
+   * Custom domains and user/organization sites (<owner>.github.io) are
+   * served from the root; project sites from /<repo>/
+   */
+  getRootUrl() {
+    if (this.domain) return `https://${this.domain}/`;
+    const userSite = `${this.owner}.github.io`.toLowerCase();
+    return this.repo?.toLowerCase() === userSite
+      ? `https://${userSite}/`
+      : `https://${this.owner}.github.io/${this.repo}/`;
+  }
+
+  /**
+   * A CNAME file keeps the custom domain attached across deploys
+   */
+  getExtraFiles() {
+    return this.domain ? { CNAME: `${this.domain}\n` } : {};
+  }
+
+  /**
+   * Latest Pages build: "queued", "building", "built" or "errored"
+   */
+  async getBuildStatus() {
+    return getLatestPagesBuild(this.token, this.owner, this.repo);
+  }
+
+  getAuthor() {
+    return { name: this.owner, email: `${this.owner}@users.noreply.github.com` };
+  }
+
+  describe() {
+    return `${this.owner}/${this.repo} → ${this.branch}${this.subpath ? `/${this.subpath}` : ""}`;
+  }
+
+  toLedger() {
+    return {
+      type: this.type,
+      repo: `${this.owner}/${this.repo}`,
+      branch: this.branch,
+      ...(this.subpath ? { subpath: this.subpath } : {}),
+    };
+  }
+}
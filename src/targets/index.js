@@ -0,0 +1,88 @@
+import chalk from "chalk";
+import GitHubPagesTarget from "./githubPagesTarget.js";
+import GitRemoteTarget from "./gitRemoteTarget.js";
+import ForgePagesTarget from "./forgePagesTarget.js";
+import NetlifyTarget from "./netlifyTarget.js";
+import S3Target from "./s3Target.js";
+import { EXIT_CODES } from "../utils/exitCodes.js";
+
+/**
+ * Deploy targets, keyed by the `target` field of .deployease.json.
+ * `target` may be a type name ("github-pages") or an object with a `type`
+ * plus target-specific settings. Without it, the Pages target of the
+ * project's forge is used (GitHub Pages unless init chose GitLab or Gitea).
+ */
+export const TARGETS = {
+  "github-pages": GitHubPagesTarget,
+  "gitlab-pages": ForgePagesTarget,
+  "gitea-pages": ForgePagesTarget,
+  git: GitRemoteTarget,
+  s3: S3Target,
+  netlify: NetlifyTarget,
+};
+
+/**
+ * Name of the target type configured in .deployease.json
+ */
+export function getTargetType(config) {
+  if (!config.target) {
+    return config.forge && config.forge !== "github" ? `${config.forge}-pages` : "github-pages";
+  }
+  return typeof config.target === "string" ? config.target : config.target.type || "github-pages";
+}
+
+/**
+ * Create the deploy target for a project config.
+ * Throws if the configured type is unknown.
+ */
+export function createTarget(config) {
+  const type = getTargetType(config);
+  const Target = TARGETS[type];
+  if (!Target) {
+    const err = new Error(
+      `Unknown deploy target "${type}". Supported targets: ${Object.keys(TARGETS).join(", ")}`
+    );
+    err.exitCode = EXIT_CODES.CONFIG;
+    throw err;
+  }
+  return new Target(config);
+}
+
+/**
+ * Print the live URL of a target after a deploy (if it has one)
+ */
+export function printSiteUrl(target, { note = true, subpath = null, label = "Visit" } = {}) {
+  const siteUrl = target.getSiteUrl();
+  if (siteUrl) {
+    const url = subpath ? `${siteUrl.replace(/\/?$/, "/")}${subpath}/` : siteUrl;
+    console.log(chalk.greenBright(`\n🌍 ${label}: ${url}`));
+  } else {
+    console.log(chalk.greenBright(`\n📦 Published to: ${target.describe()}${subpath ? ` (${subpath}/)` : ""}`));
+  }
+  if (note && target.publishNote) {
+    console.log(chalk.gray(`   Note: ${target.publishNote}`));
+  }
+  console.log();
+}
+
+/**
+ * Whether a publish replaces the branch history (--orphan or "orphan": true).
+ * Previews, versions and apps in a subpath only replace their own
+ * directories and share the branch, so they never do. A root publish keeps
+ * what the branch shares with other deploys (previews, versions, keepPaths).
+ */
+export function resolveOrphan(target, config, options, { inSubdir = Boolean(target.subpath) } = {}) {
+  if (!options.orphan && !config.orphan) {
+    return false;
+  }
+  if (inSubdir) {
+    if (options.orphan) {
+      console.log(chalk.gray(`   ℹ️  --orphan ignored: ${target.branch} is shared with other deploys`));
+    }
+    return false;
+  }
+  if (target.supportsHistory) {
+    console.log(chalk.gray(`   ⚠️  Orphan mode: ${target.branch} history will be replaced (previews, versions and keepPaths stay)`));
+  }
+  return true;
+}
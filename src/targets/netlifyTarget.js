@@ -0,0 +1,242 @@
+import fs from "fs";
+import path from "path";
+import fetch from "node-fetch";
+import { EXIT_CODES } from "../utils/exitCodes.js";
+import { buildManifest, diffManifests } from "../utils/fileManifest.js";
+
+const DEFAULT_API_BASE = "https://api.netlify.com/api/v1";
+const POLL_INTERVAL_MS = 2000;
+const POLL_TIMEOUT_MS = 5 * 60 * 1000;
+const UPLOAD_CONCURRENCY = 4;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Netlify Target
+ * Publishes through Netlify's file-digest deploy API: the SHA1 of every file
+ * is sent, and only the files Netlify doesn't already have are uploaded.
+ * The site is looked up by name (or id) and created when it doesn't exist.
+ *
+ * .deployease.json:
+ *   "target": { "type": "netlify", "site": "my-portfolio" }
+ *
+ * The token comes from NETLIFY_AUTH_TOKEN. "apiBase" (or NETLIFY_API_BASE)
+ * points the target at another API server, e.g. a local mock.
+ */
+export default class NetlifyTarget {
+  constructor(config) {
+    const target = typeof config.target === "object" && config.target ? config.target : {};
+    this.config = config;
+    this.type = "netlify";
+    this.label = "Netlify";
+    this.siteName = target.site || config.repo;
+    this.siteId = target.siteId || null;
+    this.apiBase = (target.apiBase || process.env.NETLIFY_API_BASE || DEFAULT_API_BASE).replace(/\/+$/, "");
+    this.token = null;
+    this.site = null;
+    this.deploy = null;
+    this.publishNote = null;
+    this.authHint = "Set NETLIFY_AUTH_TOKEN to a Netlify personal access token.";
+    this.supportsHistory = false;
+    this.pagesCompat = false;
+    this.supportsBuildStatus = false;
+  }
+
+  validate() {
+    if (this.config.subpath) return '"subpath" is only supported by git-based targets: give each app its own "target.site"';
+    return this.siteName || this.siteId
+      ? null
+      : 'Missing "target.site" (or "target.siteId") in .deployease.json';
+  }
+
+  /**
+   * Call the Netlify API and return the parsed JSON body.
+   * Failures carry the AUTH or PUSH exit code.
+   */
+  async request(method, endpoint, { body, json, allow404 = false } = {}) {
+    const headers = { Authorization: `Bearer ${this.token}` };
+    if (json !== undefined) {
+      headers["Content-Type"] = "application/json";
+      body = JSON.stringify(json);
+    } else if (body !== undefined) {
+      headers["Content-Type"] = "application/octet-stream";
+    }
+
+    const response = await fetch(`${this.apiBase}${endpoint}`, { method, headers, body });
+    if (allow404 && response.status === 404) {
+      return null;
+    }
+    if (!response.ok) {
+      const text = await response.text().catch(() => "");
+      const err = new Error(`Netlify API ${method} ${endpoint} failed (${response.status}): ${text}`);
+      err.exitCode =
+        response.status === 401 || response.status === 403 ? EXIT_CODES.AUTH : EXIT_CODES.PUSH;
+      throw err;
+    }
+
+    const text = await response.text();
+    return text ? JSON.parse(text) : null;
+  }
+
+  /**
+   * Check the token against the API
+   */
+  async authenticate() {
+    this.token = process.env.NETLIFY_AUTH_TOKEN || null;
+    if (!this.token) {
+      return false;
+    }
+    try {
+      await this.request("GET", "/user");
+      return true;
+    } catch (e) {
+      return false;
+    }
+  }
+
+  /**
+   * Find the configured site, creating it when `create` is set
+   */
+  async resolveSite({ create = true } = {}) {
+    if (this.site) return this.site;
+
+    if (this.siteId) {
+      this.site = await this.request("GET", `/sites/${this.siteId}`, { allow404: true });
+      if (!this.site) {
+        const err = new Error(`Netlify site ${this.siteId} not found`);
+        err.exitCode = EXIT_CODES.CONFIG;
+        throw err;
+      }
+      return this.site;
+    }
+
+    const sites = await this.request(
+      "GET",
+      `/sites?name=${encodeURIComponent(this.siteName)}&filter=all`
+    );
+    this.site = (sites || []).find((site) => site.name === this.siteName) || null;
+
+    if (!this.site && create) {
+      this.site = await this.request("POST", "/sites", { json: { name: this.siteName } });
+    }
+    return this.site;
+  }
+
+  getSiteUrl() {
+    return this.site ? this.site.ssl_url || this.site.url : null;
+  }
+
+  describe() {
+    return this.site ? `${this.site.name} (${this.site.id})` : this.siteName || this.siteId;
+  }
+
+  toLedger() {
+    return { type: this.type, url: this.getSiteUrl() || this.siteName, siteId: this.site?.id || this.siteId };
+  }
+
+  /**
+   * Compare the deploy directory with the files of the site's live deploy
+   */
+  async diff(sourceDir) {
+    const local = buildManifest(sourceDir);
+    const site = await this.resolveSite({ create: false });
+    if (!site) {
+      return { diff: diffManifests(local, {}), branchExists: false };
+    }
+
+    const remote = {};
+    for (const file of (await this.request("GET", `/sites/${site.id}/files`)) || []) {
+      remote[file.path.replace(/^\//, "")] = { size: file.size || 0, hash: file.sha };
+    }
+    return { diff: diffManifests(local, remote), branchExists: Object.keys(remote).length > 0 };
+  }
+
+  /**
+   * Wait until Netlify has processed the deploy
+   */
+  async waitForDeploy(deploy, setText) {
+    const startedAt = Date.now();
+    let current = deploy;
+
+    while (!["ready", "error"].includes(current.state)) {
+      if (Date.now() - startedAt > POLL_TIMEOUT_MS) {
+        const err = new Error(`Timed out waiting for Netlify deploy ${deploy.id} (state: ${current.state})`);
+        err.exitCode = EXIT_CODES.PUSH;
+        throw err;
+      }
+      setText(`⏳ Waiting for Netlify to process the deploy (${current.state})...`);
+      await sleep(POLL_INTERVAL_MS);
+      current = await this.request("GET", `/deploys/${deploy.id}`);
+    }
+
+    if (current.state === "error") {
+      const err = new Error(`Netlify deploy ${deploy.id} failed: ${current.error_message || "unknown error"}`);
+      err.exitCode = EXIT_CODES.PUSH;
+      throw err;
+    }
+    return current;
+  }
+
+  async publish({ sourceDir, message, spinner }) {
+    const setText = (text) => {
+      if (spinner) spinner.text = text;
+    };
+
+    if (!fs.existsSync(path.join(sourceDir, "index.html"))) {
+      const err = new Error(`index.html not found in ${sourceDir}`);
+      err.exitCode = EXIT_CODES.MISSING_INDEX;
+      throw err;
+    }
+
+    setText(`🔎 Looking up Netlify site ${this.siteName || this.siteId}...`);
+    const site = await this.resolveSite();
+
+    // Send the digest manifest; Netlify answers with the hashes it's missing
+    const manifest = buildManifest(sourceDir);
+    const files = {};
+    Object.entries(manifest).forEach(([file, { hash }]) => {
+      files[`/${file}`] = hash;
+    });
+
+    setText(`📝 Creating deploy for ${site.name}...`);
+    let deploy = await this.request("POST", `/sites/${site.id}/deploys`, {
+      json: { files, title: message },
+    });
+
+    const required = new Set(deploy.required || []);
+    const uploads = Object.keys(manifest).filter((file) => required.has(manifest[file].hash));
+
+    let next = 0;
+    let uploaded = 0;
+    const upload = async () => {
+      while (next < uploads.length) {
+        const file = uploads[next++];
+        setText(`☁️  Uploading ${++uploaded}/${uploads.length}: ${file}`);
+        const encoded = file.split("/").map(encodeURIComponent).join("/");
+        await this.request("PUT", `/deploys/${deploy.id}/files/${encoded}`, {
+          body: fs.readFileSync(path.join(sourceDir, file)),
+        });
+      }
+    };
+    await Promise.all(Array.from({ length: UPLOAD_CONCURRENCY }, upload));
+
+    deploy = await this.waitForDeploy(deploy, setText);
+    this.deploy = deploy;
+
+    const total = Object.keys(manifest).length;
+    return {
+      commit: null,
+      message,
+      changes: null,
+      upToDate: false,
+      incremental: true,
+      details: [
+        `Deploy: ${deploy.id} (${deploy.state})`,
+        uploads.length < total
+          ? `Uploaded ${uploads.length} of ${total} file(s); Netlify already had the rest`
+          : `Uploaded ${total} file(s)`,
+        `Deploy URL: ${deploy.deploy_ssl_url || deploy.deploy_url}`,
+      ],
+    };
+  }
+}
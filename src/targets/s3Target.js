@@ -0,0 +1,336 @@
+import fs from "fs";
+import path from "path";
+import {
+  S3Client,
+  ListObjectsV2Command,
+  PutObjectCommand,
+  DeleteObjectsCommand,
+} from "@aws-sdk/client-s3";
+import { EXIT_CODES } from "../utils/exitCodes.js";
+import { buildManifest, diffManifests } from "../utils/fileManifest.js";
+
+const CONTENT_TYPES = {
+  ".html": "text/html; charset=utf-8",
+  ".htm": "text/html; charset=utf-8",
+  ".css": "text/css; charset=utf-8",
+  ".js": "text/javascript; charset=utf-8",
+  ".mjs": "text/javascript; charset=utf-8",
+  ".json": "application/json; charset=utf-8",
+  ".map": "application/json; charset=utf-8",
+  ".webmanifest": "application/manifest+json",
+  ".xml": "application/xml",
+  ".txt": "text/plain; charset=utf-8",
+  ".md": "text/markdown; charset=utf-8",
+  ".svg": "image/svg+xml",
+  ".png": "image/png",
+  ".jpg": "image/jpeg",
+  ".jpeg": "image/jpeg",
+  ".gif": "image/gif",
+  ".webp": "image/webp",
+  ".avif": "image/avif",
+  ".ico": "image/x-icon",
+  ".woff": "font/woff",
+  ".woff2": "font/woff2",
+  ".ttf": "font/ttf",
+  ".otf": "font/otf",
+  ".eot": "application/vnd.ms-fontobject",
+  ".wasm": "application/wasm",
+  ".pdf": "application/pdf",
+  ".mp4": "video/mp4",
+  ".webm": "video/webm",
+  ".mp3": "audio/mpeg",
+  ".wav": "audio/wav",
+};
+
+const CACHE_HTML = "no-cache";
+const CACHE_IMMUTABLE = "public, max-age=31536000, immutable";
+const CACHE_DEFAULT = "public, max-age=3600";
+const UPLOAD_CONCURRENCY = 8;
+
+/**
+ * Content-Type for a file, by extension
+ */
+export function getContentType(file) {
+  return CONTENT_TYPES[path.extname(file).toLowerCase()] || "application/octet-stream";
+}
+
+/**
+ * Whether a file name carries a bundler content hash (e.g. index-B3x9aZ1q.js)
+ */
+function isHashedAsset(file) {
+  const match = path.basename(file).match(/[.-]([A-Za-z0-9_]{8,})\.[a-z0-9]+$/i);
+  return Boolean(match && /\d/.test(match[1]));
+}
+
+/**
+ * Convert a simple glob (*, **, ?) to a RegExp. Patterns without a slash
+ * match the file name in any directory.
+ */
+function globToRegExp(pattern) {
+  const source = pattern
+    .replace(/[.+^${}()|[\]\\]/g, "\\$&")
+    .replace(/\*\*\/?/g, "\u0000")
+    .replace(/\*/g, "[^/]*")
+    .replace(/\?/g, "[^/]")
+    .replace(/\u0000/g, ".*");
+  return new RegExp(pattern.includes("/") ? `^${source}$` : `(^|/)${source}$`);
+}
+
+/**
+ * Cache-Control header for a file. Rules from `target.cacheControl`
+ * ({ "<glob>": "<header>" }) win; otherwise HTML is revalidated on every
+ * request, hashed assets are cached forever and everything else for an hour.
+ */
+export function getCacheControl(file, rules = {}) {
+  for (const [pattern, value] of Object.entries(rules)) {
+    if (globToRegExp(pattern).test(file)) {
+      return value;
+    }
+  }
+  if (/\.html?$/i.test(file)) return CACHE_HTML;
+  if (isHashedAsset(file)) return CACHE_IMMUTABLE;
+  return CACHE_DEFAULT;
+}
+
+/**
+ * Normalize a key prefix: no leading slash, trailing slash unless empty
+ */
+function normalizePrefix(prefix) {
+  const trimmed = (prefix || "").replace(/^\/+|\/+$/g, "");
+  return trimmed ? `${trimmed}/` : "";
+}
+
+/**
+ * Run `worker` over `items` with at most `limit` in flight
+ */
+async function runWithConcurrency(items, limit, worker) {
+  let next = 0;
+  const runners = Array.from({ length: Math.min(limit, items.length) }, async () => {
+    while (next < items.length) {
+      await worker(items[next++]);
+    }
+  });
+  await Promise.all(runners);
+}
+
+/**
+ * S3 Target
+ * Uploads the deploy directory to an S3-compatible bucket (AWS S3, MinIO,
+ * Cloudflare R2, ...). Only new and changed files are uploaded; objects
+ * that no longer exist locally are deleted when `deleteStale` is set or
+ * `--delete-stale` is passed.
+ *
+ * .deployease.json:
+ *   "target": {
+ *     "type": "s3", "bucket": "my-site", "prefix": "docs", "region": "eu-west-1",
+ *     "endpoint": "http://localhost:9000", "siteUrl": "https://cdn.example.com/docs/",
+ *     "cacheControl": { "assets/**": "public, max-age=31536000, immutable" }
+ *   }
+ *
+ * Every setting except cacheControl can also come from the environment
+ * (DEPLOYEASE_S3_BUCKET, DEPLOYEASE_S3_PREFIX, AWS_REGION, AWS_ENDPOINT_URL_S3).
+ * Credentials are read from target.accessKeyId/secretAccessKey, or the
+ * standard AWS environment variables and profiles.
+ */
+export default class S3Target {
+  constructor(config) {
+    const target = typeof config.target === "object" && config.target ? config.target : {};
+    const env = process.env;
+    this.config = config;
+    this.type = "s3";
+    this.label = "S3";
+    this.bucket = target.bucket || env.DEPLOYEASE_S3_BUCKET;
+    this.prefix = normalizePrefix(target.prefix ?? env.DEPLOYEASE_S3_PREFIX);
+    this.region = target.region || env.AWS_REGION || env.AWS_DEFAULT_REGION || "us-east-1";
+    this.endpoint = target.endpoint || env.AWS_ENDPOINT_URL_S3 || env.AWS_ENDPOINT_URL || null;
+    this.forcePathStyle = target.forcePathStyle ?? Boolean(this.endpoint);
+    this.credentials =
+      target.accessKeyId && target.secretAccessKey
+        ? {
+            accessKeyId: target.accessKeyId,
+            secretAccessKey: target.secretAccessKey,
+            sessionToken: target.sessionToken,
+          }
+        : undefined;
+    this.cacheControl = target.cacheControl || {};
+    this.deleteStale = Boolean(target.deleteStale);
+    this.siteUrl = target.siteUrl || null;
+    this.publishNote = this.siteUrl ? "CDN caches may take a while to pick up the new files." : null;
+    this.authHint = "Set AWS_ACCESS_KEY_ID and AWS_SECRET_ACCESS_KEY (or target.accessKeyId/secretAccessKey).";
+    this.supportsHistory = false;
+    this.pagesCompat = false;
+    this.supportsBuildStatus = false;
+    this.client = null;
+  }
+
+  validate() {
+    if (this.config.subpath) return '"subpath" is only supported by git-based targets: give each app its own "target.prefix"';
+    return this.bucket
+      ? null
+      : 'Missing "target.bucket" in .deployease.json (or DEPLOYEASE_S3_BUCKET)';
+  }
+
+  getClient() {
+    if (!this.client) {
+      this.client = new S3Client({
+        region: this.region,
+        endpoint: this.endpoint || undefined,
+        forcePathStyle: this.forcePathStyle,
+        credentials: this.credentials,
+      });
+    }
+    return this.client;
+  }
+
+  /**
+   * Resolve credentials from config, env or the AWS credential chain
+   */
+  async authenticate() {
+    try {
+      const credentials = await this.getClient().config.credentials();
+      return Boolean(credentials?.accessKeyId);
+    } catch (e) {
+      return false;
+    }
+  }
+
+  getSiteUrl() {
+    if (this.siteUrl) return this.siteUrl;
+    if (this.endpoint) {
+      return `${this.endpoint.replace(/\/+$/, "")}/${this.bucket}/${this.prefix}index.html`;
+    }
+    return `http://${this.bucket}.s3-website-${this.region}.amazonaws.com/${this.prefix}`;
+  }
+
+  describe() {
+    return `s3://${this.bucket}/${this.prefix}`;
+  }
+
+  toLedger() {
+    return { type: this.type, url: this.describe(), region: this.region, endpoint: this.endpoint };
+  }
+
+  /**
+   * Map every object under the prefix to { size, hash } (hash = ETag)
+   */
+  async listRemote() {
+    const remote = {};
+    let ContinuationToken;
+
+    do {
+      const page = await this.getClient().send(
+        new ListObjectsV2Command({
+          Bucket: this.bucket,
+          Prefix: this.prefix || undefined,
+          ContinuationToken,
+        })
+      );
+      for (const object of page.Contents || []) {
+        remote[object.Key.slice(this.prefix.length)] = {
+          size: object.Size,
+          hash: (object.ETag || "").replace(/"/g, ""),
+        };
+      }
+      ContinuationToken = page.IsTruncated ? page.NextContinuationToken : undefined;
+    } while (ContinuationToken);
+
+    return remote;
+  }
+
+  /**
+   * Compare the deploy directory with the bucket. Single-part uploads use
+   * the MD5 of the content as ETag, so unchanged files can be skipped.
+   */
+  async diff(sourceDir) {
+    const remote = await this.wrapErrors(() => this.listRemote());
+    return {
+      diff: diffManifests(buildManifest(sourceDir, "md5"), remote),
+      branchExists: Object.keys(remote).length > 0,
+    };
+  }
+
+  async publish({ sourceDir, deleteStale, spinner }) {
+    const setText = (text) => {
+      if (spinner) spinner.text = text;
+    };
+
+    if (!fs.existsSync(path.join(sourceDir, "index.html"))) {
+      const err = new Error(`index.html not found in ${sourceDir}`);
+      err.exitCode = EXIT_CODES.MISSING_INDEX;
+      throw err;
+    }
+
+    setText(`🔎 Comparing with ${this.describe()}...`);
+    const { diff } = await this.diff(sourceDir);
+    const uploads = [...diff.added, ...diff.changed].map((f) => f.path);
+    const stale = diff.removed.map((f) => f.path);
+    const removeStale = (deleteStale ?? this.deleteStale) && stale.length > 0;
+
+    let uploaded = 0;
+    await this.wrapErrors(() =>
+      runWithConcurrency(uploads, UPLOAD_CONCURRENCY, async (file) => {
+        setText(`☁️  Uploading ${++uploaded}/${uploads.length}: ${file}`);
+        await this.getClient().send(
+          new PutObjectCommand({
+            Bucket: this.bucket,
+            Key: this.prefix + file,
+            Body: fs.readFileSync(path.join(sourceDir, file)),
+            ContentType: getContentType(file),
+            CacheControl: getCacheControl(file, this.cacheControl),
+          })
+        );
+      })
+    );
+
+    if (removeStale) {
+      setText(`🧹 Deleting ${stale.length} stale object(s)...`);
+      // DeleteObjects accepts at most 1000 keys per request
+      for (let i = 0; i < stale.length; i += 1000) {
+        await this.wrapErrors(() =>
+          this.getClient().send(
+            new DeleteObjectsCommand({
+              Bucket: this.bucket,
+              Delete: {
+                Objects: stale.slice(i, i + 1000).map((file) => ({ Key: this.prefix + file })),
+                Quiet: true,
+              },
+            })
+          )
+        );
+      }
+    }
+
+    const notes = [];
+    if (stale.length > 0 && !removeStale) {
+      notes.push(`${stale.length} stale object(s) kept — pass --delete-stale to remove them`);
+    }
+
+    return {
+      commit: null,
+      message: null,
+      changes: {
+        added: diff.added.map((f) => f.path),
+        modified: diff.changed.map((f) => f.path),
+        deleted: removeStale ? stale : [],
+      },
+      upToDate: uploads.length === 0 && !removeStale,
+      incremental: true,
+      notes,
+    };
+  }
+
+  /**
+   * Tag SDK failures with the matching exit code
+   */
+  async wrapErrors(fn) {
+    try {
+      return await fn();
+    } catch (err) {
+      const status = err.$metadata?.httpStatusCode;
+      if (!err.exitCode) {
+        err.exitCode = status === 401 || status === 403 ? EXIT_CODES.AUTH : EXIT_CODES.PUSH;
+      }
+      throw err;
+    }
+  }
+}
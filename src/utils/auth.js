@@ -1,4 +1,4 @@
-import { getStoredAuth } from "../commands/login.js";
+import { getStoredAuth, getStoredForgeAuth } from "../commands/login.js";
 import inquirer from "inquirer";
 import chalk from "chalk";
 import ora from "ora";
@@ -57,3 +57,47 @@ export async function getGitHubToken(promptIfMissing = true) {
   return null;
 }
 
+/**
+ * Get the token for a forge - stored auth, then its environment variable
+ * (e.g. GITLAB_TOKEN), then prompts. GitHub uses getGitHubToken.
+ */
+export async function getForgeToken(forge, promptIfMissing = true) {
+  if (forge.name === "github") {
+    return getGitHubToken(promptIfMissing);
+  }
+
+  const storedToken = getStoredForgeAuth(forge);
+  if (storedToken) {
+    return storedToken;
+  }
+
+  if (process.env[forge.tokenEnv]) {
+    return process.env[forge.tokenEnv];
+  }
+
+  if (promptIfMissing) {
+    console.log(chalk.yellow(`\n⚠️  Not logged in to ${forge.label} (${forge.host}).`));
+    console.log(chalk.gray(`   Run: deployease login --forge ${forge.name} --forge-url ${forge.baseUrl}\n`));
+
+    const loginNow = await inquirer.prompt([
+      {
+        type: "confirm",
+        name: "login",
+        message: "Login now?",
+        default: true,
+      },
+    ]);
+
+    if (loginNow.login) {
+      try {
+        const { default: login } = await import("../commands/login.js");
+        await login({ forge: forge.name, forgeUrl: forge.baseUrl });
+        return getStoredForgeAuth(forge);
+      } catch (err) {
+        console.log(chalk.yellow("⚠️  Login cancelled or failed."));
+      }
+    }
+  }
+
+  return null;
+}
@@ -0,0 +1,33 @@
+/**
+ * Process exit codes for deploy, redeploy and init.
+ * Each failure category gets its own code so CI pipelines can gate on it.
+ */
+export const EXIT_CODES = {
+  SUCCESS: 0,
+  ERROR: 1, // Unexpected error
+  CONFIG: 2, // Missing or invalid .deployease.json / required input
+  AUTH: 3, // No GitHub token available
+  CHECK: 4, // Pre-deployment check blocked the deploy
+  BUILD: 5, // Build command failed
+  DEPLOY_DIR: 6, // Deploy directory missing after build
+  MISSING_INDEX: 7, // index.html missing from deploy directory
+  PUSH: 8, // Git push to the Pages branch failed
+  VERIFY: 9, // Pages build errored or the live site didn't match the deploy (--verify)
+};
+
+/**
+ * Record the exit code for the current command without exiting immediately,
+ * so spinners and readline interfaces can shut down cleanly.
+ */
+export function setExitCode(code) {
+  process.exitCode = code;
+}
+
+/**
+ * Short category name for an exit code, used in the deployment ledger
+ */
+export function getErrorCategory(code) {
+  if (!code) return null;
+  const entry = Object.entries(EXIT_CODES).find(([, value]) => value === code);
+  return entry ? entry[0].toLowerCase().replace(/_/g, "-") : "error";
+}
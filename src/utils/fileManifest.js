@@ -0,0 +1,114 @@
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+
+// Never deployed: VCS data, dependencies and DeployEase's own config/state
+// (which sits inside the deploy directory when deployDir is ".")
+export const SKIPPED_ENTRIES = [
+  ".git",
+  "node_modules",
+  ".deployease",
+  ".deployease.json",
+  ".deployease-build-error.log",
+];
+
+/**
+ * Whether a path relative to the deploy directory is never published: one
+ * of SKIPPED_ENTRIES at the top, or anything inside a .git or node_modules
+ */
+export function isSkippedPath(relativePath) {
+  const parts = relativePath.split(/[\\/]/).filter(Boolean);
+  return SKIPPED_ENTRIES.includes(parts[0]) || parts.includes(".git") || parts.includes("node_modules");
+}
+
+/**
+ * List every deployable file under `dir` as a POSIX-style relative path
+ */
+export function listFiles(dir, base = dir, fileList = []) {
+  for (const entry of fs.readdirSync(dir)) {
+    if (SKIPPED_ENTRIES.includes(entry)) continue;
+
+    const fullPath = path.join(dir, entry);
+    const stat = fs.statSync(fullPath);
+    if (stat.isDirectory()) {
+      listFiles(fullPath, base, fileList);
+    } else {
+      fileList.push(path.relative(base, fullPath).split(path.sep).join("/"));
+    }
+  }
+
+  return fileList;
+}
+
+/**
+ * Count files and total bytes in a directory
+ */
+export function getDirectoryStats(dir) {
+  const files = listFiles(dir);
+  const bytes = files.reduce((total, file) => total + fs.statSync(path.join(dir, file)).size, 0);
+  return { files: files.length, bytes };
+}
+
+/**
+ * Human-readable byte size, e.g. "1.4 MB"
+ */
+export function formatBytes(bytes) {
+  const units = ["B", "KB", "MB", "GB"];
+  let size = Math.abs(bytes);
+  let unit = 0;
+  while (size >= 1024 && unit < units.length - 1) {
+    size /= 1024;
+    unit++;
+  }
+  const sign = bytes < 0 ? "-" : "";
+  return `${sign}${unit === 0 ? size : size.toFixed(1)} ${units[unit]}`;
+}
+
+/**
+ * Manifest entry ({ size, hash }) for a file's content
+ */
+export function hashContent(content, algorithm = "sha1") {
+  const buffer = Buffer.isBuffer(content) ? content : Buffer.from(content);
+  return {
+    size: buffer.length,
+    hash: crypto.createHash(algorithm).update(buffer).digest("hex"),
+  };
+}
+
+/**
+ * Map every file under `dir` to its size and content hash (SHA1 by default)
+ */
+export function buildManifest(dir, algorithm = "sha1") {
+  const manifest = {};
+  for (const file of listFiles(dir)) {
+    manifest[file] = hashContent(fs.readFileSync(path.join(dir, file)), algorithm);
+  }
+  return manifest;
+}
+
+/**
+ * Compare two manifests. `next` is what would be deployed, `previous` what is live.
+ * @returns {Object} { added, removed, changed, unchanged } with size details
+ */
+export function diffManifests(next, previous) {
+  const diff = { added: [], removed: [], changed: [], unchanged: 0 };
+
+  for (const [file, info] of Object.entries(next)) {
+    const old = previous[file];
+    if (!old) {
+      diff.added.push({ path: file, size: info.size });
+    } else if (old.hash !== info.hash) {
+      diff.changed.push({ path: file, oldSize: old.size, size: info.size, delta: info.size - old.size });
+    } else {
+      diff.unchanged++;
+    }
+  }
+
+  for (const [file, info] of Object.entries(previous)) {
+    if (!next[file]) {
+      diff.removed.push({ path: file, size: info.size });
+    }
+  }
+
+  return diff;
+}
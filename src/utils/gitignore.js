@@ -0,0 +1,101 @@
+import fs from "fs";
+import path from "path";
+
+/**
+ * Turn one .gitignore pattern into a regular expression over a
+ * slash-separated path relative to the project root
+ */
+function patternToRegExp(pattern) {
+  // A pattern with a slash (other than a trailing one) is anchored to the root
+  const anchored = pattern.startsWith("/") || pattern.includes("/");
+  const body = pattern
+    .replace(/^\//, "")
+    .split(/(\/\*\*\/|\*\*\/|\/\*\*|\*|\?)/)
+    .map((part) => {
+      if (part === "/**/") return "/(?:.*/)?";
+      if (part === "**/") return "(?:.*/)?";
+      if (part === "/**") return "/.*";
+      if (part === "*") return "[^/]*";
+      if (part === "?") return "[^/]";
+      return part.replace(/[.+^${}()|[\]\\]/g, "\\$&");
+    })
+    .join("");
+  return new RegExp(`^${anchored ? "" : "(?:.*/)?"}${body}$`);
+}
+
+function isDirectory(file) {
+  try {
+    return fs.statSync(file).isDirectory();
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Parse .gitignore contents into rules: { regExp, negated, dirOnly }
+ */
+export function parseGitignore(contents) {
+  return contents
+    .split(/\r?\n/)
+    .map((line) => line.replace(/(?<!\\)\s+$/, ""))
+    .filter((line) => line && !line.startsWith("#"))
+    .map((line) => {
+      const negated = line.startsWith("!");
+      let pattern = line.replace(/^!/, "").replace(/^\\([#!])/, "$1");
+      const dirOnly = pattern.endsWith("/");
+      pattern = pattern.replace(/\/+$/, "");
+      return { regExp: patternToRegExp(pattern), negated, dirOnly };
+    });
+}
+
+/**
+ * Matcher for the project's .gitignore (the root file only). Covers the
+ * common syntax: comments, "!" negation, leading "/" anchors, trailing "/"
+ * for directories, and "*", "**", "?" globs.
+ * @returns {Function} (relativePath) => whether the path is ignored
+ */
+export function loadGitignore(cwd = process.cwd()) {
+  let rules = [];
+  try {
+    rules = parseGitignore(fs.readFileSync(path.join(cwd, ".gitignore"), "utf-8"));
+  } catch (e) {
+    // No .gitignore: nothing is ignored
+  }
+
+  return (relativePath) => {
+    const segments = relativePath.split(path.sep).join("/").split("/").filter(Boolean);
+    let ignored = false;
+    // A file is ignored when it or any parent directory matches; the last matching rule wins
+    segments.forEach((_, idx) => {
+      const candidate = segments.slice(0, idx + 1).join("/");
+      const isDir = idx < segments.length - 1 || isDirectory(path.join(cwd, candidate));
+      rules.forEach((rule) => {
+        if ((!rule.dirOnly || isDir) && rule.regExp.test(candidate)) {
+          ignored = !rule.negated;
+        }
+      });
+    });
+    return ignored;
+  };
+}
+
+/**
+ * Append `entries` the project's .gitignore doesn't already ignore, under
+ * a comment (creating .gitignore if needed)
+ * @returns {string[]} the entries added
+ */
+export function addToGitignore(entries, { cwd = process.cwd(), comment } = {}) {
+  const isIgnored = loadGitignore(cwd);
+  // A directory entry is checked through a file inside it
+  const missing = entries.filter((entry) => !isIgnored(entry.endsWith("/") ? `${entry}x` : entry));
+  if (missing.length === 0) {
+    return [];
+  }
+
+  const gitignorePath = path.join(cwd, ".gitignore");
+  const existing = fs.existsSync(gitignorePath) ? fs.readFileSync(gitignorePath, "utf-8") : "";
+  const separator = existing && !existing.endsWith("\n") ? "\n\n" : existing ? "\n" : "";
+  const block = [...(comment ? [`# ${comment}`] : []), ...missing].join("\n");
+  fs.writeFileSync(gitignorePath, `${existing}${separator}${block}\n`);
+  return missing;
+}
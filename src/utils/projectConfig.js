@@ -0,0 +1,72 @@
+import fs from "fs";
+import path from "path";
+
+export const CONFIG_FILE = ".deployease.json";
+
+// Directory the CLI was started in, before moving to the project root
+let invokedFrom = null;
+
+/**
+ * Directory of the nearest .deployease.json at or above `cwd`, or null
+ */
+export function findConfigDir(cwd = process.cwd()) {
+  let dir = path.resolve(cwd);
+  for (;;) {
+    if (fs.existsSync(path.join(dir, CONFIG_FILE))) {
+      return dir;
+    }
+    const parent = path.dirname(dir);
+    if (parent === dir) {
+      return null;
+    }
+    dir = parent;
+  }
+}
+
+/**
+ * Move to the directory holding the project's .deployease.json, so commands
+ * work from any subdirectory (e.g. apps/web in a monorepo). Paths in the
+ * config stay relative to the config file.
+ * @returns {string|null} the project root, or null if there is no config
+ */
+export function useProjectRoot() {
+  invokedFrom = process.cwd();
+  const root = findConfigDir(invokedFrom);
+  if (root && root !== invokedFrom) {
+    process.chdir(root);
+  }
+  return root;
+}
+
+/**
+ * Directory the CLI was started in (the current directory if
+ * useProjectRoot() wasn't called)
+ */
+export function getInvocationDir() {
+  return invokedFrom || process.cwd();
+}
+
+/**
+ * Absolute path of the project's .deployease.json
+ */
+export function getConfigPath(cwd = process.cwd()) {
+  return path.resolve(cwd, CONFIG_FILE);
+}
+
+/**
+ * Load .deployease.json, or return null if it doesn't exist
+ */
+export function loadProjectConfig(cwd = process.cwd()) {
+  const configPath = getConfigPath(cwd);
+  if (!fs.existsSync(configPath)) {
+    return null;
+  }
+  return JSON.parse(fs.readFileSync(configPath, "utf-8"));
+}
+
+/**
+ * Write .deployease.json
+ */
+export function saveProjectConfig(config, cwd = process.cwd()) {
+  fs.writeFileSync(getConfigPath(cwd), JSON.stringify(config, null, 2));
+}
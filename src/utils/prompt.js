@@ -0,0 +1,33 @@
+import inquirer from "inquirer";
+
+/**
+ * Whether a command was started with --yes or --ci
+ */
+export function isNonInteractive(options = {}) {
+  return Boolean(options.yes || options.ci);
+}
+
+/**
+ * Ask a yes/no question unless the answer is already known.
+ * An explicit command-line flag always wins. In non-interactive mode the
+ * `ci` block of .deployease.json is used next, then the question's default,
+ * so stdin is never read.
+ */
+export async function confirm(message, { flag, configValue, defaultValue = true, nonInteractive = false } = {}) {
+  if (typeof flag === "boolean") {
+    return flag;
+  }
+  if (nonInteractive) {
+    return typeof configValue === "boolean" ? configValue : defaultValue;
+  }
+
+  const answer = await inquirer.prompt([
+    {
+      type: "confirm",
+      name: "value",
+      message,
+      default: defaultValue,
+    },
+  ]);
+  return answer.value;
+}